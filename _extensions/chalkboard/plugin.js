@@ -0,0 +1,8219 @@
+/*****************************************************************
+ ** Author: Asvin Goel, goel@telematique.eu
+ **
+ ** A plugin for reveal.js adding a chalkboard.
+ **
+ ** Version: 2.1.0
+ **
+ ** License: MIT license (see LICENSE.md)
+ **
+ ** Credits:
+ ** Chalkboard effect by Mohamed Moustafa https://github.com/mmoustafa/Chalkboard
+ ** Multi color support initially added by Kurt Rinnert https://github.com/rinnert
+ ** Compatibility with reveal.js v4 by Hakim El Hattab https://github.com/hakimel
+ ******************************************************************/
+
+window.RevealChalkboard = window.RevealChalkboard || {
+	id: 'RevealChalkboard',
+	init: function ( deck ) {
+		initChalkboard( deck );
+	},
+	configure: function ( config ) {
+		configure( config );
+	},
+	toggleNotesCanvas: function () {
+		toggleNotesCanvas();
+	},
+	toggleChalkboard: function () {
+		toggleChalkboard();
+	},
+	toggleEraser: function () {
+		toggleEraser();
+	},
+	pinInk: function () {
+		pinInk();
+	},
+	toggleRecognition: function () {
+		toggleRecognition();
+	},
+	toggleInstrument: function ( name ) {
+		toggleInstrument( name );
+	},
+	getPalette: function () {
+		return getPalette();
+	},
+	setPalette: function ( palette ) {
+		setPalette( palette );
+	},
+	editPalette: function () {
+		editPalette();
+	},
+	colorIndex: function () {
+		colorIndex();
+	},
+	colorNext: function () {
+		colorNext();
+	},
+	colorPrev: function () {
+		colorPrev();
+	},
+	clear: function () {
+		clear();
+	},
+	reset: function () {
+		reset();
+	},
+	resetAll: function () {
+		resetAll();
+	},
+	updateStorage: function () {
+		updateStorage();
+	},
+	getData: function () {
+		return getData();
+	},
+	download: function () {
+		download();
+	},
+	downloadSVG: function ( currentOnly ) {
+		downloadSVG( currentOnly );
+	},
+	downloadPNG: function ( all, factor ) {
+		downloadPNG( all, factor );
+	},
+	exportPNG: function () {
+		exportPNG();
+	},
+	selectTool: function ( name ) {
+		selectTool( name );
+	},
+	undo: function () {
+		undo();
+	},
+	redo: function () {
+		redo();
+	},
+	manageSessions: function () {
+		manageSessions();
+	},
+	switchSession: function ( name ) {
+		switchSession( name );
+	},
+	deleteSession: function ( name, callback ) {
+		deleteSession( name, callback );
+	},
+	togglePlayback: function () {
+		togglePlayback();
+	},
+	manageBoards: function () {
+		manageBoards();
+	},
+	fitAll: function () {
+		fitAll();
+	},
+	setGrid: function ( type, boardIdx ) {
+		setGrid( type, boardIdx );
+	},
+	setBackground: function ( src, page, boardIdx ) {
+		setBackground( src, page, boardIdx );
+	},
+	chooseBackground: function ( boardIdx ) {
+		chooseBackground( boardIdx );
+	},
+	chooseStamp: function () {
+		chooseStamp();
+	},
+	clusterNotes: function () {
+		clusterNotes();
+	},
+	resetView: function () {
+		resetView();
+	},
+	renameBoard: function ( boardIdx, name ) {
+		renameBoard( boardIdx, name );
+	},
+	moveBoard: function ( from, to ) {
+		moveBoard( from, to );
+	},
+	duplicateBoard: function ( boardIdx ) {
+		duplicateBoard( boardIdx );
+	},
+	deleteBoard: function ( boardIdx ) {
+		deleteBoard( boardIdx );
+	},
+	nextStroke: function () {
+		nextStroke();
+	},
+};
+
+function scriptPath() {
+	// obtain plugin path from the script element
+	var src;
+	if ( document.currentScript ) {
+		src = document.currentScript.src;
+	} else {
+		var sel = document.querySelector( 'script[src$="/chalkboard/plugin.js"]' )
+		if ( sel ) {
+			src = sel.src;
+		}
+	}
+	var path = ( src === undefined ) ? "" : src.slice( 0, src.lastIndexOf( "/" ) + 1 );
+//console.log("Path: " + path);
+	return path;
+}
+var path = scriptPath();
+
+const initChalkboard = function ( Reveal ) {
+//console.warn(path);
+	/* Feature detection for passive event handling*/
+	var passiveSupported = false;
+
+	try {
+		window.addEventListener( 'test', null, Object.defineProperty( {}, 'passive', {
+			get: function () {
+				passiveSupported = true;
+			}
+		} ) );
+	} catch ( err ) {}
+
+
+/*****************************************************************
+ ** Configuration
+ ******************************************************************/
+	var background, pen, draw, color;
+	var grid = false;
+	var gridStyle = null; // color, distance and width of grid lines (also if grid is disabled by default)
+	var gridTypes = [ 'none', 'square', 'dots', 'ruled', 'graph', 'axes', 'staff' ];
+	var boardBackgrounds = []; // urls of images offered as backgrounds of boards
+	var pdfjs = false; // url of pdf.js for PDF backgrounds, the worker is expected next to it
+	var boardmarkerWidth = 3;
+	var chalkWidth = 7;
+	var boardmarkerWidths = null; // stroke widths offered by the palette, by default only boardmarkerWidth
+	var chalkWidths = null; // stroke widths offered by the palette, by default only chalkWidth
+	var paletteStorage = 'reveal-chalkboard-palette'; // key of the palette edited by the user in the local storage
+	var chalkEffect = 1.0;
+	var highlighterWidth = 24;
+	var highlighterOpacity = 0.4;
+	var highlighterBlend = [ 'multiply', 'multiply' ]; // blend mode of the highlighter on notes canvas and chalkboard
+	var rememberColor = [ true, false ];
+	var eraser = {
+		src: path + 'img/sponge.png',
+		radius: 20
+	};
+	var eraserMode = 'sponge'; // the sponge wipes away pixels, the stroke eraser removes whole strokes
+	var tools = [ 'pen', 'highlighter', 'line', 'arrow', 'rectangle', 'ellipse', 'triangle', 'text', 'stamp', 'note', 'select', 'laser', 'ink' ];
+	var toolIcons = {
+		pen: '<i class="fas fa-pen"></i>',
+		highlighter: '<i class="fas fa-highlighter"></i>',
+		line: '<i class="fas fa-minus"></i>',
+		arrow: '<i class="fas fa-long-arrow-alt-right"></i>',
+		rectangle: '<i class="far fa-square"></i>',
+		ellipse: '<i class="far fa-circle"></i>',
+		triangle: '<i class="fas fa-caret-up"></i>',
+		text: '<i class="fas fa-font"></i>',
+		stamp: '<i class="fas fa-stamp"></i>',
+		note: '<i class="fas fa-sticky-note"></i>',
+		select: '<i class="fas fa-mouse-pointer"></i>',
+		laser: '<i class="fas fa-dot-circle"></i>',
+		ink: '<i class="fas fa-hourglass-half"></i>'
+	};
+	var shapes = [ 'line', 'arrow', 'rectangle', 'ellipse', 'triangle' ];
+	var recognizeShapes = false; // replace strokes of the pen resembling a line, arrow, rectangle, ellipse or triangle by the shape
+	var instruments = [ 'ruler', 'protractor', 'compass' ];
+	var instrumentIcons = {
+		ruler: '<i class="fas fa-ruler"></i>',
+		protractor: '<i class="fas fa-tachometer-alt"></i>',
+		compass: '<i class="fas fa-drafting-compass"></i>'
+	};
+	var instrumentUnit = 40; // pixels per unit of the scales of the ruler and compass
+	var instrumentSnap = 20; // distance in pixels on the screen within which the pen follows an edge of an instrument
+	var instrumentColor = [ 'rgba(60,60,60,0.8)', 'rgba(255,255,255,0.8)' ]; // color of the instruments on notes canvas and chalkboard
+	var textFont = 'sans-serif';
+	var textSizes = [ 24, 32, 48, 64 ];
+	var stamps = 'images/icons/index.json'; // urls of the images offered by the stamp tool or url of a JSON file listing them
+	var stampSize = 80; // size in pixels of stamps placed with a click
+	var noteWidth = 160; // size of new sticky notes
+	var noteHeight = 120;
+	var noteTextSize = 20;
+	var noteTextColor = 'rgba(34,34,34,1)';
+	var laser = {
+		color: 'rgba(255,0,0,0.8)',
+		radius: 6,
+		trail: 300 // milliseconds for which the trail of the laser pointer is shown
+	};
+	var fadingInk = {
+		delay: 3000, // milliseconds after the end of a stroke before the ink starts to fade
+		duration: 1000
+	};
+	var simplify = 0.5; // tolerance for the simplification of strokes (0 keeps all points)
+	var smoothing = false; // interpolation of freehand strokes, 'quadratic', 'catmull-rom' or false
+	var stabilize = 0; // fraction of the pointer movement by which input is held back to steady strokes
+	var playbackBar = true;
+	var minZoom = 0.1;
+	var maxZoom = 10;
+	var playbackSpeeds = [ 0.5, 1, 1.5, 2, 3, 4 ];
+	var sessions = false; // named sessions in the IndexedDB of the browser, enabled by the sessions option
+	var boardmarkers = [ {
+			color: 'rgba(100,100,100,1)',
+			cursor: 'url(' + path + 'img/boardmarker-black.png), auto'
+		},
+		{
+			color: 'rgba(30,144,255, 1)',
+			cursor: 'url(' + path + 'img/boardmarker-blue.png), auto'
+		},
+		{
+			color: 'rgba(220,20,60,1)',
+			cursor: 'url(' + path + 'img/boardmarker-red.png), auto'
+		},
+		{
+			color: 'rgba(50,205,50,1)',
+			cursor: 'url(' + path + 'img/boardmarker-green.png), auto'
+		},
+		{
+			color: 'rgba(255,140,0,1)',
+			cursor: 'url(' + path + 'img/boardmarker-orange.png), auto'
+		},
+		{
+			color: 'rgba(150,0,150,1)',
+			cursor: 'url(' + path + 'img/boardmarker-purple.png), auto'
+		},
+		{
+			color: 'rgba(255,220,0,1)',
+			cursor: 'url(' + path + 'img/boardmarker-yellow.png), auto'
+		}
+	];
+	var chalks = [ {
+			color: 'rgba(255,255,255,0.5)',
+			cursor: 'url(' + path + 'img/chalk-white.png), auto'
+		},
+		{
+			color: 'rgba(96, 154, 244, 0.5)',
+			cursor: 'url(' + path + 'img/chalk-blue.png), auto'
+		},
+		{
+			color: 'rgba(237, 20, 28, 0.5)',
+			cursor: 'url(' + path + 'img/chalk-red.png), auto'
+		},
+		{
+			color: 'rgba(20, 237, 28, 0.5)',
+			cursor: 'url(' + path + 'img/chalk-green.png), auto'
+		},
+		{
+			color: 'rgba(220, 133, 41, 0.5)',
+			cursor: 'url(' + path + 'img/chalk-orange.png), auto'
+		},
+		{
+			color: 'rgba(220,0,220,0.5)',
+			cursor: 'url(' + path + 'img/chalk-purple.png), auto'
+		},
+		{
+			color: 'rgba(255,220,0,0.5)',
+			cursor: 'url(' + path + 'img/chalk-yellow.png), auto'
+		}
+	];
+	var highlighters = [ {
+			color: 'rgba(255,255,0,1)'
+		},
+		{
+			color: 'rgba(0,191,255,1)'
+		},
+		{
+			color: 'rgba(255,105,180,1)'
+		},
+		{
+			color: 'rgba(127,255,0,1)'
+		},
+		{
+			color: 'rgba(255,165,0,1)'
+		},
+		{
+			color: 'rgba(186,85,211,1)'
+		},
+		{
+			color: 'rgba(0,255,255,1)'
+		}
+	];
+	var noteColors = [ {
+			color: 'rgba(255,240,130,1)'
+		},
+		{
+			color: 'rgba(255,190,210,1)'
+		},
+		{
+			color: 'rgba(170,215,255,1)'
+		},
+		{
+			color: 'rgba(180,240,170,1)'
+		},
+		{
+			color: 'rgba(255,205,140,1)'
+		}
+	];
+	var keyBindings = {
+		toggleNotesCanvas: {
+			keyCode: 67,
+			key: 'C',
+			description: 'Toggle notes canvas'
+		},
+		toggleChalkboard: {
+			keyCode: 66,
+			key: 'B',
+			description: 'Toggle chalkboard'
+		},
+		clear: {
+			keyCode: 46,
+			key: 'DEL',
+			description: 'Clear drawings on slide'
+		},
+/*
+		reset: {
+			keyCode: 173,
+			key: '-',
+			description: 'Reset drawings on slide'
+		},
+*/
+		resetAll: {
+			keyCode: 8,
+			key: 'BACKSPACE',
+			description: 'Reset all drawings'
+		},
+		colorNext: {
+			keyCode: 88,
+			key: 'X',
+			description: 'Next color'
+		},
+		colorPrev: {
+			keyCode: 89,
+			key: 'Y',
+			description: 'Previous color'
+		},
+		download: {
+			keyCode: 68,
+			key: 'D',
+			description: 'Download drawings'
+		},
+		undo: {
+			keyCode: 90,
+			key: 'Z',
+			description: 'Undo last stroke'
+		},
+		redo: {
+			keyCode: 87,
+			key: 'W',
+			description: 'Redo last undone stroke'
+		},
+		toggleEraser: {
+			keyCode: 81,
+			key: 'Q',
+			description: 'Toggle stroke eraser'
+		},
+		pinInk: {
+			keyCode: 73,
+			key: 'I',
+			description: 'Pin fading ink'
+		},
+		toggleRecognition: {
+			keyCode: 85,
+			key: 'U',
+			description: 'Toggle shape recognition'
+		},
+		clusterNotes: {
+			keyCode: 71,
+			key: 'G',
+			description: 'Cluster sticky notes by color'
+		}
+	};
+
+
+	var theme = 'chalkboard';
+	var color = [ 0, 0 ];
+	var strokeWidth = [ null, null ]; // stroke width selected for notes canvas and chalkboard (null for the default width)
+	var penCursors = {}; // cursors of the pens by color, also of colors removed from the palette
+	var instrument = [ null, null ]; // ruler, protractor or compass shown on notes canvas and chalkboard
+	var toggleChalkboardButton = false;
+	var toggleNotesButton = false;
+	var colorButtons = true;
+	var boardHandle = true;
+	var transition = 800;
+
+	var readOnly = false;
+	var messageType = 'broadcast';
+
+	var config = configure( Reveal.getConfig().chalkboard || {} );
+	if ( config.keyBindings ) {
+		for ( var key in config.keyBindings ) {
+			keyBindings[ key ] = config.keyBindings[ key ];
+		};
+	}
+	var defaultPalette = getPalette();
+	loadPalette();
+
+	function configure( config ) {
+
+		if ( config.boardmarkerWidth || config.penWidth ) boardmarkerWidth = config.boardmarkerWidth || config.penWidth;
+		if ( config.chalkWidth ) chalkWidth = config.chalkWidth;
+		if ( config.boardmarkerWidths || !boardmarkerWidths ) boardmarkerWidths = config.boardmarkerWidths || [ boardmarkerWidth ];
+		if ( config.chalkWidths || !chalkWidths ) chalkWidths = config.chalkWidths || [ chalkWidth ];
+		if ( config.paletteStorage != undefined ) paletteStorage = config.paletteStorage;
+		if ( config.chalkEffect ) chalkEffect = config.chalkEffect;
+		if ( config.rememberColor ) rememberColor = config.rememberColor;
+		if ( config.eraser ) eraser = config.eraser;
+		if ( eraser.mode ) eraserMode = eraser.mode;
+		if ( config.boardmarkers ) boardmarkers = config.boardmarkers;
+		if ( config.chalks ) chalks = config.chalks;
+		if ( config.highlighters ) highlighters = config.highlighters;
+		if ( config.highlighterWidth ) highlighterWidth = config.highlighterWidth;
+		if ( config.highlighterOpacity ) highlighterOpacity = config.highlighterOpacity;
+		if ( config.tools != undefined ) tools = config.tools || [];
+		if ( config.recognizeShapes != undefined ) recognizeShapes = config.recognizeShapes;
+		if ( config.instruments != undefined ) instruments = config.instruments || [];
+		if ( config.instrumentUnit ) instrumentUnit = config.instrumentUnit;
+		if ( config.instrumentSnap != undefined ) instrumentSnap = config.instrumentSnap;
+		if ( config.textFont ) textFont = config.textFont;
+		if ( config.textSizes ) textSizes = config.textSizes;
+		if ( config.stamps != undefined ) stamps = config.stamps || [];
+		if ( config.stampSize ) stampSize = config.stampSize;
+		if ( config.noteColors ) noteColors = config.noteColors;
+		if ( config.noteWidth ) noteWidth = config.noteWidth;
+		if ( config.noteHeight ) noteHeight = config.noteHeight;
+		if ( config.noteTextSize ) noteTextSize = config.noteTextSize;
+		if ( config.noteTextColor ) noteTextColor = config.noteTextColor;
+		if ( config.laser ) laser = config.laser;
+		if ( config.fadingInk ) fadingInk = config.fadingInk;
+		if ( config.simplify != undefined ) simplify = config.simplify;
+		if ( config.smoothing != undefined ) smoothing = config.smoothing;
+		if ( config.stabilize != undefined ) stabilize = Math.max( 0, Math.min( 0.95, config.stabilize ) );
+		if ( config.playbackBar != undefined ) playbackBar = config.playbackBar;
+		if ( config.minZoom ) minZoom = config.minZoom;
+		if ( config.maxZoom ) maxZoom = config.maxZoom;
+		if ( config.playbackSpeeds ) playbackSpeeds = config.playbackSpeeds;
+		if ( config.sessions && window.indexedDB ) {
+			sessions = {
+				database: 'reveal-chalkboard',
+				deck: window.location.pathname,
+				name: null
+			};
+			if ( typeof config.sessions == 'object' ) {
+				for ( var key in config.sessions ) {
+					sessions[ key ] = config.sessions[ key ];
+				}
+			}
+		}
+
+		if ( config.theme ) theme = config.theme;
+		switch ( theme ) {
+		case 'whiteboard':
+			background = [ 'rgba(127,127,127,.1)', path + 'img/whiteboard.png' ];
+			draw = [ drawWithBoardmarker, drawWithBoardmarker ];
+			pens = [ boardmarkers, boardmarkers ];
+			highlighterBlend = [ 'multiply', 'multiply' ];
+			instrumentColor = [ 'rgba(60,60,60,0.8)', 'rgba(60,60,60,0.8)' ];
+			grid = {
+				color: 'rgb(127,127,255,0.1)',
+				distance: 40,
+				width: 2
+			};
+			break;
+		case 'chalkboard':
+		default:
+			background = [ 'rgba(127,127,127,.1)', path + 'img/blackboard.png' ];
+			draw = [ drawWithBoardmarker, drawWithChalk ];
+			pens = [ boardmarkers, chalks ];
+			// multiplying would make highlights invisible on the dark chalkboard
+			highlighterBlend = [ 'multiply', 'screen' ];
+			instrumentColor = [ 'rgba(60,60,60,0.8)', 'rgba(255,255,255,0.8)' ];
+			grid = {
+				color: 'rgb(50,50,10,0.5)',
+				distance: 80,
+				width: 2
+			};
+		}
+
+		gridStyle = grid;
+		if ( config.background ) background = config.background;
+		if ( config.highlighterBlend ) highlighterBlend = config.highlighterBlend;
+		if ( config.instrumentColor ) instrumentColor = config.instrumentColor;
+		if ( config.grid != undefined ) grid = config.grid;
+		if ( grid ) gridStyle = grid;
+		if ( config.gridTypes ) gridTypes = config.gridTypes;
+		if ( config.boardBackgrounds ) boardBackgrounds = config.boardBackgrounds;
+		if ( config.pdfjs != undefined ) pdfjs = config.pdfjs;
+
+		if ( config.toggleChalkboardButton != undefined ) toggleChalkboardButton = config.toggleChalkboardButton;
+		if ( config.toggleNotesButton != undefined ) toggleNotesButton = config.toggleNotesButton;
+		if ( config.colorButtons != undefined ) colorButtons = config.colorButtons;
+		if ( config.boardHandle != undefined ) boardHandle = config.boardHandle;
+		if ( config.transition ) transition = config.transition;
+
+		if ( config.readOnly != undefined ) readOnly = config.readOnly;
+		if ( config.messageType ) messageType = config.messageType;
+
+		if ( drawingCanvas && ( config.theme || config.background || config.grid ) ) {
+			var canvas = document.getElementById( drawingCanvas[ 1 ].id );
+			canvas.style.background = 'url("' + background[ 1 ] + '") repeat';
+			clearCanvas( 1 );
+			drawGrid();
+		}
+
+		return config;
+	}
+/*****************************************************************
+ ** Setup
+ ******************************************************************/
+
+	function whenReady( callback ) {
+		// wait for markdown to be parsed and code to be highlighted
+		if ( !document.querySelector( 'section[data-markdown]:not([data-markdown-parsed])' ) 
+		     && !document.querySelector( 'code[data-line-numbers*="|"]') 	
+		) {
+			callback();
+		} else {
+			console.log( "Wait for markdown to be parsed and code to be highlighted" );
+			setTimeout( whenReady, 500, callback )
+		}
+	}
+
+	function whenLoaded( callback ) {
+		// wait for drawings to be loaded and markdown to be parsed
+		if ( loaded !== null ) {
+			callback();
+		} else {
+			console.log( "Wait for drawings to be loaded" );
+			setTimeout( whenLoaded, 500, callback )
+		}
+	}
+
+	if ( toggleChalkboardButton ) {
+console.warn( "toggleChalkboardButton is deprecated, use customcontrols plugin instead!" );
+//console.log("toggleChalkboardButton")
+		var button = document.createElement( 'div' );
+		button.className = "chalkboard-button";
+		button.id = "toggle-chalkboard";
+		button.style.visibility = "visible";
+		button.style.position = "absolute";
+		button.style.zIndex = 30;
+		button.style.fontSize = "24px";
+
+		button.style.left = toggleChalkboardButton.left || "30px";
+		button.style.bottom = toggleChalkboardButton.bottom || "30px";
+		button.style.top = toggleChalkboardButton.top || "auto";
+		button.style.right = toggleChalkboardButton.right || "auto";
+
+		button.innerHTML = '<a href="#" title="Toggle chalkboard (' + keyBindings.toggleChalkboard.key + ')" onclick="RevealChalkboard.toggleChalkboard(); return false;"><i class="fa fa-pen-square"></i></a>'
+		document.querySelector( ".reveal" ).appendChild( button );
+	}
+	if ( toggleNotesButton ) {
+console.warn( "toggleNotesButton is deprecated, use customcontrols plugin instead!" );
+//console.log("toggleNotesButton")
+		var button = document.createElement( 'div' );
+		button.className = "chalkboard-button";
+		button.id = "toggle-notes";
+		button.style.position = "absolute";
+		button.style.zIndex = 30;
+		button.style.fontSize = "24px";
+
+		button.style.left = toggleNotesButton.left || "70px";
+		button.style.bottom = toggleNotesButton.bottom || "30px";
+		button.style.top = toggleNotesButton.top || "auto";
+		button.style.right = toggleNotesButton.right || "auto";
+
+		button.innerHTML = '<a href="#" title="Toggle slide annotation (' + keyBindings.toggleNotesCanvas.key + ')" onclick="RevealChalkboard.toggleNotesCanvas(); return false;"><i class="fa fa-pen"></i></a>'
+		document.querySelector( ".reveal" ).appendChild( button );
+	}
+
+	var drawingCanvas = [ {
+		id: 'notescanvas'
+	}, {
+		id: 'chalkboard'
+	} ];
+	setupDrawingCanvas( 0 );
+	setupDrawingCanvas( 1 );
+
+	var mode = 0; // 0: notes canvas, 1: chalkboard
+	var board = 0; // board index (only for chalkboard)
+
+	var mouseX = 0;
+	var mouseY = 0;
+	var lastX = null;
+	var lastY = null;
+
+	var drawing = false;
+	var erasing = false;
+	var stroke = null; // identifier of the current stroke (used for undo)
+	var currentPolyline = null; // polyline event recorded for the current stroke
+	var viewport = { x: 0, y: 0, zoom: 1 }; // position of the top left corner and zoom of the chalkboard
+	var viewportTimeout = null;
+	var redrawRequest = null;
+	var panning = null; // last position of the pointer panning the chalkboard
+	var spaceKey = false; // space key is held to pan the chalkboard
+	var touches = {}; // positions of the touches on the chalkboard
+	var pinch = null; // distance and center of two touches zooming the chalkboard
+	var activePointer = null; // pointer used for drawing or erasing
+	var lastPenEvent = 0;
+	var penTimeout = 1000; // milliseconds after pen usage during which touches are ignored
+	var tool = 'pen';
+	var pendingShape = null; // shape being drawn with the line, arrow, rectangle or ellipse tool
+	var stamp = null; // url of the image placed by the stamp tool
+	var pendingStamp = null; // stamp being placed and scaled with the stamp tool
+	var pendingNote = null; // sticky note being placed or moved with the note tool
+	var selection = null; // strokes selected with the select tool
+	var selecting = null; // lasso, move or scale started with the select tool
+	var transientTool = null; // laser pointer or fading ink used by the active pointer
+	var instrumentDrag = null; // part of the instrument moved by the active pointer
+	var guide = null; // edge of an instrument followed by the current stroke
+	var textSize = textSizes[ Math.min( 1, textSizes.length - 1 ) ];
+	var editing = null; // canvas and stroke of the text or sticky note shown in an editor instead of on the canvas
+
+	var slideStart = Date.now();
+	var slideIndices = {
+		h: 0,
+		v: 0
+	};
+
+	var timeouts = [
+		[],
+		[]
+	];
+	var touchTimeout = null;
+	var slidechangeTimeout = null;
+	var updateStorageTimeout = null;
+	var playback = false;
+	var playbackSpeed = 1;
+	var playbackStarted = 0; // time when the playback was started
+	var playbackTimestamp = 0; // slide time at which the playback was started
+	var pausedPosition = null; // slide time shown when the playback bar is paused, null at the end of the slide
+	var barPlayback = false; // playback was started with the playback bar
+	var playbackControls = null;
+
+	function createPalette( colors, length, id ) {
+		if ( length === true || length > colors.length ) {
+			length = colors.length;
+		}
+		var palette = document.createElement( 'div' );
+		palette.classList.add( 'palette' );
+		var list = document.createElement( 'ul' );
+		// color pickers
+		for ( var i = 0; i < length; i++ ) {
+			var colorButton = document.createElement( 'li' );
+			colorButton.setAttribute( 'data-color', i );
+			colorButton.innerHTML = '<i class="fa fa-square"></i>';
+			colorButton.style.color = colors[ i ].color;
+			colorButton.addEventListener( 'click', function ( e ) {
+				var element = e.target;
+				while ( !element.hasAttribute( 'data-color' ) ) {
+					element = element.parentElement;
+				}
+				colorIndex( parseInt( element.getAttribute( 'data-color' ) ) );
+			} );
+			colorButton.addEventListener( 'touchstart', function ( e ) {
+				var element = e.target;
+				while ( !element.hasAttribute( 'data-color' ) ) {
+					element = element.parentElement;
+				}
+				colorIndex( parseInt( element.getAttribute( 'data-color' ) ) );
+			} );
+			list.appendChild( colorButton );
+		}
+		// stroke widths
+		var widths = penWidths( id );
+		for ( var i = 0; widths.length > 1 && i < widths.length; i++ ) {
+			var widthButton = document.createElement( 'li' );
+			widthButton.setAttribute( 'data-width', widths[ i ] );
+			widthButton.innerHTML = '<a href="#" title="Stroke width ' + widths[ i ] + '"><i class="fas fa-circle" style="font-size: ' + Math.min( 24, 6 + 2 * widths[ i ] ) + 'px"></i></a>';
+			if ( widths[ i ] == ( strokeWidth[ id ] || defaultWidth( id ) ) ) widthButton.classList.add( 'active' );
+			widthButton.addEventListener( 'click', function ( e ) {
+				e.preventDefault();
+				var element = e.target;
+				while ( !element.hasAttribute( 'data-width' ) ) {
+					element = element.parentElement;
+				}
+				selectWidth( Number( element.getAttribute( 'data-width' ) ) );
+			} );
+			list.appendChild( widthButton );
+		}
+		// tools
+		for ( var i = 0; i < tools.length; i++ ) {
+			var toolButton = document.createElement( 'li' );
+			toolButton.setAttribute( 'data-tool', tools[ i ] );
+			toolButton.innerHTML = '<a href="#" title="' + tools[ i ].charAt( 0 ).toUpperCase() + tools[ i ].slice( 1 ) + '">' + toolIcons[ tools[ i ] ] + '</a>';
+			if ( tools[ i ] == tool ) toolButton.classList.add( 'active' );
+			toolButton.addEventListener( 'click', function ( e ) {
+				e.preventDefault();
+				var element = e.target;
+				while ( !element.hasAttribute( 'data-tool' ) ) {
+					element = element.parentElement;
+				}
+				// the stamps are shown when the stamp tool is clicked again or no stamp is selected yet
+				if ( element.getAttribute( 'data-tool' ) == 'stamp' && ( tool == 'stamp' || !stamp ) ) chooseStamp();
+				selectTool( element.getAttribute( 'data-tool' ) );
+			} );
+			list.appendChild( toolButton );
+		}
+		// shape recognition
+		var recognizeButton = document.createElement( 'li' );
+		recognizeButton.setAttribute( 'data-recognize', 'shapes' );
+		recognizeButton.innerHTML = '<a href="#" title="Shape recognition' + ( keyBindings.toggleRecognition ? ' (' + keyBindings.toggleRecognition.key + ')' : '' ) + '"><i class="fas fa-magic"></i></a>';
+		if ( recognizeShapes ) recognizeButton.classList.add( 'active' );
+		recognizeButton.addEventListener( 'click', function ( e ) {
+			e.preventDefault();
+			toggleRecognition();
+		} );
+		list.appendChild( recognizeButton );
+		// instruments
+		for ( var i = 0; i < instruments.length; i++ ) {
+			var instrumentButton = document.createElement( 'li' );
+			instrumentButton.setAttribute( 'data-instrument', instruments[ i ] );
+			instrumentButton.innerHTML = '<a href="#" title="' + instruments[ i ].charAt( 0 ).toUpperCase() + instruments[ i ].slice( 1 ) + '">' + instrumentIcons[ instruments[ i ] ] + '</a>';
+			if ( instrument[ id ] && instrument[ id ].type == instruments[ i ] ) instrumentButton.classList.add( 'active' );
+			instrumentButton.addEventListener( 'click', function ( e ) {
+				e.preventDefault();
+				var element = e.target;
+				while ( !element.hasAttribute( 'data-instrument' ) ) {
+					element = element.parentElement;
+				}
+				toggleInstrument( element.getAttribute( 'data-instrument' ) );
+			} );
+			list.appendChild( instrumentButton );
+		}
+		// eraser mode
+		var eraserButton = document.createElement( 'li' );
+		eraserButton.setAttribute( 'data-eraser', 'stroke' );
+		eraserButton.innerHTML = '<a href="#" title="Stroke eraser' + ( keyBindings.toggleEraser ? ' (' + keyBindings.toggleEraser.key + ')' : '' ) + '"><i class="fas fa-eraser"></i></a>';
+		if ( eraserMode == 'stroke' ) eraserButton.classList.add( 'active' );
+		eraserButton.addEventListener( 'click', function ( e ) {
+			e.preventDefault();
+			toggleEraser();
+		} );
+		list.appendChild( eraserButton );
+		// pin fading ink
+		if ( tools.includes( 'ink' ) ) {
+			var pinButton = document.createElement( 'li' );
+			pinButton.innerHTML = '<a href="#" title="Pin fading ink' + ( keyBindings.pinInk ? ' (' + keyBindings.pinInk.key + ')' : '' ) + '"><i class="fas fa-thumbtack"></i></a>';
+			pinButton.addEventListener( 'click', function ( e ) {
+				e.preventDefault();
+				pinInk();
+			} );
+			list.appendChild( pinButton );
+		}
+		// undo and redo
+		var undoButton = document.createElement( 'li' );
+		undoButton.innerHTML = '<a href="#" title="Undo' + ( keyBindings.undo ? ' (' + keyBindings.undo.key + ')' : '' ) + '"><i class="fas fa-undo"></i></a>';
+		undoButton.addEventListener( 'click', function ( e ) {
+			e.preventDefault();
+			undo();
+		} );
+		list.appendChild( undoButton );
+		var redoButton = document.createElement( 'li' );
+		redoButton.innerHTML = '<a href="#" title="Redo' + ( keyBindings.redo ? ' (' + keyBindings.redo.key + ')' : '' ) + '"><i class="fas fa-redo"></i></a>';
+		redoButton.addEventListener( 'click', function ( e ) {
+			e.preventDefault();
+			redo();
+		} );
+		list.appendChild( redoButton );
+		// palette editor
+		var editButton = document.createElement( 'li' );
+		editButton.innerHTML = '<a href="#" title="Edit palette"><i class="fas fa-palette"></i></a>';
+		editButton.addEventListener( 'click', function ( e ) {
+			e.preventDefault();
+			editPalette();
+		} );
+		list.appendChild( editButton );
+		palette.appendChild( list );
+		return palette;
+	};
+
+	function switchBoard( boardIdx ) {
+		selectBoard( boardIdx, true );
+		// broadcast
+		var message = new CustomEvent( messageType );
+			message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'selectboard',
+			timestamp: Date.now() - slideStart,
+			mode,
+			board
+		};
+		document.dispatchEvent( message );	
+	}
+
+	function setupDrawingCanvas( id ) {
+		var container = document.createElement( 'div' );
+		container.id = drawingCanvas[ id ].id;
+		container.classList.add( 'overlay' );
+		container.setAttribute( 'data-prevent-swipe', 'true' );
+		container.oncontextmenu = function () {
+			return false;
+		}
+		container.style.cursor = pens[ id ][ color[ id ] ].cursor;
+
+		drawingCanvas[ id ].width = window.innerWidth;
+		drawingCanvas[ id ].height = window.innerHeight;
+		drawingCanvas[ id ].scale = 1;
+		drawingCanvas[ id ].xOffset = 0;
+		drawingCanvas[ id ].yOffset = 0;
+
+		if ( id == "0" ) {
+			container.style.background = 'rgba(0,0,0,0)';
+			container.style.zIndex = 24;
+			container.style.opacity = 1;
+			container.style.visibility = 'visible';
+			container.style.pointerEvents = 'none';
+
+			var slides = document.querySelector( '.slides' );
+			var aspectRatio = Reveal.getConfig().width / Reveal.getConfig().height;
+			if ( drawingCanvas[ id ].width > drawingCanvas[ id ].height * aspectRatio ) {
+				drawingCanvas[ id ].xOffset = ( drawingCanvas[ id ].width - drawingCanvas[ id ].height * aspectRatio ) / 2;
+			} else if ( drawingCanvas[ id ].height > drawingCanvas[ id ].width / aspectRatio ) {
+				drawingCanvas[ id ].yOffset = ( drawingCanvas[ id ].height - drawingCanvas[ id ].width / aspectRatio ) / 2;
+			}
+
+			if ( colorButtons ) {
+				var palette = createPalette( pens[ id ], colorButtons, id );
+				palette.style.visibility = 'hidden'; // only show palette in drawing mode
+				container.appendChild( palette );
+			}
+		} else {
+			container.style.background = 'url("' + background[ id ] + '") repeat';
+			container.style.zIndex = 26;
+			container.style.opacity = 0;
+			container.style.visibility = 'hidden';
+
+			if ( colorButtons ) {
+				var palette = createPalette( pens[ id ], colorButtons, id );
+				container.appendChild( palette );
+			}
+			if ( boardHandle ) {
+				var handle = document.createElement( 'div' );
+				handle.classList.add( 'boardhandle' );
+				handle.innerHTML = '<ul><li><a id="previousboard" href="#" title="Previous board"><i class="fas fa-chevron-up"></i></a></li><li><a id="nextboard" href="#" title="Next board"><i class="fas fa-chevron-down"></i></a></li><li><a id="boardoverview" href="#" title="Board overview"><i class="fas fa-th-large"></i></a></li><li><a id="gridtype" href="#" title="Change grid"><i class="fas fa-th"></i></a></li><li><a id="boardbackground" href="#" title="Board background"><i class="fas fa-image"></i></a></li><li><a id="fitall" href="#" title="Show all drawings"><i class="fas fa-expand"></i></a></li><li><a id="resetview" href="#" title="Reset view"><i class="fas fa-compress"></i></a></li></ul>';
+				handle.querySelector( '#previousboard' ).addEventListener( 'click', function ( e ) {
+					e.preventDefault();
+					switchBoard( board - 1 );
+				} );
+				handle.querySelector( '#nextboard' ).addEventListener( 'click', function ( e ) {
+					e.preventDefault();
+					switchBoard( board + 1 );
+				} );
+				handle.querySelector( '#previousboard' ).addEventListener( 'touchstart', function ( e ) {
+					e.preventDefault();
+					switchBoard( board - 1 );
+				} );
+				handle.querySelector( '#nextboard' ).addEventListener( 'touchstart', function ( e ) {
+					e.preventDefault();
+					switchBoard( board + 1 );
+				} );
+				handle.querySelector( '#boardoverview' ).addEventListener( 'click', function ( e ) {
+					e.preventDefault();
+					manageBoards();
+				} );
+				handle.querySelector( '#gridtype' ).addEventListener( 'click', function ( e ) {
+					e.preventDefault();
+					cycleGrid();
+				} );
+				handle.querySelector( '#boardbackground' ).addEventListener( 'click', function ( e ) {
+					e.preventDefault();
+					chooseBackground();
+				} );
+				handle.querySelector( '#fitall' ).addEventListener( 'click', function ( e ) {
+					e.preventDefault();
+					fitAll();
+				} );
+				handle.querySelector( '#resetview' ).addEventListener( 'click', function ( e ) {
+					e.preventDefault();
+					resetView();
+				} );
+
+				container.appendChild( handle );
+			}
+			var boardLabel = document.createElement( 'div' );
+			boardLabel.classList.add( 'boardname' );
+			container.appendChild( boardLabel );
+			drawingCanvas[ id ].boardLabel = boardLabel;
+		}
+
+
+		var sponge = document.createElement( 'img' );
+		sponge.src = eraser.src;
+		sponge.id = 'sponge';
+		sponge.style.visibility = 'hidden';
+		sponge.style.position = 'absolute';
+		container.appendChild( sponge );
+		drawingCanvas[ id ].sponge = sponge;
+
+		// translucent layer for highlights which is blended with the slide (notes canvas) or the board (chalkboard)
+		var highlights = document.createElement( 'canvas' );
+		highlights.width = drawingCanvas[ id ].width;
+		highlights.height = drawingCanvas[ id ].height;
+		highlights.style.position = 'absolute';
+		highlights.style.left = '0px';
+		highlights.style.top = '0px';
+		highlights.style.pointerEvents = 'none';
+		highlights.style.opacity = highlighterOpacity;
+		highlights.style.mixBlendMode = highlighterBlend[ id ];
+		if ( id == "0" ) {
+			// the notes canvas is a stacking context of its own, the layer is placed below it to blend with the slide
+			highlights.style.zIndex = container.style.zIndex;
+			document.querySelector( '.reveal' ).appendChild( highlights );
+		} else {
+			container.appendChild( highlights );
+		}
+		drawingCanvas[ id ].highlights = highlights.getContext( '2d' );
+
+		var canvas = document.createElement( 'canvas' );
+		canvas.width = drawingCanvas[ id ].width;
+		canvas.height = drawingCanvas[ id ].height;
+		canvas.setAttribute( 'data-chalkboard', id );
+		canvas.style.cursor = pens[ id ][ color[ id ] ].cursor;
+		container.appendChild( canvas );
+		drawingCanvas[ id ].canvas = canvas;
+
+		drawingCanvas[ id ].context = canvas.getContext( '2d' );
+
+		// canvas for previews which are not recorded
+		var preview = document.createElement( 'canvas' );
+		preview.width = drawingCanvas[ id ].width;
+		preview.height = drawingCanvas[ id ].height;
+		preview.style.position = 'absolute';
+		preview.style.left = '0px';
+		preview.style.top = '0px';
+		preview.style.pointerEvents = 'none';
+		container.appendChild( preview );
+		drawingCanvas[ id ].preview = preview.getContext( '2d' );
+
+		// canvas for the laser pointer and fading ink
+		var transient = document.createElement( 'canvas' );
+		transient.width = drawingCanvas[ id ].width;
+		transient.height = drawingCanvas[ id ].height;
+		transient.style.position = 'absolute';
+		transient.style.left = '0px';
+		transient.style.top = '0px';
+		transient.style.pointerEvents = 'none';
+		container.appendChild( transient );
+		drawingCanvas[ id ].transient = transient.getContext( '2d' );
+
+		// canvas for the ruler, protractor and compass
+		var instrumentLayer = document.createElement( 'canvas' );
+		instrumentLayer.width = drawingCanvas[ id ].width;
+		instrumentLayer.height = drawingCanvas[ id ].height;
+		instrumentLayer.style.position = 'absolute';
+		instrumentLayer.style.left = '0px';
+		instrumentLayer.style.top = '0px';
+		instrumentLayer.style.pointerEvents = 'none';
+		container.appendChild( instrumentLayer );
+		drawingCanvas[ id ].instruments = instrumentLayer.getContext( '2d' );
+
+		setupCanvasEvents( container );
+
+		document.querySelector( '.reveal' ).appendChild( container );
+		drawingCanvas[ id ].container = container;
+	}
+
+
+/*****************************************************************
+ ** Storage
+ ******************************************************************/
+
+	/*
+	 * Version of the storage layout, see "File format" in README.md. Files
+	 * without version are migrated from version 1 when they are loaded.
+	 */
+	var storageVersion = 4;
+
+	// numeric properties required for each event type
+	var eventFields = {
+		draw: [ 'x1', 'y1', 'x2', 'y2', 'color' ],
+		polyline: [ 'color' ],
+		erase: [ 'x', 'y' ],
+		shape: [ 'x1', 'y1', 'x2', 'y2', 'color' ],
+		text: [ 'x', 'y', 'size', 'color' ],
+		stamp: [ 'x', 'y', 'width', 'height' ],
+		note: [ 'x', 'y', 'width', 'height', 'size', 'color' ],
+		clear: [],
+		open: [],
+		close: [],
+		selectboard: [ 'board' ],
+		viewport: [ 'x', 'y', 'zoom' ],
+		edit: [],
+		boards: [ 'board' ]
+	};
+
+	// numeric properties required for each action of edit events
+	var editFields = {
+		move: [ 'dx', 'dy' ],
+		scale: [ 'x', 'y', 'factor' ],
+		color: [ 'color' ],
+		text: [ 'size' ],
+		delete: []
+	};
+
+	// event types of strokes which can be selected and edited
+	var selectable = [ 'draw', 'polyline', 'shape', 'text', 'stamp', 'note' ];
+
+	var migrations = {
+		/*
+		 * Version 1: layout without version, the color of a pen may be
+		 * selected by 'setcolor' events instead of the color of each event.
+		 */
+		1: function ( data ) {
+			while ( data.length < 2 ) {
+				data.push( {
+					width: Reveal.getConfig().width,
+					height: Reveal.getConfig().height,
+					data: []
+				} );
+			}
+			for ( var id = 0; id < data.length; id++ ) {
+				if ( !data[ id ] || !Array.isArray( data[ id ].data ) ) continue;
+				for ( var i = 0; i < data[ id ].data.length; i++ ) {
+					var slideData = data[ id ].data[ i ];
+					if ( !slideData || !Array.isArray( slideData.events ) ) continue;
+					var colorIdx = 0;
+					slideData.events = slideData.events.filter( function ( event ) {
+						if ( event && event.type == 'setcolor' ) {
+							colorIdx = event.index;
+							return false;
+						}
+						if ( event && event.type == 'draw' && event.color == undefined ) {
+							event.color = colorIdx;
+						}
+						return true;
+					} );
+				}
+			}
+		},
+		/*
+		 * Version 2: every segment of a stroke is a separate 'draw' event,
+		 * contiguous segments are joined to simplified 'polyline' events.
+		 */
+		2: function ( data ) {
+			for ( var id = 0; id < data.length; id++ ) {
+				if ( !data[ id ] || !Array.isArray( data[ id ].data ) ) continue;
+				for ( var i = 0; i < data[ id ].data.length; i++ ) {
+					var slideData = data[ id ].data[ i ];
+					if ( !slideData || !Array.isArray( slideData.events ) ) continue;
+					slideData.events = joinSegments( slideData.events );
+					if ( Array.isArray( slideData.redo ) ) {
+						slideData.redo.forEach( entry => {
+							if ( entry && Array.isArray( entry.events ) ) entry.events = joinSegments( entry.events );
+						} );
+					}
+				}
+			}
+		},
+		/*
+		 * Version 3: strokes drawn before strokes could be edited have no 'stroke'
+		 * identifier, they are numbered within their slide so that they can be edited.
+		 */
+		3: function ( data ) {
+			for ( var id = 0; id < data.length; id++ ) {
+				if ( !data[ id ] || !Array.isArray( data[ id ].data ) ) continue;
+				for ( var i = 0; i < data[ id ].data.length; i++ ) {
+					var slideData = data[ id ].data[ i ];
+					if ( !slideData || !Array.isArray( slideData.events ) ) continue;
+					var count = 0;
+					var number = function ( event ) {
+						if ( event && selectable.includes( event.type ) && event.stroke == undefined ) event.stroke = ++count;
+					};
+					slideData.events.forEach( number );
+					if ( Array.isArray( slideData.redo ) ) {
+						slideData.redo.forEach( entry => {
+							if ( entry && Array.isArray( entry.events ) ) entry.events.forEach( number );
+						} );
+					}
+				}
+			}
+		}
+	};
+
+	var storage = emptyStorage();
+
+	var loaded = null;
+	var sessionDatabase = null;
+	var sessionLoaded = false;
+	var sessionName = null;
+
+	if ( config.storage ) {
+		// Get chalkboard drawings from session storage
+		loaded = initStorage( sessionStorage.getItem( config.storage ), 'session storage' );
+	}
+
+	if ( !loaded && sessions ) {
+		// Get chalkboard drawings from the named session chosen by the user (falls back to the given file)
+		openSession( currentSession() );
+	} else if ( !loaded && config.src != null ) {
+		// Get chalkboard drawings from the given file
+		loadData( config.src );
+	}
+
+	/**
+	 * Returns storage without any drawings.
+	 */
+	function emptyStorage() {
+		return [ {
+				version: storageVersion,
+				width: Reveal.getConfig().width,
+				height: Reveal.getConfig().height,
+				data: []
+			},
+			{
+				version: storageVersion,
+				width: Reveal.getConfig().width,
+				height: Reveal.getConfig().height,
+				data: []
+			}
+		];
+	}
+
+	/**
+	 * Initialize storage, problems with the drawings from the given source are reported.
+	 */
+	function initStorage( json, source ) {
+		var success = false;
+		var data = parseStorage( json, source );
+		try {
+			if ( !data ) throw new Error( 'Invalid drawings' );
+			for ( var id = 0; id < data.length; id++ ) {
+				if ( drawingCanvas[ id ].width != data[ id ].width || drawingCanvas[ id ].height != data[ id ].height ) {
+					drawingCanvas[ id ].scale = Math.min( drawingCanvas[ id ].width / data[ id ].width, drawingCanvas[ id ].height / data[ id ].height );
+					drawingCanvas[ id ].xOffset = ( drawingCanvas[ id ].width - data[ id ].width * drawingCanvas[ id ].scale ) / 2;
+					drawingCanvas[ id ].yOffset = ( drawingCanvas[ id ].height - data[ id ].height * drawingCanvas[ id ].scale ) / 2;
+				}
+				if ( config.readOnly ) {
+					drawingCanvas[ id ].container.style.cursor = 'default';
+					drawingCanvas[ id ].canvas.style.cursor = 'default';
+				}
+			}
+			success = true;
+			storage = data;
+		} catch ( err ) {
+			console.warn( "Cannot initialise storage!" );
+		}
+		return success;
+	}
+
+
+	/**
+	 * Load data.
+	 */
+	function loadData( filename ) {
+		var xhr = new XMLHttpRequest();
+		xhr.onload = function () {
+			if ( xhr.readyState === 4 && xhr.status != 404 ) {
+				var earlier = storage;
+				loaded = initStorage( xhr.responseText, filename );
+				keepDrawings( earlier );
+				updateStorage();
+				drawingsLoaded();
+				console.log( "Drawings loaded from file" );
+			} else {
+				config.readOnly = undefined;
+				readOnly = undefined;
+				console.warn( 'Failed to get file ' + filename + '. ReadyState: ' + xhr.readyState + ', Status: ' + xhr.status );
+				loaded = false;
+			}
+		};
+
+		xhr.open( 'GET', filename, true );
+		try {
+			xhr.send();
+		} catch ( error ) {
+			config.readOnly = undefined;
+			readOnly = undefined;
+			console.warn( 'Failed to get file ' + filename + '. Make sure that the presentation and the file are served by a HTTP server and the file can be found there. ' + error );
+			loaded = false;
+		}
+	}
+
+
+	/**
+	 * Merge the drawings made while the drawings were loaded into the loaded drawings.
+	 */
+	function keepDrawings( earlier ) {
+		if ( earlier == storage || !earlier.some( canvas => canvas.data.some( slideData => slideData.events.length ) ) ) return;
+		mergeStorage( storage, earlier );
+	}
+
+	function storageChanged( now ) {
+		if ( !now ) {
+			// create or update timer
+			if ( updateStorageTimeout ) {
+				clearTimeout( updateStorageTimeout );
+			}
+			updateStorageTimeout = setTimeout( storageChanged, 1000, true);
+		}
+		else {
+// console.log("Update storage", updateStorageTimeout,  Date.now());
+			updateStorage();
+			updateStorageTimeout = null;
+			updatePlaybackBar();
+		}
+	}
+
+	function updateStorage() {
+		var json = JSON.stringify( storage )
+		if ( config.storage ) {
+			sessionStorage.setItem( config.storage, json )
+		}
+		if ( sessions && sessionLoaded ) {
+			saveSession( json );
+		}
+		return json;
+	}
+
+	/**
+	 * Show drawings which have been loaded after the presentation was ready.
+	 */
+	function drawingsLoaded() {
+		if ( printMode || playback || !Reveal.isReady() ) return;
+		resetPlaybackBar();
+		slideStart = Date.now() - getSlideDuration();
+		startPlayback( getSlideDuration(), 0 );
+		updatePlaybackBar();
+	}
+
+	function recordEvent( event ) {
+//console.log(event);
+		event.time = Date.now() - slideStart;
+		if ( mode == 1 ) event.board = board;
+		var slideData = getSlideData();
+		var i = slideData.events.length;
+		while ( i > 0 && event.time < slideData.events[ i - 1 ].time ) {
+			i--;
+		}
+		slideData.events.splice( i, 0, event );
+		slideData.duration = Math.max( slideData.duration, Date.now() - slideStart ) + 1;
+		if ( undoable.includes( event.type ) && slideData.redo ) {
+			// a new stroke invalidates strokes undone on the same canvas or board and undone changes of the boards
+			slideData.redo = slideData.redo.filter( entry => entry.board !== event.board && entry.events[ 0 ].type != 'boards' );
+		}
+
+		storageChanged();
+	}
+
+	/**
+	 * Get data as json string.
+	 */
+	function getData() {
+		// cleanup slide data without events
+		for ( var id = 0; id < 2; id++ ) {
+			for ( var i = storage[ id ].data.length - 1; i >= 0; i-- ) {
+				if ( storage[ id ].data[ i ].events.length == 0 && !( storage[ id ].data[ i ].redo || [] ).length && !( storage[ id ].data[ i ].boards || [] ).length ) {
+					storage[ id ].data.splice( i, 1 );
+				}
+			}
+		}
+
+		return updateStorage();
+	}
+
+	/**
+	 * Download data.
+	 */
+	function downloadData() {
+		var a = document.createElement( 'a' );
+		document.body.appendChild( a );
+		try {
+			a.download = 'chalkboard.json';
+			var blob = new Blob( [ getData() ], {
+				type: 'application/json'
+			} );
+			a.href = window.URL.createObjectURL( blob );
+		} catch ( error ) {
+			// https://stackoverflow.com/a/6234804
+			// escape data for proper handling of quotes and line breaks
+			// in case malicious gets a chance to craft the exception message
+			error = String(error).replace(/&/g, "&amp;")
+					.replace(/</g, "&lt;")
+					.replace(/>/g, "&gt;")
+					.replace(/"/g, "&quot;")
+					.replace(/'/g, "&#039;");
+
+			a.innerHTML += ' (' + error + ')';
+		}
+		a.click();
+		document.body.removeChild( a );
+	}
+
+	/**
+	 * Returns data object for the slide with the given indices.
+	 */
+	function getSlideData( indices, id ) {
+		if ( id == undefined ) id = mode;
+		if ( !indices ) indices = slideIndices;
+		var data;
+		for ( var i = 0; i < storage[ id ].data.length; i++ ) {
+			if ( storage[ id ].data[ i ].slide.h === indices.h && storage[ id ].data[ i ].slide.v === indices.v && storage[ id ].data[ i ].slide.f === indices.f ) {
+				data = storage[ id ].data[ i ];
+				return data;
+			}
+		}
+		var page = Number( Reveal.getCurrentSlide().getAttribute('data-pdf-page-number') ); 
+//console.log( indices, Reveal.getCurrentSlide() );
+		storage[ id ].data.push( {
+			slide: indices,
+			page,
+			events: [],
+			duration: 0
+		} );
+		data = storage[ id ].data[ storage[ id ].data.length - 1 ];
+		return data;
+	}
+
+	/**
+	 * Returns data object for the slide with the given indices or undefined, the data is not created.
+	 */
+	function findSlideData( indices, id ) {
+		return storage[ id ].data.find( data => data.slide.h === indices.h && data.slide.v === indices.v && data.slide.f === indices.f );
+	}
+
+	/**
+	 * Returns maximum duration of slide playback for both modes
+	 */
+	function getSlideDuration( indices ) {
+		if ( !indices ) indices = slideIndices;
+		var duration = 0;
+		for ( var id = 0; id < 2; id++ ) {
+			for ( var i = 0; i < storage[ id ].data.length; i++ ) {
+				if ( storage[ id ].data[ i ].slide.h === indices.h && storage[ id ].data[ i ].slide.v === indices.v && storage[ id ].data[ i ].slide.f === indices.f ) {
+					duration = Math.max( duration, storage[ id ].data[ i ].duration );
+					break;
+				}
+			}
+		}
+//console.log( duration );
+		return duration;
+	}
+
+/*****************************************************************
+ ** Schema
+ ******************************************************************/
+
+	/**
+	 * Returns the events with contiguous 'draw' events of the same stroke replaced by polylines.
+	 */
+	function joinSegments( events ) {
+		var result = [];
+		var polyline = null;
+		var last = null;
+		events.forEach( event => {
+			if ( !event || event.type != 'draw' ) {
+				// segments drawn before and after other events are not joined
+				polyline = null;
+				result.push( event );
+				return;
+			}
+			if ( !polyline || last.board !== event.board || last.color !== event.color || last.stroke !== event.stroke || last.x2 !== event.x1 || last.y2 !== event.y1 ) {
+				polyline = {
+					type: 'polyline',
+					time: event.time,
+					color: event.color,
+					points: [ polylinePoint( event.x1, event.y1, 0 ) ]
+				};
+				if ( event.stroke != undefined ) polyline.stroke = event.stroke;
+				if ( event.board != undefined ) polyline.board = event.board;
+				result.push( polyline );
+			}
+			polyline.points.push( polylinePoint( event.x2, event.y2, event.time - polyline.time, event.width ) );
+			last = event;
+		} );
+		result.forEach( event => {
+			if ( event && event.type == 'polyline' ) event.points = simplifyPoints( event.points, simplify );
+		} );
+		return result;
+	}
+
+	/**
+	 * Returns migrated and validated drawings from the json string, problems with the drawings from the given source are reported.
+	 */
+	function parseStorage( json, source ) {
+		try {
+			var data = JSON.parse( json );
+		} catch ( err ) {
+			reportErrors( source, [ 'The drawings are not valid JSON (' + err.message + ').' ] );
+			return null;
+		}
+		if ( data == null ) return null;
+		var errors = [];
+		data = validateStorage( migrateStorage( data, errors ), errors );
+		if ( errors.length ) {
+			reportErrors( source, errors );
+		}
+		return data;
+	}
+
+	/**
+	 * Migrate drawings from older layouts to the current version.
+	 */
+	function migrateStorage( data, errors ) {
+		if ( data && !Array.isArray( data ) && Array.isArray( data.data ) ) {
+			// drawings of a single canvas
+			data = [ data ];
+		}
+		if ( !Array.isArray( data ) || !data.length ) {
+			errors.push( 'The drawings must be a list with the notes canvas and the chalkboard.' );
+			return null;
+		}
+		var version = ( data[ 0 ] && data[ 0 ].version ) || 1;
+		if ( version > storageVersion ) {
+			errors.push( 'The drawings were saved with a newer version (' + version + ') of the chalkboard plugin, some drawings may be missing.' );
+		}
+		for ( ; version < storageVersion; version++ ) {
+			migrations[ version ]( data );
+		}
+		for ( var id = 0; id < data.length; id++ ) {
+			if ( data[ id ] ) data[ id ].version = storageVersion;
+		}
+		return data;
+	}
+
+	function slideName( id, slide ) {
+		var name = ( id == 0 ) ? 'Notes canvas' : 'Chalkboard';
+		if ( !slide ) return name;
+		name += ', slide ' + ( slide.h + 1 ) + '.' + ( slide.v + 1 );
+		if ( slide.f != undefined ) name += ' (fragment ' + ( slide.f + 1 ) + ')';
+		return name;
+	}
+
+	function isNumber( value ) {
+		return typeof value == 'number' && isFinite( value );
+	}
+
+	/**
+	 * Returns the error for an invalid event or null.
+	 */
+	function validateEvent( event ) {
+		if ( !event || typeof event != 'object' ) return 'is not an object';
+		if ( !eventFields[ event.type ] ) return 'has unknown type "' + event.type + '"';
+		if ( !isNumber( event.time ) ) return '(' + event.type + ') has no valid time';
+		var fields = eventFields[ event.type ];
+		for ( var i = 0; i < fields.length; i++ ) {
+			if ( !isNumber( event[ fields[ i ] ] ) ) return '(' + event.type + ') has no valid "' + fields[ i ] + '"';
+		}
+		if ( event.type == 'shape' && !shapes.includes( event.shape ) ) return 'has unknown shape "' + event.shape + '"';
+		if ( event.type == 'text' && typeof event.text != 'string' ) return '(text) has no text';
+		if ( event.type == 'note' && typeof event.text != 'string' ) return '(note) has no text';
+		if ( event.type == 'edit' && event.action == 'text' && typeof event.text != 'string' ) return '(edit) has no text';
+		if ( event.type == 'stamp' && !( typeof event.src == 'string' && event.src.length > 0 ) ) return '(stamp) has no src';
+		if ( event.type == 'edit' && !( editFields[ event.action ] && Array.isArray( event.strokes ) && event.strokes.every( isNumber ) && editFields[ event.action ].every( key => isNumber( event[ key ] ) ) ) ) return '(edit) has no valid action, strokes or values';
+		if ( event.type == 'polyline' && !( Array.isArray( event.points ) && event.points.every( point => Array.isArray( point ) && point.length >= 3 && point.every( isNumber ) ) ) ) return '(polyline) has no valid points';
+		if ( event.type == 'boards' && !validBoardChange( event ) ) return '(boards) has no valid map, copy or boards';
+		return null;
+	}
+
+	/**
+	 * Returns whether a change of the boards maps the boards to consecutive indices.
+	 */
+	function validBoardChange( event ) {
+		if ( !( Array.isArray( event.map ) && event.map.every( idx => idx === null || ( Number.isInteger( idx ) && idx >= 0 ) ) ) ) return false;
+		var boards = event.map.filter( idx => idx !== null );
+		if ( event.copy != undefined ) {
+			var copy = event.copy;
+			if ( !( copy && Number.isInteger( copy.from ) && Number.isInteger( copy.to ) && Array.isArray( copy.strokes ) && copy.strokes.every( pair => Array.isArray( pair ) && pair.length == 2 && pair.every( isNumber ) ) && boards.includes( copy.from ) ) ) return false;
+			boards.push( copy.to );
+		}
+		if ( event.boards != undefined && !( Array.isArray( event.boards ) && event.boards.every( entry => entry && typeof entry == 'object' && ( entry.background == undefined || validBackground( entry.background ) ) ) ) ) return false;
+		if ( event.set != undefined ) {
+			var set = event.set;
+			if ( !( set && Number.isInteger( set.index ) && set.index >= 0 && set.index < boards.length && event.map.every( ( idx, i ) => idx === i ) ) ) return false;
+			if ( !( set.name == undefined || typeof set.name == 'string' ) || !( set.grid == undefined || typeof set.grid == 'string' ) || !( set.background == undefined || validBackground( set.background ) ) ) return false;
+		}
+		return boards.every( idx => idx < boards.length ) && new Set( boards ).size == boards.length;
+	}
+
+	/**
+	 * Validate drawings, invalid slides and events are removed and reported in the list of errors.
+	 */
+	function validateStorage( data, errors ) {
+		if ( !data ) return null;
+		if ( data.length != 2 ) {
+			errors.push( 'The drawings must contain the notes canvas and the chalkboard, found ' + data.length + ' canvases.' );
+			return null;
+		}
+		for ( var id = 0; id < 2; id++ ) {
+			var canvas = data[ id ];
+			if ( !canvas || typeof canvas != 'object' || !Array.isArray( canvas.data ) ) {
+				errors.push( slideName( id ) + ': no list of slides, drawings are ignored.' );
+				data[ id ] = emptyStorage()[ id ];
+				continue;
+			}
+			if ( !isNumber( canvas.width ) || canvas.width <= 0 || !isNumber( canvas.height ) || canvas.height <= 0 ) {
+				errors.push( slideName( id ) + ': invalid size, the size of the presentation is used.' );
+				canvas.width = Reveal.getConfig().width;
+				canvas.height = Reveal.getConfig().height;
+			}
+			canvas.data = canvas.data.filter( function ( slideData, i ) {
+				if ( !slideData || !slideData.slide || !isNumber( slideData.slide.h ) || !isNumber( slideData.slide.v ) ) {
+					errors.push( slideName( id ) + ': entry ' + ( i + 1 ) + ' has no valid slide indices and is ignored.' );
+					return false;
+				}
+				if ( !Array.isArray( slideData.events ) ) {
+					errors.push( slideName( id, slideData.slide ) + ': no list of events, drawings are ignored.' );
+					return false;
+				}
+				if ( slideData.boards != undefined && !( Array.isArray( slideData.boards ) && slideData.boards.every( entry => entry && typeof entry == 'object' ) ) ) {
+					errors.push( slideName( id, slideData.slide ) + ': invalid list of boards, board names are ignored.' );
+					delete slideData.boards;
+				}
+				( slideData.boards || [] ).forEach( function ( entry, j ) {
+					if ( entry.background != undefined && !validBackground( entry.background ) ) {
+						errors.push( slideName( id, slideData.slide ) + ': board ' + ( j + 1 ) + ' has an invalid background which is ignored.' );
+						delete entry.background;
+					}
+				} );
+				slideData.events = slideData.events.filter( function ( event, j ) {
+					var error = validateEvent( event );
+					if ( error ) {
+						errors.push( slideName( id, slideData.slide ) + ': event ' + ( j + 1 ) + ' ' + error + ' and is ignored.' );
+					}
+					return !error;
+				} );
+				slideData.events.sort( ( a, b ) => a.time - b.time );
+				var end = slideData.events.length ? slideData.events[ slideData.events.length - 1 ].time + 1 : 0;
+				if ( !isNumber( slideData.duration ) || slideData.duration < end ) {
+					slideData.duration = end;
+				}
+				return true;
+			} );
+		}
+		return data;
+	}
+
+	/**
+	 * Report problems with loaded drawings in the console and in a dialog.
+	 */
+	function reportErrors( source, errors ) {
+		var title = 'Problems with the drawings' + ( source ? ' from ' + source : '' );
+		console.warn( title + ':\n' + errors.join( '\n' ) );
+		if ( printMode ) return;
+
+		var dialog = createDialog( title );
+		dialog.classList.add( 'errors' );
+		var list = document.createElement( 'ul' );
+		var max = 20;
+		for ( var i = 0; i < errors.length && i < max; i++ ) {
+			var item = document.createElement( 'li' );
+			item.textContent = errors[ i ];
+			list.appendChild( item );
+		}
+		if ( errors.length > max ) {
+			var item = document.createElement( 'li' );
+			item.textContent = '... and ' + ( errors.length - max ) + ' more (see console)';
+			list.appendChild( item );
+		}
+		dialog.appendChild( list );
+		dialog.appendChild( dialogButton( 'OK', function () {}, dialog ) );
+	}
+
+	/**
+	 * Report a failed action in the console and in a dialog.
+	 */
+	function reportFailure( title, err ) {
+		console.warn( title + '!', err );
+		if ( printMode ) return;
+
+		var dialog = createDialog( title );
+		dialog.classList.add( 'errors' );
+		var message = document.createElement( 'p' );
+		message.textContent = ( err && err.message ) || String( err );
+		dialog.appendChild( message );
+		dialog.appendChild( dialogButton( 'OK', function () {}, dialog ) );
+	}
+
+/*****************************************************************
+ ** Import
+ ******************************************************************/
+
+	function isFileDrag( evt ) {
+		return evt.dataTransfer && Array.from( evt.dataTransfer.types ).includes( 'Files' );
+	}
+
+	document.addEventListener( 'dragover', function ( evt ) {
+		if ( printMode || !isFileDrag( evt ) ) return;
+		evt.preventDefault();
+		evt.dataTransfer.dropEffect = 'copy';
+		document.querySelector( '.reveal' ).classList.add( 'chalkboard-drop' );
+	} );
+
+	document.addEventListener( 'dragleave', function ( evt ) {
+		if ( !evt.relatedTarget ) {
+			// pointer left the window
+			document.querySelector( '.reveal' ).classList.remove( 'chalkboard-drop' );
+		}
+	} );
+
+	document.addEventListener( 'drop', function ( evt ) {
+		if ( printMode || !isFileDrag( evt ) ) return;
+		evt.preventDefault();
+		document.querySelector( '.reveal' ).classList.remove( 'chalkboard-drop' );
+		var backgrounds = Array.from( evt.dataTransfer.files ).filter( file => /^image\//.test( file.type ) || isPDFName( file.name ) );
+		if ( backgrounds.length && mode == 1 && !readOnly ) {
+			// the first dropped image or PDF document becomes the background of the current board
+			addLocalFile( backgrounds[ 0 ] );
+			setBackground( backgrounds[ 0 ].name );
+		}
+		var files = Array.from( evt.dataTransfer.files ).filter( file => /\.json$/i.test( file.name ) || file.type == 'application/json' );
+		var imported = [];
+		var next = function ( k ) {
+			if ( k == files.length ) {
+				importDrawings( imported );
+				return;
+			}
+			var reader = new FileReader();
+			reader.onload = function () {
+				var data = parseStorage( reader.result, files[ k ].name );
+				if ( data ) {
+					imported.push( {
+						name: files[ k ].name,
+						data
+					} );
+				}
+				next( k + 1 );
+			};
+			reader.onerror = function () {
+				reportErrors( files[ k ].name, [ 'The file cannot be read.' ] );
+				next( k + 1 );
+			};
+			reader.readAsText( files[ k ] );
+		};
+		next( 0 );
+	} );
+
+	/**
+	 * Ask whether the imported drawings replace or are merged into the current drawings.
+	 */
+	function importDrawings( imported ) {
+		if ( !imported.length ) return;
+		var dialog = createDialog( 'Import drawings' );
+		var list = document.createElement( 'ul' );
+		for ( var i = 0; i < imported.length; i++ ) {
+			var item = document.createElement( 'li' );
+			item.textContent = imported[ i ].name;
+			list.appendChild( item );
+		}
+		dialog.appendChild( list );
+		dialog.appendChild( dialogButton( 'Merge with current drawings', function () {
+			applyImport( imported, false );
+		}, dialog ) );
+		dialog.appendChild( dialogButton( 'Replace current drawings', function () {
+			applyImport( imported, true );
+		}, dialog ) );
+	}
+
+	function applyImport( imported, replace ) {
+		stopPlayback();
+		var data = replace ? emptyStorage() : storage;
+		for ( var i = 0; i < imported.length; i++ ) {
+			mergeStorage( data, imported[ i ].data );
+		}
+		storage = data;
+		for ( var id = 0; id < 2; id++ ) {
+			fitCanvas( id );
+		}
+		updateStorage();
+		drawingsLoaded();
+
+		// broadcast
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'init',
+			timestamp: Date.now() - slideStart,
+			storage,
+			mode,
+			board
+		};
+		document.dispatchEvent( message );
+	}
+
+	/**
+	 * Merge drawings into the target, events of the same slide and board are interleaved by time.
+	 */
+	function mergeStorage( target, source ) {
+		for ( var id = 0; id < 2; id++ ) {
+			var scale = Math.min( target[ id ].width / source[ id ].width, target[ id ].height / source[ id ].height );
+			var xOffset = ( target[ id ].width - source[ id ].width * scale ) / 2;
+			var yOffset = ( target[ id ].height - source[ id ].height * scale ) / 2;
+			for ( var i = 0; i < source[ id ].data.length; i++ ) {
+				var slideData = source[ id ].data[ i ];
+				var events = slideData.events.map( event => transformEvent( JSON.parse( JSON.stringify( event ) ), scale, xOffset, yOffset ) );
+				var existing = target[ id ].data.find( data => data.slide.h === slideData.slide.h && data.slide.v === slideData.slide.v && data.slide.f === slideData.slide.f );
+				if ( !existing ) {
+					target[ id ].data.push( {
+						slide: slideData.slide,
+						page: slideData.page,
+						events,
+						duration: slideData.duration
+					} );
+					if ( slideData.boards ) target[ id ].data[ target[ id ].data.length - 1 ].boards = slideData.boards;
+				} else {
+					existing.events = existing.events.concat( importedEvents( events, maxStroke( existing ) + 1 ) ).sort( ( a, b ) => a.time - b.time );
+					existing.duration = Math.max( existing.duration, slideData.duration );
+					if ( !existing.boards && slideData.boards ) existing.boards = slideData.boards;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Returns the imported events of a slide with drawings, the changes of the boards and the edits recorded
+	 * before them are applied and the strokes get consecutive identifiers starting with the given one.
+	 */
+	function importedEvents( events, next ) {
+		var changes = events.filter( event => event.type == 'boards' );
+		if ( changes.length ) events = editedEvents( events, changes[ changes.length - 1 ].time + 1 );
+		var strokes = new Map();
+		var renumber = stroke => {
+			if ( !strokes.has( stroke ) ) strokes.set( stroke, next++ );
+			return strokes.get( stroke );
+		};
+		events.forEach( event => {
+			if ( event.stroke != undefined ) event.stroke = renumber( event.stroke );
+			if ( event.type == 'edit' ) event.strokes = event.strokes.map( renumber );
+		} );
+		return events;
+	}
+
+	/**
+	 * Transform the coordinates of an event recorded with a different slide size.
+	 */
+	function transformEvent( event, scale, xOffset, yOffset ) {
+		if ( scale == 1 && !xOffset && !yOffset ) return event;
+		[ 'x', 'x1', 'x2' ].forEach( key => {
+			if ( isNumber( event[ key ] ) ) event[ key ] = xOffset + event[ key ] * scale;
+		} );
+		[ 'y', 'y1', 'y2' ].forEach( key => {
+			if ( isNumber( event[ key ] ) ) event[ key ] = yOffset + event[ key ] * scale;
+		} );
+		[ 'size', 'width', 'height', 'dx', 'dy' ].forEach( key => {
+			if ( isNumber( event[ key ] ) ) event[ key ] = event[ key ] * scale;
+		} );
+		if ( Array.isArray( event.points ) ) {
+			event.points.forEach( point => {
+				point[ 0 ] = xOffset + point[ 0 ] * scale;
+				point[ 1 ] = yOffset + point[ 1 ] * scale;
+				if ( point.length > 3 ) point[ 3 ] = point[ 3 ] * scale;
+			} );
+		}
+		return event;
+	}
+
+/*****************************************************************
+ ** Sessions
+ ******************************************************************/
+	/**
+	 * Returns the name of the session used for this presentation.
+	 */
+	function currentSession() {
+		if ( sessionName ) return sessionName;
+		sessionName = pickedSession() || 'default';
+		return sessionName;
+	}
+
+	/**
+	 * Returns the name of the session given in the configuration or last chosen by the user, otherwise null.
+	 */
+	function pickedSession() {
+		if ( sessions.name ) return sessions.name;
+		try {
+			return localStorage.getItem( sessions.database + ':' + sessions.deck );
+		} catch ( err ) {
+			return null;
+		}
+	}
+
+	function openSessionDatabase( callback ) {
+		if ( sessionDatabase ) {
+			callback( sessionDatabase );
+			return;
+		}
+		var request = window.indexedDB.open( sessions.database, 1 );
+		request.onupgradeneeded = function () {
+			var store = request.result.createObjectStore( 'sessions', { keyPath: [ 'deck', 'name' ] } );
+			store.createIndex( 'deck', 'deck', { unique: false } );
+		};
+		request.onsuccess = function () {
+			sessionDatabase = request.result;
+			callback( sessionDatabase );
+		};
+		request.onerror = function () {
+			console.warn( 'Cannot open session database ' + sessions.database + '!' );
+			callback( null );
+		};
+	}
+
+	function sessionStore( access, callback ) {
+		openSessionDatabase( function ( db ) {
+			if ( db ) {
+				callback( db.transaction( 'sessions', access ).objectStore( 'sessions' ) );
+			} else {
+				callback( null );
+			}
+		} );
+	}
+
+	/**
+	 * Load drawings of the named session and fall back to the given file for new sessions. The given file
+	 * is also used instead of the default session as long as the user has not chosen a session.
+	 */
+	function openSession( name ) {
+		sessionLoaded = false;
+		sessionStore( 'readonly', function ( store ) {
+			if ( !store ) {
+				if ( config.src != null ) {
+					loadData( config.src );
+				} else {
+					loaded = false;
+				}
+				return;
+			}
+			var request = store.get( [ sessions.deck, name ] );
+			request.onsuccess = function () {
+				sessionLoaded = true;
+				if ( request.result && ( config.src == null || pickedSession() ) ) {
+					var earlier = storage;
+					loaded = initStorage( request.result.json, 'session "' + name + '"' );
+					keepDrawings( earlier );
+					updateStorage();
+					drawingsLoaded();
+					console.log( 'Drawings loaded from session ' + name );
+				} else if ( config.src != null ) {
+					loadData( config.src );
+				} else {
+					loaded = false;
+				}
+			};
+			request.onerror = function () {
+				console.warn( 'Cannot load session ' + name + '!' );
+				loaded = false;
+			};
+		} );
+	}
+
+	function saveSession( json ) {
+		var name = currentSession();
+		sessionStore( 'readwrite', function ( store ) {
+			if ( store ) {
+				store.put( {
+					deck: sessions.deck,
+					name,
+					modified: Date.now(),
+					json
+				} );
+			}
+		} );
+	}
+
+	/**
+	 * Calls back with the list of sessions stored for this presentation.
+	 */
+	function listSessions( callback ) {
+		sessionStore( 'readonly', function ( store ) {
+			if ( !store ) {
+				callback( [] );
+				return;
+			}
+			var request = store.index( 'deck' ).getAll( sessions.deck );
+			request.onsuccess = function () {
+				var list = request.result.map( record => ( { name: record.name, modified: record.modified } ) );
+				if ( !list.find( session => session.name == currentSession() ) ) {
+					list.push( { name: currentSession(), modified: null } );
+				}
+				list.sort( ( a, b ) => a.name.localeCompare( b.name ) );
+				callback( list );
+			};
+			request.onerror = function () {
+				callback( [] );
+			};
+		} );
+	}
+
+	function switchSession( name ) {
+		if ( !sessions || !name || name == currentSession() ) return;
+		if ( sessionLoaded ) {
+			saveSession( JSON.stringify( storage ) );
+		}
+		stopPlayback();
+		sessionName = name;
+		try {
+			localStorage.setItem( sessions.database + ':' + sessions.deck, name );
+		} catch ( err ) {}
+
+		storage = emptyStorage();
+		loaded = null;
+		clearCanvas( 0 );
+		clearCanvas( 1 );
+		if ( mode == 1 ) {
+			closeChalkboard();
+		}
+		openSession( name );
+		whenLoaded( function () {
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'init',
+				timestamp: Date.now() - slideStart,
+				storage,
+				mode,
+				board
+			};
+			document.dispatchEvent( message );
+		} );
+	}
+
+	function deleteSession( name, callback ) {
+		if ( !sessions || name == currentSession() ) {
+			console.warn( 'Cannot delete the current session!' );
+			return;
+		}
+		sessionStore( 'readwrite', function ( store ) {
+			if ( store ) {
+				store.delete( [ sessions.deck, name ] ).onsuccess = callback;
+			}
+		} );
+	}
+
+/*****************************************************************
+ ** Print
+ ******************************************************************/
+	var printMode = ( /print-pdf/gi ).test( window.location.search );
+//console.log("createPrintout" + printMode)
+
+	function addPageNumbers() {
+		// determine page number for printouts with fragments serialised
+		var slides = Reveal.getSlides();
+		var page = 0;
+		for ( var i=0; i < slides.length; i++) {
+			slides[i].setAttribute('data-pdf-page-number',page.toString());
+			// add number of fragments without fragment indices
+			var count = slides[i].querySelectorAll('.fragment:not([data-fragment-index])').length;
+			var fragments = slides[i].querySelectorAll('.fragment[data-fragment-index]');
+			for ( var j=0; j < fragments.length; j++) {
+				// increasenumber of fragments by highest fragment index (which start at 0)
+				if ( Number(fragments[j].getAttribute('data-fragment-index')) + 1 > count ) {
+					count = Number(fragments[j].getAttribute('data-fragment-index')) + 1;
+				}
+			}
+//console.log(count,fragments.length,( slides[i].querySelector('h1,h2,h3,h4')||{}).innerHTML, page); 
+			page += count + 1;
+		}
+	}
+
+	function createPrintout() {
+		//console.warn(Reveal.getTotalSlides(),Reveal.getSlidesElement());
+		if ( storage[ 1 ].data.length == 0 ) return;
+		console.log( 'Create printout(s) for ' + storage[ 1 ].data.length + " slides" );
+		drawingCanvas[ 0 ].container.style.opacity = 0; // do not print notes canvas
+		drawingCanvas[ 0 ].container.style.visibility = 'hidden';
+		drawingCanvas[ 0 ].highlights.canvas.style.visibility = 'hidden';
+
+		var patImg = new Image();
+		patImg.onload = function () {
+			loadBackgrounds( storage[ 1 ].data, loadStamps.bind( null, storage[ 1 ].data, function () {
+				var slides = Reveal.getSlides();
+//console.log(slides);
+				for ( var i = storage[ 1 ].data.length - 1; i >= 0; i-- ) {
+					console.log( 'Create printout for slide ' + storage[ 1 ].data[ i ].slide.h + '.' + storage[ 1 ].data[ i ].slide.v );
+					var slideData = getSlideData( storage[ 1 ].data[ i ].slide, 1 );
+					var drawings = createDrawings( slideData, patImg );
+//console.log("Page:", storage[ 1 ].data[ i ].page );
+//console.log("Slide:", slides[storage[ 1 ].data[ i ].page] );
+					addDrawings( slides[storage[ 1 ].data[ i ].page], drawings );
+
+				}
+//			Reveal.sync();
+			} ) );
+		};
+		patImg.src = background[ 1 ];
+	}
+
+
+	function cloneCanvas( oldCanvas ) {
+		//create a new canvas
+		var newCanvas = document.createElement( 'canvas' );
+		var context = newCanvas.getContext( '2d' );
+		//set dimensions
+		newCanvas.width = oldCanvas.width;
+		newCanvas.height = oldCanvas.height;
+		//apply the old canvas to the new one
+		context.drawImage( oldCanvas, 0, 0 );
+		//return the new canvas
+		return newCanvas;
+	}
+
+	function getCanvas( template, container, board ) {
+		var idx = container.findIndex( element => element.board === board );
+		if ( idx === -1 ) {
+			// canvases are sorted by board when all drawings are created
+			idx = container.length;
+			container.push( {
+				board,
+				canvas: cloneCanvas( template )
+			} );
+		}
+
+		return container[ idx ].canvas;
+	}
+
+	/**
+	 * Returns canvases with the drawings of each board (chalkboard) or of the notes canvas on the
+	 * pattern of the given image or canvas, the optional factor gives the resolution relative to the slide size.
+	 * Boards with drawings outside of the slide area are zoomed out to show all drawings.
+	 */
+	function createDrawings( slideData, patImg, id, factor ) {
+		if ( id == undefined ) id = 1;
+		factor = factor || 1;
+		var width = Reveal.getConfig().width;
+		var height = Reveal.getConfig().height;
+		var currentMode = mode;
+		var currentBoard = board;
+		mode = id;
+		board = 0;
+//		console.log( 'Create printout(s) for slide ', slideData );
+
+		var drawings = [];
+		var templates = {};
+		var views = {};
+		var events = editedEvents( slideData.events );
+
+		/**
+		 * Returns the scale and offsets fitting the slide area and the drawings of the current board into the canvas.
+		 */
+		function boardView() {
+			var key = ( id == 1 ) ? board : 'notes';
+			if ( views[ key ] ) return views[ key ];
+			var left = 0;
+			var top = 0;
+			var right = storage[ id ].width;
+			var bottom = storage[ id ].height;
+			var bounds = ( id == 1 ) && drawingBounds( events.filter( event => ( event.board || 0 ) === board ) );
+			if ( bounds ) {
+				// drawings outside of the slide area of the chalkboard are included
+				var margin = 20;
+				if ( bounds.left < left ) left = bounds.left - margin;
+				if ( bounds.top < top ) top = bounds.top - margin;
+				if ( bounds.right > right ) right = bounds.right + margin;
+				if ( bounds.bottom > bottom ) bottom = bounds.bottom + margin;
+			}
+			var scale = Math.min( width / ( right - left ), height / ( bottom - top ) );
+			views[ key ] = {
+				scale,
+				xOffset: ( width - ( right - left ) * scale ) / 2 - left * scale,
+				yOffset: ( height - ( bottom - top ) * scale ) / 2 - top * scale
+			};
+			return views[ key ];
+		}
+
+		/**
+		 * Returns the background of the current board with its grid.
+		 */
+		function boardTemplate() {
+			var key = ( id == 1 ) ? board : 'notes';
+			if ( templates[ key ] ) return templates[ key ];
+			var template = document.createElement( 'canvas' );
+			template.width = width * factor;
+			template.height = height * factor;
+
+			var imgCtx = template.getContext( '2d' );
+			if ( patImg ) {
+				imgCtx.fillStyle = imgCtx.createPattern( patImg, 'repeat' );
+				imgCtx.rect( 0, 0, template.width, template.height );
+				imgCtx.fill();
+			}
+			if ( id == 1 ) {
+				var view = boardView();
+				var image = backgroundImage( boardBackground( slideData, board ) );
+				if ( image ) drawBackground( imgCtx, image, view.scale * factor, view.xOffset * factor, view.yOffset * factor );
+				drawGridType( imgCtx, boardGrid( slideData, board ), view.scale * factor, view.xOffset * factor, view.yOffset * factor, template.width, template.height );
+			}
+			templates[ key ] = template;
+			return template;
+		}
+
+		function drawingContext() {
+			var context = getCanvas( boardTemplate(), drawings, ( id == 1 ) ? board : undefined ).getContext( '2d' );
+			context.setTransform( factor, 0, 0, factor, 0, 0 );
+			return context;
+		}
+
+		for ( var j = 0; j < events.length; j++ ) {
+			if ( id == 1 && events[ j ].board != undefined ) board = events[ j ].board;
+			var view = boardView();
+			switch ( events[ j ].type ) {
+			case 'draw':
+			case 'polyline':
+			case 'shape':
+			case 'text':
+			case 'stamp':
+			case 'note':
+				drawStroke( id, drawingContext(), events[ j ], view.scale, view.xOffset, view.yOffset );
+				break;
+			case 'erase':
+				var context = drawingContext();
+				var x = view.xOffset + events[ j ].x * view.scale;
+				var y = view.yOffset + events[ j ].y * view.scale;
+				eraseWithSponge( context, x, y );
+				// restore background and grid of the wiped area
+				context.save();
+				context.beginPath();
+				context.arc( x, y, eraser.radius, 0, 2 * Math.PI, false );
+				context.clip();
+				context.setTransform( 1, 0, 0, 1, 0, 0 );
+				context.drawImage( boardTemplate(), 0, 0 );
+				context.restore();
+				break;
+			case 'selectboard':
+				board = events[ j ].board;
+				break;
+			case 'clear':
+				var context = drawingContext();
+				context.setTransform( 1, 0, 0, 1, 0, 0 );
+				context.clearRect( 0, 0, context.canvas.width, context.canvas.height );
+				context.drawImage( boardTemplate(), 0, 0 );
+				break;
+			default:
+				break;
+			}
+		}
+
+		drawings = drawings.sort( ( a, b ) => a.board > b.board && 1 || -1 );
+
+		mode = currentMode;
+		board = currentBoard;
+
+		return drawings;
+	}
+
+	function addDrawings( slide, drawings ) {
+		var parent = slide.parentElement.parentElement;
+		var nextSlide = slide.parentElement.nextElementSibling;
+
+		for ( var i = 0; i < drawings.length; i++ ) {
+			var newPDFPage = document.createElement( 'div' );
+			newPDFPage.classList.add( 'pdf-page' );
+			newPDFPage.style.height = Reveal.getConfig().height;
+			newPDFPage.append( drawings[ i ].canvas );
+//console.log("Add drawing", newPDFPage);
+			if ( nextSlide != null ) {
+				parent.insertBefore( newPDFPage, nextSlide );
+			} else {
+				parent.append( newPDFPage );
+			}
+		}
+	}
+
+/*****************************************************************
+ ** Export
+ ******************************************************************/
+
+	/**
+	 * Returns the events drawn on the canvas with the given id and board with all edits and changes of the boards applied.
+	 */
+	function boardEvents( id, slideData, boardIdx ) {
+		return editedEvents( slideData.events ).filter( event => id == 0 || event.board == boardIdx );
+	}
+
+	/**
+	 * Returns the indices of all boards with events.
+	 */
+	function usedBoards( slideData ) {
+		var events = editedEvents( slideData.events );
+		var boards = [];
+		for ( var i = 0; i < events.length; i++ ) {
+			if ( undoable.includes( events[ i ].type ) && !boards.includes( events[ i ].board || 0 ) ) {
+				boards.push( events[ i ].board || 0 );
+			}
+		}
+		return boards.sort( ( a, b ) => a - b );
+	}
+
+	function escapeXML( text ) {
+		return String( text ).replace( /&/g, '&amp;' )
+			.replace( /</g, '&lt;' )
+			.replace( />/g, '&gt;' )
+			.replace( /"/g, '&quot;' );
+	}
+
+	/**
+	 * Returns the drawings of the notes canvas or of a board as SVG.
+	 */
+	function createSVG( id, slideData, boardIdx ) {
+		var events = boardEvents( id, slideData, boardIdx );
+		var left = 0;
+		var top = 0;
+		var width = storage[ id ].width;
+		var height = storage[ id ].height;
+		var bounds = ( id == 1 ) && drawingBounds( events );
+		if ( bounds ) {
+			// drawings outside of the slide area of the chalkboard are included
+			var margin = 20;
+			left = Math.floor( Math.min( 0, bounds.left - margin ) );
+			top = Math.floor( Math.min( 0, bounds.top - margin ) );
+			width = Math.ceil( Math.max( width, bounds.right + margin ) ) - left;
+			height = Math.ceil( Math.max( height, bounds.bottom + margin ) ) - top;
+		}
+		var defs = '';
+		var content = '';
+		var polyline = null; // polyline which can be continued by the next segment
+		var masks = 0;
+
+		function penWidth( event ) {
+			return event.width || defaultWidth( id );
+		}
+		function penColor( event ) {
+			return pens[ id ][ event.color ] ? pens[ id ][ event.color ].color.replace( /[\d\.]+\)$/g, '1)' ) : 'black';
+		}
+		function endPolyline() {
+			if ( polyline ) {
+				content += '<polyline points="' + polyline.points.join( ' ' ) + '" fill="none" stroke="' + polyline.color + '" stroke-width="' + polyline.width + '" stroke-linecap="round" stroke-linejoin="round"/>\n';
+				polyline = null;
+			}
+		}
+		function addSegment( event, x1, y1, x2, y2, strokeWidth ) {
+			if ( !polyline || polyline.stroke !== event.stroke || polyline.color != penColor( event ) || polyline.width != strokeWidth || polyline.last != x1 + ',' + y1 ) {
+				endPolyline();
+				polyline = {
+					stroke: event.stroke,
+					color: penColor( event ),
+					width: strokeWidth,
+					points: [ x1 + ',' + y1 ]
+				};
+			}
+			polyline.last = x2 + ',' + y2;
+			polyline.points.push( polyline.last );
+		}
+
+		for ( var i = 0; i < events.length; i++ ) {
+			var event = events[ i ];
+			if ( event.type != 'draw' && event.type != 'polyline' ) endPolyline();
+			switch ( event.type ) {
+			case 'draw':
+				addSegment( event, event.x1, event.y1, event.x2, event.y2, penWidth( event ) );
+				break;
+			case 'polyline':
+				if ( event.highlighter ) {
+					endPolyline();
+					var highlighter = highlighters[ event.color ] || highlighters[ 0 ];
+					content += '<polyline points="' + smoothedPoints( event.points ).map( point => point[ 0 ] + ',' + point[ 1 ] ).join( ' ' ) + '" fill="none" stroke="' + highlighter.color + '" stroke-opacity="' + highlighterOpacity + '" stroke-width="' + highlighterWidth + '" stroke-linecap="round" stroke-linejoin="round" style="mix-blend-mode:' + highlighterBlend[ id ] + '"/>\n';
+					break;
+				}
+				var points = smoothedPoints( event.points ).map( point => [ Math.round( point[ 0 ] * 10 ) / 10, Math.round( point[ 1 ] * 10 ) / 10, point[ 2 ] ] );
+				for ( var k = 1; k < points.length; k++ ) {
+					addSegment( event, points[ k - 1 ][ 0 ], points[ k - 1 ][ 1 ], points[ k ][ 0 ], points[ k ][ 1 ], points[ k ][ 2 ] || penWidth( event ) );
+				}
+				break;
+			case 'shape':
+				var lines = shapeLines( event.shape, event.x1, event.y1, event.x2, event.y2 );
+				for ( var j = 0; j < lines.length; j++ ) {
+					content += '<polyline points="' + lines[ j ].map( point => point.join( ',' ) ).join( ' ' ) + '" fill="none" stroke="' + penColor( event ) + '" stroke-width="' + penWidth( event ) + '" stroke-linecap="round" stroke-linejoin="round"/>\n';
+				}
+				break;
+			case 'text':
+				content += '<text x="' + event.x + '" y="' + event.y + '" font-family="' + escapeXML( textFont ) + '" font-size="' + event.size + '" fill="' + penColor( event ) + '" dominant-baseline="hanging">';
+				var textLines = event.text.split( '\n' );
+				for ( var j = 0; j < textLines.length; j++ ) {
+					content += '<tspan x="' + event.x + '" y="' + ( event.y + j * 1.2 * event.size ) + '">' + escapeXML( textLines[ j ] ) + '</tspan>';
+				}
+				content += '</text>\n';
+				break;
+			case 'note':
+				defs += '<clipPath id="note' + i + '"><rect x="' + event.x + '" y="' + event.y + '" width="' + event.width + '" height="' + event.height + '"/></clipPath>\n';
+				content += '<rect x="' + event.x + '" y="' + event.y + '" width="' + event.width + '" height="' + event.height + '" fill="' + ( noteColors[ event.color ] || noteColors[ 0 ] ).color + '" stroke="rgba(0,0,0,0.2)"/>\n';
+				content += '<text clip-path="url(#note' + i + ')" font-family="' + escapeXML( textFont ) + '" font-size="' + event.size + '" fill="' + noteTextColor + '" dominant-baseline="hanging">';
+				var noteLines = wrapNote( event );
+				for ( var j = 0; j < noteLines.length; j++ ) {
+					content += '<tspan x="' + ( event.x + event.size / 2 ) + '" y="' + ( event.y + event.size / 2 + j * 1.2 * event.size ) + '">' + escapeXML( noteLines[ j ] ) + '</tspan>';
+				}
+				content += '</text>\n';
+				break;
+			case 'stamp':
+				content += '<image href="' + escapeXML( new URL( event.src, document.baseURI ).href ) + '" x="' + event.x + '" y="' + event.y + '" width="' + event.width + '" height="' + event.height + '" preserveAspectRatio="none"/>\n';
+				break;
+			case 'erase':
+				// everything drawn before is masked by all subsequent erasures
+				var circles = '';
+				while ( i < events.length && events[ i ].type == 'erase' ) {
+					circles += '<circle cx="' + events[ i ].x + '" cy="' + events[ i ].y + '" r="' + eraser.radius + '" fill="black"/>';
+					i++;
+				}
+				i--;
+				masks++;
+				defs += '<mask id="erase' + masks + '" maskUnits="userSpaceOnUse" x="' + left + '" y="' + top + '" width="' + width + '" height="' + height + '"><rect x="' + left + '" y="' + top + '" width="' + width + '" height="' + height + '" fill="white"/>' + circles + '</mask>\n';
+				content = '<g mask="url(#erase' + masks + ')">\n' + content + '</g>\n';
+				break;
+			case 'clear':
+				content = '';
+				break;
+			}
+		}
+		endPolyline();
+
+		var background = ( id == 1 ) ? '<rect x="' + left + '" y="' + top + '" width="' + width + '" height="' + height + '" fill="' + ( theme == 'whiteboard' ? 'white' : '#2a2a2a' ) + '"/>\n' : '';
+		var href = ( id == 1 ) && boardBackground( slideData, boardIdx ) && backgroundHref( boardBackground( slideData, boardIdx ) );
+		if ( href ) {
+			background += '<image href="' + escapeXML( href ) + '" x="0" y="0" width="' + storage[ 1 ].width + '" height="' + storage[ 1 ].height + '" preserveAspectRatio="xMidYMid meet"/>\n';
+		}
+		return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+			'<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="' + left + ' ' + top + ' ' + width + ' ' + height + '">\n' +
+			( defs ? '<defs>\n' + defs + '</defs>\n' : '' ) +
+			background + content + '</svg>\n';
+	}
+
+	/**
+	 * Returns file name for drawings on the given slide.
+	 */
+	function exportName( slide, id, boardIdx, extension ) {
+		var name = 'slide-' + ( slide.h + 1 ) + '-' + ( slide.v + 1 );
+		if ( slide.f != undefined ) name += '-' + ( slide.f + 1 );
+		name += ( id == 0 ) ? '-notes' : '-board-' + ( boardIdx + 1 );
+		return name + '.' + extension;
+	}
+
+	/**
+	 * Download drawings of all slides as zip file with SVG files or the current canvas as SVG file.
+	 */
+	function downloadSVG( currentOnly ) {
+		// backgrounds are loaded to embed pdf pages and opened files
+		loadBackgrounds( currentOnly ? [ currentSlideData( 1 ) ] : storage[ 1 ].data, function () {
+			if ( currentOnly ) {
+				var svg = createSVG( mode, getSlideData(), board );
+				downloadBlob( exportName( slideIndices, mode, board, 'svg' ), new Blob( [ svg ], { type: 'image/svg+xml' } ) );
+				return;
+			}
+			var files = [];
+			for ( var id = 0; id < 2; id++ ) {
+				for ( var i = 0; i < storage[ id ].data.length; i++ ) {
+					var slideData = storage[ id ].data[ i ];
+					var boards = usedBoards( slideData );
+					for ( var j = 0; j < boards.length; j++ ) {
+						files.push( {
+							name: exportName( slideData.slide, id, boards[ j ], 'svg' ),
+							data: createSVG( id, slideData, boards[ j ] )
+						} );
+					}
+				}
+			}
+			if ( !files.length ) {
+				console.warn( 'No drawings to export!' );
+				return;
+			}
+			downloadBlob( 'chalkboard-svg.zip', createZip( files ) );
+		} );
+	}
+
+	/**
+	 * Returns data url of the image at the given url.
+	 */
+	function fetchDataURL( url ) {
+		return fetch( url ).then( response => response.blob() ).then( blob => new Promise( function ( resolve ) {
+			var reader = new FileReader();
+			reader.onload = function () {
+				resolve( reader.result );
+			};
+			reader.onerror = function () {
+				resolve( url );
+			};
+			reader.readAsDataURL( blob );
+		} ) ).catch( () => url );
+	}
+
+	/**
+	 * Returns the CSS rules of all (same origin) stylesheets.
+	 */
+	function styleSheetsText() {
+		var css = '';
+		for ( var i = 0; i < document.styleSheets.length; i++ ) {
+			try {
+				var rules = document.styleSheets[ i ].cssRules;
+				for ( var j = 0; j < rules.length; j++ ) {
+					css += rules[ j ].cssText + '\n';
+				}
+			} catch ( err ) {
+				// rules of stylesheets from other origins are not accessible
+			}
+		}
+		return css;
+	}
+
+	/**
+	 * Render the slide with the given indices onto a canvas. The slide is rendered
+	 * via an SVG foreign object, images are embedded but web fonts may be replaced.
+	 */
+	function renderSlide( indices, factor, callback ) {
+		var width = Reveal.getConfig().width;
+		var height = Reveal.getConfig().height;
+		var canvas = document.createElement( 'canvas' );
+		canvas.width = width * factor;
+		canvas.height = height * factor;
+		var context = canvas.getContext( '2d' );
+		var viewport = document.querySelector( '.reveal-viewport' ) || document.body;
+		context.fillStyle = window.getComputedStyle( viewport ).backgroundColor || 'white';
+		context.fillRect( 0, 0, canvas.width, canvas.height );
+
+		var slide = Reveal.getSlide( indices.h, indices.v );
+		if ( !slide ) {
+			callback( canvas );
+			return;
+		}
+		var clone = slide.cloneNode( true );
+		clone.classList.add( 'present' );
+		clone.classList.remove( 'past', 'future' );
+		clone.style.display = 'block';
+		clone.style.top = '0px';
+		clone.style.left = '0px';
+		var fragments = clone.querySelectorAll( '.fragment' );
+		for ( var i = 0; i < fragments.length; i++ ) {
+			var visible = ( indices.f != undefined ) && Number( fragments[ i ].getAttribute( 'data-fragment-index' ) ) <= indices.f;
+			fragments[ i ].classList.toggle( 'visible', visible );
+			fragments[ i ].classList.remove( 'current-fragment' );
+		}
+
+		var images = Array.from( clone.querySelectorAll( 'img' ) );
+		Promise.all( images.map( function ( img ) {
+			var src = img.getAttribute( 'src' ) || img.getAttribute( 'data-src' );
+			if ( !src ) return null;
+			return fetchDataURL( new URL( src, document.baseURI ).href ).then( function ( url ) {
+				img.setAttribute( 'src', url );
+				img.removeAttribute( 'data-src' );
+			} );
+		} ) ).then( function () {
+			var reveal = document.createElement( 'div' );
+			reveal.className = document.querySelector( '.reveal' ).className;
+			reveal.style.width = width + 'px';
+			reveal.style.height = height + 'px';
+			var slides = document.createElement( 'div' );
+			slides.className = 'slides';
+			slides.style.width = width + 'px';
+			slides.style.height = height + 'px';
+			slides.style.left = '0px';
+			slides.style.top = '0px';
+			slides.style.transform = 'none';
+			slides.style.inset = '0px';
+			slides.appendChild( clone );
+			reveal.appendChild( slides );
+			var style = document.createElement( 'style' );
+			style.textContent = styleSheetsText();
+			reveal.insertBefore( style, slides );
+
+			var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + canvas.width + '" height="' + canvas.height + '" viewBox="0 0 ' + width + ' ' + height + '">' +
+				'<foreignObject x="0" y="0" width="' + width + '" height="' + height + '">' +
+				new XMLSerializer().serializeToString( reveal ) +
+				'</foreignObject></svg>';
+			var img = new Image();
+			img.onload = function () {
+				context.drawImage( img, 0, 0, canvas.width, canvas.height );
+				callback( canvas );
+			};
+			img.onerror = function () {
+				console.warn( 'Cannot render slide ' + indices.h + '.' + indices.v + '!' );
+				callback( canvas );
+			};
+			img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent( svg );
+		} ).catch( function ( err ) {
+			console.warn( 'Cannot render slide ' + indices.h + '.' + indices.v + '!', err );
+			callback( canvas );
+		} );
+	}
+
+	/**
+	 * Returns indices of all slides with drawings.
+	 */
+	function slidesWithDrawings() {
+		var slides = [];
+		for ( var id = 0; id < 2; id++ ) {
+			for ( var i = 0; i < storage[ id ].data.length; i++ ) {
+				var slide = storage[ id ].data[ i ].slide;
+				if ( usedBoards( storage[ id ].data[ i ] ).length && !slides.find( indices => indices.h === slide.h && indices.v === slide.v && indices.f === slide.f ) ) {
+					slides.push( slide );
+				}
+			}
+		}
+		return slides.sort( ( a, b ) => ( a.h - b.h ) || ( a.v - b.v ) || ( ( a.f || -1 ) - ( b.f || -1 ) ) );
+	}
+
+	/**
+	 * Download PNG images of the current slide or all slides with drawings. Each slide is
+	 * rendered with the drawings on the notes canvas, each board is added as separate image.
+	 */
+	function downloadPNG( all, factor ) {
+		factor = factor || 1;
+		var slides = all ? slidesWithDrawings() : [ slideIndices ];
+		var files = [];
+
+		var patImg = new Image();
+		patImg.onload = function () {
+			var next = function ( k ) {
+				if ( k == slides.length ) {
+					Promise.all( files.map( file => new Promise( function ( resolve, reject ) {
+						// toBlob throws for canvases tainted by images from other servers and passes null if the image cannot be created
+						file.canvas.toBlob( blob => blob ? resolve( blob ) : reject( new Error( 'Cannot create image ' + file.name ) ), 'image/png' );
+					} ).then( blob => blob.arrayBuffer() ).then( buffer => {
+						file.data = new Uint8Array( buffer );
+					} ) ) ).then( function () {
+						if ( files.length == 1 ) {
+							downloadBlob( files[ 0 ].name, new Blob( [ files[ 0 ].data ], { type: 'image/png' } ) );
+						} else if ( files.length ) {
+							downloadBlob( 'chalkboard-png.zip', createZip( files ) );
+						}
+					} ).catch( function ( err ) {
+						reportFailure( 'Cannot export slides as PNG', err );
+					} );
+					return;
+				}
+				var indices = slides[ k ];
+				renderSlide( indices, factor, function ( canvas ) {
+					// the slide is used as background of the notes so that highlights are blended with it
+					var notesData = findSlideData( indices, 0 );
+					var notes = notesData ? createDrawings( notesData, canvas, 0, factor ) : [];
+					files.push( {
+						name: exportName( indices, 0, 0, 'png' ).replace( '-notes', '' ),
+						canvas: notes.length ? notes[ 0 ].canvas : canvas
+					} );
+					var slideData = findSlideData( indices, 1 );
+					var boards = slideData ? usedBoards( slideData ) : [];
+					var drawings = boards.length ? createDrawings( slideData, patImg, 1, factor ) : [];
+					for ( var i = 0; i < drawings.length; i++ ) {
+						if ( boards.includes( drawings[ i ].board ) ) {
+							files.push( {
+								name: exportName( indices, 1, drawings[ i ].board, 'png' ),
+								canvas: drawings[ i ].canvas
+							} );
+						}
+					}
+					next( k + 1 );
+				} );
+			};
+			var slideData = slides.map( indices => findSlideData( indices, 1 ) );
+			loadBackgrounds( slideData, loadStamps.bind( null, slideData.concat( slides.map( indices => findSlideData( indices, 0 ) ) ), function () {
+				next( 0 );
+			} ) );
+		};
+		patImg.onerror = function () {
+			reportFailure( 'Cannot export slides as PNG', new Error( 'Cannot load the background ' + background[ 1 ] ) );
+		};
+		patImg.src = background[ 1 ];
+	}
+
+	/**
+	 * Open dialog to select resolution and slides for the PNG export.
+	 */
+	function exportPNG() {
+		var dialog = createDialog( 'Export slides as PNG' );
+		var select = document.createElement( 'select' );
+		var factors = [ 1, 1.5, 2, 3, 4 ];
+		for ( var i = 0; i < factors.length; i++ ) {
+			var option = document.createElement( 'option' );
+			option.value = factors[ i ];
+			option.textContent = Math.round( Reveal.getConfig().width * factors[ i ] ) + ' x ' + Math.round( Reveal.getConfig().height * factors[ i ] );
+			select.appendChild( option );
+		}
+		dialog.appendChild( select );
+		dialog.appendChild( dialogButton( 'Current slide', function () {
+			downloadPNG( false, Number( select.value ) );
+		}, dialog ) );
+		dialog.appendChild( dialogButton( 'All slides with drawings', function () {
+			downloadPNG( true, Number( select.value ) );
+		}, dialog ) );
+	}
+
+	function downloadBlob( name, blob ) {
+		var a = document.createElement( 'a' );
+		document.body.appendChild( a );
+		a.download = name;
+		a.href = window.URL.createObjectURL( blob );
+		a.click();
+		document.body.removeChild( a );
+		setTimeout( window.URL.revokeObjectURL, 1000, a.href );
+	}
+
+	var crcTable = null;
+
+	function crc32( bytes ) {
+		if ( !crcTable ) {
+			crcTable = [];
+			for ( var n = 0; n < 256; n++ ) {
+				var c = n;
+				for ( var k = 0; k < 8; k++ ) {
+					c = ( c & 1 ) ? ( 0xEDB88320 ^ ( c >>> 1 ) ) : ( c >>> 1 );
+				}
+				crcTable[ n ] = c >>> 0;
+			}
+		}
+		var crc = 0xFFFFFFFF;
+		for ( var i = 0; i < bytes.length; i++ ) {
+			crc = crcTable[ ( crc ^ bytes[ i ] ) & 0xFF ] ^ ( crc >>> 8 );
+		}
+		return ( crc ^ 0xFFFFFFFF ) >>> 0;
+	}
+
+	/**
+	 * Returns a zip archive (without compression) of the given files as blob.
+	 * The data of each file is a string or a Uint8Array.
+	 */
+	function createZip( files ) {
+		var encoder = new TextEncoder();
+		var parts = [];
+		var directory = [];
+		var offset = 0;
+		var time = new Date();
+		var dosTime = ( time.getHours() << 11 ) | ( time.getMinutes() << 5 ) | ( time.getSeconds() >> 1 );
+		var dosDate = ( ( time.getFullYear() - 1980 ) << 9 ) | ( ( time.getMonth() + 1 ) << 5 ) | time.getDate();
+
+		function header( signature, name, data, crc, extra ) {
+			var size = ( signature == 0x02014b50 ) ? 46 : 30;
+			var view = new DataView( new ArrayBuffer( size ) );
+			var i = 0;
+			view.setUint32( i, signature, true ); i += 4;
+			if ( signature == 0x02014b50 ) {
+				view.setUint16( i, 20, true ); i += 2; // version made by
+			}
+			view.setUint16( i, 20, true ); i += 2; // version needed
+			view.setUint16( i, 0x0800, true ); i += 2; // utf-8 file names
+			view.setUint16( i, 0, true ); i += 2; // stored
+			view.setUint16( i, dosTime, true ); i += 2;
+			view.setUint16( i, dosDate, true ); i += 2;
+			view.setUint32( i, crc, true ); i += 4;
+			view.setUint32( i, data.length, true ); i += 4;
+			view.setUint32( i, data.length, true ); i += 4;
+			view.setUint16( i, name.length, true ); i += 2;
+			view.setUint16( i, 0, true ); i += 2;
+			if ( signature == 0x02014b50 ) {
+				view.setUint16( i, 0, true ); i += 2; // comment length
+				view.setUint16( i, 0, true ); i += 2; // disk number
+				view.setUint16( i, 0, true ); i += 2; // internal attributes
+				view.setUint32( i, 0, true ); i += 4; // external attributes
+				view.setUint32( i, extra, true ); i += 4; // offset of local header
+			}
+			return new Uint8Array( view.buffer );
+		}
+
+		for ( var i = 0; i < files.length; i++ ) {
+			var name = encoder.encode( files[ i ].name );
+			var data = ( typeof files[ i ].data == 'string' ) ? encoder.encode( files[ i ].data ) : files[ i ].data;
+			var crc = crc32( data );
+			var local = header( 0x04034b50, name, data, crc );
+			parts.push( local, name, data );
+			directory.push( header( 0x02014b50, name, data, crc, offset ), name );
+			offset += local.length + name.length + data.length;
+		}
+
+		var size = directory.reduce( ( sum, part ) => sum + part.length, 0 );
+		var end = new DataView( new ArrayBuffer( 22 ) );
+		end.setUint32( 0, 0x06054b50, true );
+		end.setUint16( 8, files.length, true );
+		end.setUint16( 10, files.length, true );
+		end.setUint32( 12, size, true );
+		end.setUint32( 16, offset, true );
+
+		return new Blob( parts.concat( directory, [ new Uint8Array( end.buffer ) ] ), { type: 'application/zip' } );
+	}
+
+	/*****************************************************************
+	 ** Drawings
+	 ******************************************************************/
+
+	function drawWithBoardmarker( context, fromX, fromY, toX, toY, colorIdx, width ) {
+		if ( colorIdx == undefined ) colorIdx = color[ mode ];
+		context.lineWidth = width || boardmarkerWidth;
+		context.lineCap = 'round';
+		context.strokeStyle = ( boardmarkers[ colorIdx ] || boardmarkers[ 0 ] ).color;
+		context.beginPath();
+		context.moveTo( fromX, fromY );
+		context.lineTo( toX, toY );
+		context.stroke();
+	}
+
+	function drawWithChalk( context, fromX, fromY, toX, toY, colorIdx, width ) {
+		if ( colorIdx == undefined ) colorIdx = color[ mode ];
+		var brushDiameter = width || chalkWidth;
+		context.lineWidth = brushDiameter;
+		context.lineCap = 'round';
+		context.fillStyle = ( chalks[ colorIdx ] || chalks[ 0 ] ).color; // 'rgba(255,255,255,0.5)';
+		context.strokeStyle = ( chalks[ colorIdx ] || chalks[ 0 ] ).color;
+		/*var opacity = Math.min(0.8, Math.max(0,color[1].replace(/^.*,(.+)\)/,'$1') - 0.1)) + Math.random()*0.2;*/
+		var opacity = 1.0;
+		context.strokeStyle = context.strokeStyle.replace( /[\d\.]+\)$/g, opacity + ')' );
+		context.beginPath();
+		context.moveTo( fromX, fromY );
+		context.lineTo( toX, toY );
+		context.stroke();
+		// Chalk Effect
+		var length = Math.round( Math.sqrt( Math.pow( toX - fromX, 2 ) + Math.pow( toY - fromY, 2 ) ) / ( 5 / brushDiameter ) );
+		var xUnit = ( toX - fromX ) / length;
+		var yUnit = ( toY - fromY ) / length;
+		for ( var i = 0; i < length; i++ ) {
+			if ( chalkEffect > ( Math.random() * 0.9 ) ) {
+				var xCurrent = fromX + ( i * xUnit );
+				var yCurrent = fromY + ( i * yUnit );
+				var xRandom = xCurrent + ( Math.random() - 0.5 ) * brushDiameter * 1.2;
+				var yRandom = yCurrent + ( Math.random() - 0.5 ) * brushDiameter * 1.2;
+				context.clearRect( xRandom, yRandom, Math.random() * 2 + 2, Math.random() + 1 );
+			}
+		}
+	}
+ 
+	/**
+	 * Returns the polylines outlining a line, arrow, rectangle, ellipse or triangle, the apex of the triangle
+	 * is centered above (or below) its base.
+	 */
+	function shapeLines( shape, x1, y1, x2, y2 ) {
+		switch ( shape ) {
+		case 'line':
+			return [ [ [ x1, y1 ], [ x2, y2 ] ] ];
+		case 'arrow':
+			var angle = Math.atan2( y2 - y1, x2 - x1 );
+			var head = Math.min( 20, Math.sqrt( Math.pow( x2 - x1, 2 ) + Math.pow( y2 - y1, 2 ) ) / 3 );
+			return [
+				[ [ x1, y1 ], [ x2, y2 ] ],
+				[
+					[ x2 - head * Math.cos( angle - Math.PI / 6 ), y2 - head * Math.sin( angle - Math.PI / 6 ) ],
+					[ x2, y2 ],
+					[ x2 - head * Math.cos( angle + Math.PI / 6 ), y2 - head * Math.sin( angle + Math.PI / 6 ) ]
+				]
+			];
+		case 'rectangle':
+			return [ [ [ x1, y1 ], [ x2, y1 ], [ x2, y2 ], [ x1, y2 ], [ x1, y1 ] ] ];
+		case 'ellipse':
+			var points = [];
+			for ( var i = 0; i <= 64; i++ ) {
+				points.push( [
+					( x1 + x2 ) / 2 + Math.abs( x2 - x1 ) / 2 * Math.cos( i * Math.PI / 32 ),
+					( y1 + y2 ) / 2 + Math.abs( y2 - y1 ) / 2 * Math.sin( i * Math.PI / 32 )
+				] );
+			}
+			return [ points ];
+		case 'triangle':
+			return [ [ [ ( x1 + x2 ) / 2, y1 ], [ x2, y2 ], [ x1, y2 ], [ ( x1 + x2 ) / 2, y1 ] ] ];
+		}
+		return [];
+	}
+
+	/**
+	 * Returns the points of a polyline simplified with the Ramer-Douglas-Peucker algorithm,
+	 * points closer than the tolerance to the simplified line are removed.
+	 */
+	function simplifyPoints( points, tolerance ) {
+		if ( !tolerance || points.length < 3 ) return points;
+		var keep = points.map( () => false );
+		keep[ 0 ] = keep[ points.length - 1 ] = true;
+		var ranges = [ [ 0, points.length - 1 ] ];
+		while ( ranges.length ) {
+			var range = ranges.pop();
+			var first = points[ range[ 0 ] ];
+			var last = points[ range[ 1 ] ];
+			var dx = last[ 0 ] - first[ 0 ];
+			var dy = last[ 1 ] - first[ 1 ];
+			var length = Math.sqrt( dx * dx + dy * dy );
+			var maxDistance = 0;
+			var index = 0;
+			for ( var i = range[ 0 ] + 1; i < range[ 1 ]; i++ ) {
+				var distance = length ?
+					Math.abs( dy * ( points[ i ][ 0 ] - first[ 0 ] ) - dx * ( points[ i ][ 1 ] - first[ 1 ] ) ) / length :
+					Math.sqrt( Math.pow( points[ i ][ 0 ] - first[ 0 ], 2 ) + Math.pow( points[ i ][ 1 ] - first[ 1 ], 2 ) );
+				if ( distance > maxDistance ) {
+					maxDistance = distance;
+					index = i;
+				}
+			}
+			if ( maxDistance > tolerance ) {
+				keep[ index ] = true;
+				ranges.push( [ range[ 0 ], index ], [ index, range[ 1 ] ] );
+			}
+		}
+		return points.filter( ( point, i ) => keep[ i ] );
+	}
+
+	/**
+	 * Returns the part of a smoothed stroke which is added with the k-th point of the stroke as a list of points
+	 * [ x, y, width ], the width applies to the segment ending at the point. The curve runs through the
+	 * midpoints of the segments (quadratic) or through the points (Catmull-Rom) and lags one point behind.
+	 */
+	function smoothedPart( points, k ) {
+		var p = i => points[ Math.max( 0, Math.min( points.length - 1, i ) ) ];
+		switch ( smoothing ) {
+		case 'quadratic':
+			var from = ( k == 1 ) ? p( 0 ) : midpoint( p( k - 2 ), p( k - 1 ) );
+			return curvePoints( from, p( k - 1 ), midpoint( p( k - 1 ), p( k ) ), null, points[ k ][ 3 ] );
+		case 'catmull-rom':
+			if ( k < 2 ) return [ [ p( 0 )[ 0 ], p( 0 )[ 1 ] ] ];
+			return curvePoints( p( k - 2 ), p( k - 3 ), p( k ), p( k - 1 ), points[ k - 1 ][ 3 ] );
+		default:
+			return [ [ p( k - 1 )[ 0 ], p( k - 1 )[ 1 ] ], [ p( k )[ 0 ], p( k )[ 1 ], points[ k ][ 3 ] ] ];
+		}
+	}
+
+	/**
+	 * Returns the part of a smoothed stroke which is added at the end of the stroke.
+	 */
+	function smoothedEnd( points ) {
+		var n = points.length;
+		switch ( smoothing ) {
+		case 'quadratic':
+			var last = points[ n - 1 ];
+			return [ midpoint( points[ Math.max( 0, n - 2 ) ], last ), [ last[ 0 ], last[ 1 ], last[ 3 ] ] ];
+		case 'catmull-rom':
+			if ( n < 2 ) return [];
+			return curvePoints( points[ n - 2 ], points[ Math.max( 0, n - 3 ) ], points[ n - 1 ], points[ n - 1 ], points[ n - 1 ][ 3 ] );
+		default:
+			return [];
+		}
+	}
+
+	/**
+	 * Returns all points of a smoothed stroke.
+	 */
+	function smoothedPoints( points ) {
+		if ( points.length < 2 ) return points.map( point => [ point[ 0 ], point[ 1 ] ] );
+		var result = smoothedPart( points, 1 );
+		for ( var k = 2; k < points.length; k++ ) {
+			result = result.concat( smoothedPart( points, k ).slice( 1 ) );
+		}
+		return result.concat( smoothedEnd( points ).slice( 1 ) );
+	}
+
+	function midpoint( a, b ) {
+		return [ ( a[ 0 ] + b[ 0 ] ) / 2, ( a[ 1 ] + b[ 1 ] ) / 2 ];
+	}
+
+	/**
+	 * Returns points on a quadratic curve from a to b with the control point c or, if d is given,
+	 * on the Catmull-Rom spline from a to d with c before a and b after d.
+	 */
+	function curvePoints( a, c, b, d, width ) {
+		var end = d || b;
+		var length = Math.sqrt( Math.pow( c[ 0 ] - a[ 0 ], 2 ) + Math.pow( c[ 1 ] - a[ 1 ], 2 ) ) + Math.sqrt( Math.pow( end[ 0 ] - c[ 0 ], 2 ) + Math.pow( end[ 1 ] - c[ 1 ], 2 ) );
+		var steps = Math.max( 1, Math.min( 16, Math.ceil( length / 4 ) ) );
+		var result = [ [ a[ 0 ], a[ 1 ] ] ];
+		for ( var i = 1; i <= steps; i++ ) {
+			var t = i / steps;
+			var point = [ 0, 1 ].map( j => d ?
+				0.5 * ( 2 * a[ j ] + ( d[ j ] - c[ j ] ) * t + ( 2 * c[ j ] - 5 * a[ j ] + 4 * d[ j ] - b[ j ] ) * t * t + ( 3 * a[ j ] - c[ j ] - 3 * d[ j ] + b[ j ] ) * t * t * t ) :
+				( 1 - t ) * ( 1 - t ) * a[ j ] + 2 * ( 1 - t ) * t * c[ j ] + t * t * b[ j ]
+			);
+			point.push( width );
+			result.push( point );
+		}
+		return result;
+	}
+
+	/**
+	 * Draw the points of a stroke with the pen or highlighter.
+	 */
+	function drawCurve( id, context, points, colorIdx, highlighter, scale, xOffset, yOffset ) {
+		if ( highlighter ) {
+			drawHighlighter( id, ( context == drawingCanvas[ id ].context ) ? drawingCanvas[ id ].highlights : context, points, colorIdx, scale, xOffset, yOffset );
+			return;
+		}
+		for ( var k = 1; k < points.length; k++ ) {
+			draw[ id ]( context,
+				xOffset + points[ k - 1 ][ 0 ] * scale,
+				yOffset + points[ k - 1 ][ 1 ] * scale,
+				xOffset + points[ k ][ 0 ] * scale,
+				yOffset + points[ k ][ 1 ] * scale,
+				colorIdx,
+				points[ k ][ 2 ]
+			);
+		}
+	}
+
+	/**
+	 * Draw shape with the pen of the notes canvas or chalkboard.
+	 */
+	function drawShape( id, context, event, scale, xOffset, yOffset ) {
+		var lines = shapeLines( event.shape, event.x1, event.y1, event.x2, event.y2 );
+		for ( var i = 0; i < lines.length; i++ ) {
+			for ( var j = 1; j < lines[ i ].length; j++ ) {
+				draw[ id ]( context,
+					xOffset + lines[ i ][ j - 1 ][ 0 ] * scale,
+					yOffset + lines[ i ][ j - 1 ][ 1 ] * scale,
+					xOffset + lines[ i ][ j ][ 0 ] * scale,
+					yOffset + lines[ i ][ j ][ 1 ] * scale,
+					event.color,
+					event.width
+				);
+			}
+		}
+	}
+
+	/**
+	 * Draw typed text in the color of the pen (without transparency).
+	 */
+	function drawText( id, context, event, scale, xOffset, yOffset ) {
+		var lines = event.text.split( '\n' );
+		context.font = ( event.size * scale ) + 'px ' + textFont;
+		context.textBaseline = 'top';
+		context.fillStyle = getPen( id, event.color ).color.replace( /[\d\.]+\)$/g, '1)' );
+		for ( var i = 0; i < lines.length; i++ ) {
+			context.fillText( lines[ i ], xOffset + event.x * scale, yOffset + ( event.y + i * 1.2 * event.size ) * scale );
+		}
+	}
+
+	/**
+	 * Draw a highlighter stroke through the given points, strokes on the highlighter layer of a canvas are
+	 * opaque as the layer itself is translucent, on other contexts they are translucent and blended.
+	 */
+	function drawHighlighter( id, context, points, colorIdx, scale, xOffset, yOffset ) {
+		var layer = ( context == drawingCanvas[ id ].highlights );
+		context.save();
+		if ( !layer ) {
+			context.globalAlpha = highlighterOpacity;
+			context.globalCompositeOperation = highlighterBlend[ id ];
+		}
+		context.lineWidth = highlighterWidth;
+		context.lineCap = 'round';
+		context.lineJoin = 'round';
+		context.strokeStyle = ( highlighters[ colorIdx ] || highlighters[ 0 ] ).color;
+		context.beginPath();
+		for ( var k = 0; k < points.length; k++ ) {
+			context.lineTo( xOffset + points[ k ][ 0 ] * scale, yOffset + points[ k ][ 1 ] * scale );
+		}
+		context.stroke();
+		context.restore();
+	}
+
+	/**
+	 * Draw a complete stroke (segment, polyline, shape, text, stamp or sticky note).
+	 */
+	function drawStroke( id, context, event, scale, xOffset, yOffset ) {
+		switch ( event.type ) {
+		case 'draw':
+			draw[ id ]( context, xOffset + event.x1 * scale, yOffset + event.y1 * scale, xOffset + event.x2 * scale, yOffset + event.y2 * scale, event.color, event.width );
+			break;
+		case 'polyline':
+			drawCurve( id, context, smoothedPoints( event.points ), event.color, event.highlighter, scale, xOffset, yOffset );
+			break;
+		case 'shape':
+			drawShape( id, context, event, scale, xOffset, yOffset );
+			break;
+		case 'text':
+			drawText( id, context, event, scale, xOffset, yOffset );
+			break;
+		case 'stamp':
+			drawStamp( context, event, scale, xOffset, yOffset );
+			break;
+		case 'note':
+			drawNote( context, event, scale, xOffset, yOffset );
+			break;
+		}
+	}
+
+	/**
+	 * Returns width and height of typed text.
+	 */
+	function textBounds( event ) {
+		var context = drawingCanvas[ mode ].preview;
+		var lines = event.text.split( '\n' );
+		context.font = event.size + 'px ' + textFont;
+		var width = 0;
+		for ( var i = 0; i < lines.length; i++ ) {
+			width = Math.max( width, context.measureText( lines[ i ] ).width );
+		}
+		return {
+			width,
+			height: lines.length * 1.2 * event.size
+		};
+	}
+
+	function eraseWithSponge( context, x, y ) {
+		context.save();
+		context.beginPath();
+		context.arc( x, y, eraser.radius, 0, 2 * Math.PI, false );
+		context.clip();
+		context.clearRect( x - eraser.radius - 1, y - eraser.radius - 1, eraser.radius * 2 + 2, eraser.radius * 2 + 2 );
+		context.restore();
+		if ( context == drawingCanvas[ 1 ].context ) {
+			redrawGrid( x, y, eraser.radius );
+		}
+		// highlights are wiped away as well
+		for ( var id = 0; id < 2; id++ ) {
+			if ( context == drawingCanvas[ id ].context ) eraseWithSponge( drawingCanvas[ id ].highlights, x, y );
+		}
+	}
+
+
+	/**
+	 * Show an overlay for the chalkboard.
+	 */
+	function showChalkboard() {
+//console.log("showChalkboard");
+		clearSelection();
+		clearTimeout( touchTimeout );
+		touchTimeout = null;
+		drawingCanvas[ 0 ].sponge.style.visibility = 'hidden'; // make sure that the sponge from touch events is hidden
+		drawingCanvas[ 1 ].sponge.style.visibility = 'hidden'; // make sure that the sponge from touch events is hidden
+		drawingCanvas[ 1 ].container.style.opacity = 1;
+		drawingCanvas[ 1 ].container.style.visibility = 'visible';
+		mode = 1;
+	}
+
+
+	/**
+	 * Closes open chalkboard.
+	 */
+	function closeChalkboard() {
+		clearSelection();
+		clearTimeout( touchTimeout );
+		touchTimeout = null;
+		drawingCanvas[ 0 ].sponge.style.visibility = 'hidden'; // make sure that the sponge from touch events is hidden
+		drawingCanvas[ 1 ].sponge.style.visibility = 'hidden'; // make sure that the sponge from touch events is hidden
+		drawingCanvas[ 1 ].container.style.opacity = 0;
+		drawingCanvas[ 1 ].container.style.visibility = 'hidden';
+		lastX = null;
+		lastY = null;
+		mode = 0;
+	}
+
+	/**
+	 * Clear current canvas.
+	 */
+	function clearCanvas( id ) {
+		if ( id == 0 ) clearTimeout( slidechangeTimeout );
+		drawingCanvas[ id ].context.clearRect( 0, 0, drawingCanvas[ id ].width, drawingCanvas[ id ].height );
+		drawingCanvas[ id ].highlights.clearRect( 0, 0, drawingCanvas[ id ].width, drawingCanvas[ id ].height );
+		drawingCanvas[ id ].preview.clearRect( 0, 0, drawingCanvas[ id ].width, drawingCanvas[ id ].height );
+		drawInstrument( id );
+		if ( id == 1 ) drawGrid();
+		if ( id == 1 ) updateBoardLabel();
+	}
+
+	/**
+	 * Draw background image and grid of the current board
+	 */
+	function drawGrid() {
+		fitCanvas( 1 );
+		var slideData = shownSlideData();
+		var reference = boardBackground( slideData, board );
+		var image = backgroundImage( reference );
+		if ( image ) {
+			drawBackground( drawingCanvas[ 1 ].context, image, drawingCanvas[ 1 ].scale, drawingCanvas[ 1 ].xOffset, drawingCanvas[ 1 ].yOffset );
+		} else if ( reference && !backgroundImages[ backgroundKey( reference ) ] ) {
+			// redraw the board as soon as the background is loaded
+			loadBackground( reference, function ( image ) {
+				var current = boardBackground( shownSlideData(), board );
+				if ( image && current && backgroundKey( current ) == backgroundKey( reference ) ) scheduleRedraw();
+			} );
+		}
+		drawGridType( drawingCanvas[ 1 ].context, boardGrid( slideData, board ), drawingCanvas[ 1 ].scale, drawingCanvas[ 1 ].xOffset, drawingCanvas[ 1 ].yOffset, drawingCanvas[ 1 ].width, drawingCanvas[ 1 ].height );
+	}
+
+	/**
+	 * Draw grid within the circle wiped away by the sponge
+	 */
+	function redrawGrid( centerX, centerY, diameter ) {
+		var context = drawingCanvas[ 1 ].context;
+		context.save();
+		context.beginPath();
+		context.arc( centerX, centerY, diameter, 0, 2 * Math.PI, false );
+		context.clip();
+		drawGrid();
+		context.restore();
+	}
+
+	/**
+	 * Draw a grid of the given type onto a context of the given size,
+	 * scale and offsets transform the coordinates of the chalkboard to the context.
+	 */
+	function drawGridType( context, type, scale, xOffset, yOffset, width, height ) {
+		if ( !gridStyle || !type || type == 'none' ) return;
+		var distance = gridStyle.distance * scale;
+		var lineWidth = gridStyle.width * scale;
+		// lines are arranged around the center of the slide
+		var centerX = xOffset + storage[ 1 ].width / 2 * scale;
+		var centerY = yOffset + storage[ 1 ].height / 2 * scale;
+
+		// returns the first position of a series with the given step through the position which is visible
+		function first( position, step ) {
+			return position - Math.floor( position / step ) * step;
+		}
+		function line( x1, y1, x2, y2, width ) {
+			context.beginPath();
+			context.lineWidth = width;
+			context.moveTo( x1, y1 );
+			context.lineTo( x2, y2 );
+			context.stroke();
+		}
+
+		context.save();
+		context.lineCap = 'round';
+		context.fillStyle = gridStyle.color;
+		context.strokeStyle = gridStyle.color;
+		switch ( type ) {
+		case 'square':
+			for ( var x = first( centerX - distance / 2, distance ); x < width; x += distance ) {
+				line( x, 0, x, height, lineWidth );
+			}
+			for ( var y = first( centerY - distance / 2, distance ); y < height; y += distance ) {
+				line( 0, y, width, y, lineWidth );
+			}
+			break;
+		case 'graph':
+			// thin lines with every fifth line bold
+			var step = distance / 5;
+			for ( var x = first( centerX - distance / 2, step ); x < width; x += step ) {
+				line( x, 0, x, height, ( Math.round( ( x - centerX + distance / 2 ) / step ) % 5 == 0 ) ? lineWidth : lineWidth / 3 );
+			}
+			for ( var y = first( centerY - distance / 2, step ); y < height; y += step ) {
+				line( 0, y, width, y, ( Math.round( ( y - centerY + distance / 2 ) / step ) % 5 == 0 ) ? lineWidth : lineWidth / 3 );
+			}
+			break;
+		case 'dots':
+			for ( var x = first( centerX - distance / 2, distance ); x < width; x += distance ) {
+				for ( var y = first( centerY - distance / 2, distance ); y < height; y += distance ) {
+					context.beginPath();
+					context.arc( x, y, lineWidth * 1.5, 0, 2 * Math.PI );
+					context.fill();
+				}
+			}
+			break;
+		case 'ruled':
+			for ( var y = first( centerY - distance / 2, distance ); y < height; y += distance ) {
+				line( 0, y, width, y, lineWidth );
+			}
+			break;
+		case 'staff':
+			// staves of five lines separated by the height of a staff
+			var gap = distance / 4;
+			for ( var y = first( centerY - distance / 2, 2 * distance ) - 2 * distance; y < height; y += 2 * distance ) {
+				for ( var i = 0; i < 5; i++ ) {
+					line( 0, y + i * gap, width, y + i * gap, lineWidth / 2 );
+				}
+			}
+			break;
+		case 'axes':
+			// coordinate system with the origin at the center of the slide and one unit per grid distance
+			for ( var x = first( centerX, distance ); x < width; x += distance ) {
+				line( x, 0, x, height, lineWidth / 2 );
+			}
+			for ( var y = first( centerY, distance ); y < height; y += distance ) {
+				line( 0, y, width, y, lineWidth / 2 );
+			}
+			line( 0, centerY, width, centerY, lineWidth * 1.5 );
+			line( centerX, 0, centerX, height, lineWidth * 1.5 );
+			var head = distance / 4;
+			line( width - head, centerY - head / 2, width, centerY, lineWidth * 1.5 );
+			line( width - head, centerY + head / 2, width, centerY, lineWidth * 1.5 );
+			line( centerX - head / 2, head, centerX, 0, lineWidth * 1.5 );
+			line( centerX + head / 2, head, centerX, 0, lineWidth * 1.5 );
+			context.font = Math.round( distance / 4 ) + 'px ' + textFont;
+			context.textAlign = 'center';
+			context.textBaseline = 'top';
+			for ( var x = first( centerX, distance ); x < width - head; x += distance ) {
+				var unit = Math.round( ( x - centerX ) / distance );
+				if ( unit != 0 ) context.fillText( unit, x, centerY + lineWidth * 2 );
+			}
+			context.textAlign = 'right';
+			context.textBaseline = 'middle';
+			for ( var y = first( centerY, distance ); y < height; y += distance ) {
+				var unit = Math.round( ( centerY - y ) / distance );
+				if ( unit != 0 && y > head ) context.fillText( unit, centerX - lineWidth * 2, y );
+			}
+			break;
+		}
+		context.restore();
+	}
+
+	/**
+	 * Set the  color
+	 */
+	function setColor( index, record ) {
+		// protect against out of bounds (this could happen when
+		// replaying events recorded with different color settings).
+		if ( index >= pens[ mode ].length ) index = 0;
+		color[ mode ] = index;
+		drawingCanvas[ mode ].canvas.style.cursor = toolCursor();
+	}
+
+	/**
+	 * Set the  board
+	 */
+	function selectBoard( boardIdx, record, until ) {
+//console.log("Set board",boardIdx);
+		if ( board == boardIdx ) return;
+
+		clearSelection();
+		board = boardIdx;
+		restoreViewport( boardIdx, until );
+		redrawChalkboard( boardIdx, until );
+		if ( record ) {
+			recordEvent( { type: 'selectboard' } );
+		}
+	}
+
+	/**
+	 * Redraw a board with the events before the given time (by default the current time).
+	 */
+	function redrawChalkboard( boardIdx, until ) {
+		clearCanvas( 1 );
+		var slideData = getSlideData( slideIndices, 1 );
+		var index = 0;
+		var play = ( boardIdx == 0 );
+		var now = ( until != undefined ) ? until : playback ? playbackTime() : Date.now() - slideStart;
+		var events = editedEvents( slideData.events, now );
+		while ( index < events.length && events[ index ].time < now ) {
+			if ( boardIdx == events[ index ].board && ![ 'open', 'close', 'viewport' ].includes( events[ index ].type ) ) {
+				playEvent( 1, events[ index ], now );
+			}
+
+			index++;
+		}
+		if ( selection && mode == 1 ) showSelection();
+	}
+
+	/**
+	 * Redraw notes canvas or current board with the events before the given time (by default the current time).
+	 */
+	function redrawCanvas( id, until ) {
+		if ( id == 1 ) {
+			redrawChalkboard( board, until );
+			return;
+		}
+		clearCanvas( 0 );
+		var slideData = getSlideData( slideIndices, 0 );
+		var now = ( until != undefined ) ? until : playback ? playbackTime() : Date.now() - slideStart;
+		var events = editedEvents( slideData.events, now );
+		for ( var index = 0; index < events.length && events[ index ].time < now; index++ ) {
+			if ( events[ index ].type != 'open' && events[ index ].type != 'close' ) {
+				playEvent( 0, events[ index ], now );
+			}
+		}
+		if ( selection && mode == 0 ) showSelection();
+	}
+
+/*****************************************************************
+ ** Undo
+ ******************************************************************/
+
+	var undoable = [ 'draw', 'polyline', 'erase', 'clear', 'shape', 'text', 'stamp', 'note', 'edit', 'boards' ];
+
+	/**
+	 * Removes the last stroke on the current canvas or board and keeps it for redo.
+	 */
+	function undoStroke() {
+		var slideData = getSlideData();
+		var boardIdx = ( mode == 1 ) ? board : undefined;
+		var boards = eventBoards( slideData.events );
+		var i = slideData.events.length - 1;
+		// changes of the boards are undone on any board
+		while ( i >= 0 && !( undoable.includes( slideData.events[ i ].type ) && ( boards[ i ] === boardIdx || slideData.events[ i ].type == 'boards' ) ) ) {
+			i--;
+		}
+		if ( i < 0 ) return false;
+
+		var last = slideData.events[ i ];
+		if ( last.type == 'boards' ) {
+			undoBoardChange( slideData, last );
+			return true;
+		}
+		var events = slideData.events.filter( event => event === last || ( last.stroke != undefined && event.stroke === last.stroke ) );
+		slideData.events = slideData.events.filter( event => !events.includes( event ) );
+		slideData.redo = slideData.redo || [];
+		slideData.redo.push( {
+			board: boardIdx,
+			events
+		} );
+		redrawCanvas( mode );
+		storageChanged();
+		return true;
+	}
+
+	/**
+	 * Restores the last stroke undone on the current canvas or board.
+	 */
+	function redoStroke() {
+		var slideData = getSlideData();
+		var boardIdx = ( mode == 1 ) ? board : undefined;
+		var i = ( slideData.redo || [] ).length - 1;
+		while ( i >= 0 && !( slideData.redo[ i ].board === boardIdx || slideData.redo[ i ].events[ 0 ].type == 'boards' ) ) {
+			i--;
+		}
+		if ( i < 0 ) return false;
+
+		var events = slideData.redo.splice( i, 1 )[ 0 ].events;
+		if ( events[ 0 ].type == 'boards' ) {
+			redoBoardChange( slideData, events );
+			return true;
+		}
+		for ( var j = 0; j < events.length; j++ ) {
+			var k = slideData.events.length;
+			while ( k > 0 && events[ j ].time < slideData.events[ k - 1 ].time ) {
+				k--;
+			}
+			slideData.events.splice( k, 0, events[ j ] );
+		}
+		redrawCanvas( mode );
+		storageChanged();
+		return true;
+	}
+
+	/**
+	 * Forward cycle color
+	 */
+	function cycleColorNext() {
+		color[ mode ] = ( color[ mode ] + 1 ) % pens[ mode ].length;
+		return color[ mode ];
+	}
+
+	/**
+	 * Backward cycle color
+	 */
+	function cycleColorPrev() {
+		color[ mode ] = ( color[ mode ] + ( pens[ mode ].length - 1 ) ) % pens[ mode ].length;
+		return color[ mode ];
+	}
+
+/*****************************************************************
+ ** Selection
+ ******************************************************************/
+
+	var handleSize = 10; // size of the handle for scaling the selection in pixels
+
+	/**
+	 * Returns whether an event belongs to a stroke changed by an edit.
+	 */
+	function editedBy( edit, event ) {
+		return selectable.includes( event.type ) && event.stroke != undefined && event.board === edit.board && edit.strokes.includes( event.stroke );
+	}
+
+	/**
+	 * Returns a copy of the event with the edit applied.
+	 */
+	function editEvent( event, edit ) {
+		event = JSON.parse( JSON.stringify( event ) );
+		switch ( edit.action ) {
+		case 'move':
+			transformEvent( event, 1, edit.dx, edit.dy );
+			break;
+		case 'scale':
+			transformEvent( event, edit.factor, edit.x * ( 1 - edit.factor ), edit.y * ( 1 - edit.factor ) );
+			break;
+		case 'color':
+			event.color = edit.color;
+			break;
+		case 'text':
+			if ( event.type == 'text' || event.type == 'note' ) {
+				event.text = edit.text;
+				event.size = edit.size;
+			}
+			break;
+		}
+		return event;
+	}
+
+	/**
+	 * Returns the events with the edits and changes of the boards recorded before the given time (by default all)
+	 * applied to copies of the events, deleted strokes, applied edits and changes of the boards are removed.
+	 */
+	function editedEvents( events, until ) {
+		var applied = event => ( event.type == 'edit' || event.type == 'boards' ) && !( event.time >= until );
+		if ( !events.some( applied ) ) return events;
+		var result = [];
+		events.forEach( event => {
+			if ( !applied( event ) ) {
+				result.push( event );
+				return;
+			}
+			if ( event.type == 'boards' ) {
+				result = changedEvents( result, event );
+				return;
+			}
+			result = result.filter( target => !( event.action == 'delete' && editedBy( event, target ) ) )
+				.map( target => editedBy( event, target ) ? editEvent( target, event ) : target );
+		} );
+		return result;
+	}
+
+	/**
+	 * Returns the points outlining a stroke.
+	 */
+	function strokePoints( event ) {
+		switch ( event.type ) {
+		case 'draw':
+			return [ [ event.x1, event.y1 ], [ event.x2, event.y2 ] ];
+		case 'polyline':
+			return event.points;
+		case 'shape':
+			return [].concat( ...shapeLines( event.shape, event.x1, event.y1, event.x2, event.y2 ) );
+		case 'text':
+			var size = textBounds( event );
+			return [ [ event.x, event.y ], [ event.x + size.width, event.y ], [ event.x + size.width, event.y + size.height ], [ event.x, event.y + size.height ] ];
+		case 'stamp':
+		case 'note':
+			return [ [ event.x, event.y ], [ event.x + event.width, event.y ], [ event.x + event.width, event.y + event.height ], [ event.x, event.y + event.height ] ];
+		}
+		return [];
+	}
+
+	/**
+	 * Returns the distance of a point to a stroke.
+	 */
+	function strokeDistance( event, x, y ) {
+		if ( event.type == 'text' || event.type == 'stamp' || event.type == 'note' ) {
+			var size = ( event.type == 'text' ) ? textBounds( event ) : event;
+			return Math.sqrt( Math.pow( Math.max( event.x - x, 0, x - event.x - size.width ), 2 ) + Math.pow( Math.max( event.y - y, 0, y - event.y - size.height ), 2 ) );
+		}
+		var lines = ( event.type == 'shape' ) ? shapeLines( event.shape, event.x1, event.y1, event.x2, event.y2 ) : [ strokePoints( event ) ];
+		var distance = Infinity;
+		lines.forEach( points => {
+			for ( var i = 0; i < points.length; i++ ) {
+				var from = points[ Math.max( 0, i - 1 ) ];
+				var dx = points[ i ][ 0 ] - from[ 0 ];
+				var dy = points[ i ][ 1 ] - from[ 1 ];
+				var t = ( dx || dy ) ? Math.max( 0, Math.min( 1, ( ( x - from[ 0 ] ) * dx + ( y - from[ 1 ] ) * dy ) / ( dx * dx + dy * dy ) ) ) : 0;
+				distance = Math.min( distance, Math.sqrt( Math.pow( x - from[ 0 ] - t * dx, 2 ) + Math.pow( y - from[ 1 ] - t * dy, 2 ) ) );
+			}
+		} );
+		return distance;
+	}
+
+	function insidePolygon( x, y, polygon ) {
+		var inside = false;
+		for ( var i = 0, j = polygon.length - 1; i < polygon.length; j = i++ ) {
+			if ( ( polygon[ i ][ 1 ] > y ) != ( polygon[ j ][ 1 ] > y ) &&
+				x < ( polygon[ j ][ 0 ] - polygon[ i ][ 0 ] ) * ( y - polygon[ i ][ 1 ] ) / ( polygon[ j ][ 1 ] - polygon[ i ][ 1 ] ) + polygon[ i ][ 0 ] ) {
+				inside = !inside;
+			}
+		}
+		return inside;
+	}
+
+	/**
+	 * Returns the strokes shown on the current canvas or board with all edits applied.
+	 */
+	function visibleStrokes() {
+		var events = boardEvents( mode, getSlideData(), board );
+		var start = events.map( event => event.type ).lastIndexOf( 'clear' ) + 1;
+		return events.slice( start ).filter( event => selectable.includes( event.type ) && event.stroke != undefined );
+	}
+
+	/**
+	 * Returns the selected strokes, a pending edit is applied to copies of the strokes.
+	 */
+	function selectedStrokes( pending ) {
+		var events = visibleStrokes().filter( event => selection.strokes.includes( event.stroke ) );
+		return pending ? events.map( event => editEvent( event, pending ) ) : events;
+	}
+
+	/**
+	 * Select the strokes enclosed by the lasso or, if the lasso is just a click, the topmost stroke at the position.
+	 */
+	function selectStrokes( lasso ) {
+		var scale = drawingCanvas[ mode ].scale;
+		var strokes = visibleStrokes();
+		var area = drawingBounds( [ { type: 'polyline', points: lasso } ] );
+		var selected = [];
+		if ( ( area.right - area.left ) * scale < 5 && ( area.bottom - area.top ) * scale < 5 ) {
+			for ( var i = strokes.length - 1; i >= 0; i-- ) {
+				if ( strokeDistance( strokes[ i ], lasso[ 0 ][ 0 ], lasso[ 0 ][ 1 ] ) <= 2 * handleSize / scale ) {
+					selected.push( strokes[ i ].stroke );
+					break;
+				}
+			}
+		} else {
+			var outside = strokes.filter( event => !strokePoints( event ).every( point => insidePolygon( point[ 0 ], point[ 1 ], lasso ) ) ).map( event => event.stroke );
+			strokes.forEach( event => {
+				if ( !outside.includes( event.stroke ) && !selected.includes( event.stroke ) ) selected.push( event.stroke );
+			} );
+		}
+		if ( selected.length ) {
+			selection = {
+				strokes: selected
+			};
+			showSelection();
+		} else {
+			drawingCanvas[ mode ].preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+		}
+	}
+
+	/**
+	 * Show a frame around the selected strokes with a handle for scaling and a button for deleting them,
+	 * the strokes are shown with a pending edit as preview.
+	 */
+	function showSelection( pending ) {
+		var preview = drawingCanvas[ mode ].preview;
+		var scale = drawingCanvas[ mode ].scale;
+		var xOffset = drawingCanvas[ mode ].xOffset;
+		var yOffset = drawingCanvas[ mode ].yOffset;
+		preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+		var events = selectedStrokes( pending );
+		var bounds = drawingBounds( events );
+		if ( !bounds ) {
+			clearSelection();
+			return;
+		}
+		if ( pending ) {
+			events.forEach( event => drawStroke( mode, preview, event, scale, xOffset, yOffset ) );
+		}
+		var frame = {
+			left: xOffset + bounds.left * scale - handleSize,
+			top: yOffset + bounds.top * scale - handleSize,
+			right: xOffset + bounds.right * scale + handleSize,
+			bottom: yOffset + bounds.bottom * scale + handleSize
+		};
+		preview.save();
+		preview.strokeStyle = 'dodgerblue';
+		preview.fillStyle = 'dodgerblue';
+		preview.lineWidth = 1;
+		preview.setLineDash( [ 6, 4 ] );
+		preview.strokeRect( frame.left, frame.top, frame.right - frame.left, frame.bottom - frame.top );
+		preview.fillRect( frame.right - handleSize / 2, frame.bottom - handleSize / 2, handleSize, handleSize );
+		preview.restore();
+		selection.bounds = bounds;
+		selection.frame = frame;
+
+		if ( !selection.toolbar ) {
+			var toolbar = document.createElement( 'div' );
+			toolbar.classList.add( 'chalkboard-selection' );
+			toolbar.innerHTML = '<a href="#" title="Delete selection"><i class="fas fa-trash-alt"></i></a>';
+			toolbar.querySelector( 'a' ).addEventListener( 'click', function ( e ) {
+				e.preventDefault();
+				deleteSelection();
+			} );
+			drawingCanvas[ mode ].container.appendChild( toolbar );
+			selection.toolbar = toolbar;
+		}
+		selection.toolbar.style.left = ( frame.right + 5 ) + 'px';
+		selection.toolbar.style.top = frame.top + 'px';
+	}
+
+	function clearSelection() {
+		if ( selection && selection.toolbar ) selection.toolbar.remove();
+		if ( selection || selecting ) {
+			drawingCanvas[ mode ].preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+		}
+		selection = null;
+		selecting = null;
+	}
+
+	/**
+	 * Start a lasso, or move or scale the selection if it is hit.
+	 */
+	function startSelecting( x, y ) {
+		var px = drawingCanvas[ mode ].xOffset + x * drawingCanvas[ mode ].scale;
+		var py = drawingCanvas[ mode ].yOffset + y * drawingCanvas[ mode ].scale;
+		if ( selection && selection.frame ) {
+			var frame = selection.frame;
+			if ( Math.abs( px - frame.right ) <= handleSize && Math.abs( py - frame.bottom ) <= handleSize ) {
+				// scale around the opposite corner
+				selecting = {
+					action: 'scale',
+					x: selection.bounds.left,
+					y: selection.bounds.top,
+					distance: Math.max( 1, Math.sqrt( Math.pow( x - selection.bounds.left, 2 ) + Math.pow( y - selection.bounds.top, 2 ) ) )
+				};
+				return;
+			}
+			if ( px >= frame.left && px <= frame.right && py >= frame.top && py <= frame.bottom ) {
+				selecting = {
+					action: 'move',
+					x,
+					y
+				};
+				return;
+			}
+		}
+		clearSelection();
+		selecting = {
+			action: 'lasso',
+			points: [ [ x, y ] ]
+		};
+	}
+
+	function updateSelecting( x, y ) {
+		switch ( selecting.action ) {
+		case 'lasso':
+			selecting.points.push( [ x, y ] );
+			var preview = drawingCanvas[ mode ].preview;
+			var scale = drawingCanvas[ mode ].scale;
+			preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+			preview.save();
+			preview.strokeStyle = 'dodgerblue';
+			preview.lineWidth = 1;
+			preview.setLineDash( [ 6, 4 ] );
+			preview.beginPath();
+			selecting.points.forEach( point => preview.lineTo( drawingCanvas[ mode ].xOffset + point[ 0 ] * scale, drawingCanvas[ mode ].yOffset + point[ 1 ] * scale ) );
+			preview.closePath();
+			preview.stroke();
+			preview.restore();
+			break;
+		case 'move':
+			selecting.pending = {
+				action: 'move',
+				dx: Math.round( ( x - selecting.x ) * 10 ) / 10,
+				dy: Math.round( ( y - selecting.y ) * 10 ) / 10
+			};
+			showSelection( selecting.pending );
+			break;
+		case 'scale':
+			var distance = Math.sqrt( Math.pow( x - selecting.x, 2 ) + Math.pow( y - selecting.y, 2 ) );
+			selecting.pending = {
+				action: 'scale',
+				x: Math.round( selecting.x * 10 ) / 10,
+				y: Math.round( selecting.y * 10 ) / 10,
+				factor: Math.max( 0.05, Math.round( distance / selecting.distance * 1000 ) / 1000 )
+			};
+			showSelection( selecting.pending );
+			break;
+		}
+	}
+
+	function stopSelecting() {
+		var current = selecting;
+		selecting = null;
+		if ( current.action == 'lasso' ) {
+			selectStrokes( current.points );
+		} else if ( current.pending ) {
+			editSelection( current.pending.action, current.pending );
+		}
+	}
+
+	/**
+	 * Record an edit of strokes and draw the canvas again.
+	 */
+	function editStrokes( action, strokes, values ) {
+		var event = recordEdit( action, strokes, values );
+		redrawCanvas( mode, event.time + 1 );
+	}
+
+	/**
+	 * Record an edit of strokes without drawing the canvas again and return the recorded event.
+	 */
+	function recordEdit( action, strokes, values ) {
+		var event = {
+			type: 'edit',
+			stroke,
+			action,
+			strokes
+		};
+		editKeys( action ).forEach( key => event[ key ] = values[ key ] );
+		recordEvent( event );
+		return event;
+	}
+
+	/**
+	 * Returns the properties of the values recorded with an edit.
+	 */
+	function editKeys( action ) {
+		return ( action == 'text' ) ? editFields[ action ].concat( 'text' ) : editFields[ action ];
+	}
+
+	/**
+	 * Record and broadcast an edit of the given strokes, edits with the same stroke are undone together.
+	 */
+	function broadcastEdit( action, strokes, values ) {
+		editStrokes( action, strokes, values );
+		// broadcast
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'edit',
+			timestamp: Date.now() - slideStart,
+			mode,
+			board,
+			stroke,
+			action,
+			strokes
+		};
+		editKeys( action ).forEach( key => message.content[ key ] = values[ key ] );
+		document.dispatchEvent( message );
+	}
+
+/*****************************************************************
+ ** Boards
+ ******************************************************************/
+
+	/**
+	 * Returns the number of boards of the chalkboard on a slide.
+	 */
+	function boardCount( slideData ) {
+		var count = 0;
+		for ( var i = 0; i < slideData.events.length; i++ ) {
+			if ( slideData.events[ i ].type == 'boards' ) {
+				count = changedCount( slideData.events[ i ] );
+			} else if ( slideData.events[ i ].board != undefined ) {
+				count = Math.max( count, slideData.events[ i ].board + 1 );
+			}
+		}
+		return Math.max( count, ( slideData.boards || [] ).length, 1 );
+	}
+
+	/**
+	 * Returns the name given to a board or null.
+	 */
+	function boardName( slideData, boardIdx ) {
+		return ( slideData && slideData.boards && slideData.boards[ boardIdx ] && slideData.boards[ boardIdx ].name ) || null;
+	}
+
+	/**
+	 * Show the name of the current board on the chalkboard.
+	 */
+	function updateBoardLabel() {
+		if ( !drawingCanvas[ 1 ].boardLabel ) return;
+		drawingCanvas[ 1 ].boardLabel.textContent = boardName( shownSlideData(), board ) || '';
+	}
+
+	/**
+	 * Returns the data of the current slide without creating it.
+	 */
+	function currentSlideData( id ) {
+		return findSlideData( slideIndices, id );
+	}
+
+	/**
+	 * Returns the data of the chalkboard on the current slide, while the drawings are played back or paused
+	 * with the names, grids and backgrounds of the boards at the time shown.
+	 */
+	function shownSlideData() {
+		var slideData = currentSlideData( 1 );
+		var time = playback ? playbackTime() : pausedPosition;
+		if ( !slideData || time == null ) return slideData;
+		var shown = { events: slideData.events, boards: slideData.boards };
+		slideData.events.filter( event => event.type == 'boards' && event.time >= time ).reverse().forEach( change => changeBoardData( shown, change, true ) );
+		return shown;
+	}
+
+	/**
+	 * Returns the type of grid shown on a board.
+	 */
+	function boardGrid( slideData, boardIdx ) {
+		var type = slideData && slideData.boards && slideData.boards[ boardIdx ] && slideData.boards[ boardIdx ].grid;
+		if ( type && gridTypes.includes( type ) ) return type;
+		return grid ? ( grid.type || 'square' ) : 'none';
+	}
+
+	/**
+	 * Returns the reference to the background image or PDF page of a board or null.
+	 */
+	function boardBackground( slideData, boardIdx ) {
+		return ( slideData && slideData.boards && slideData.boards[ boardIdx ] && slideData.boards[ boardIdx ].background ) || null;
+	}
+
+	/**
+	 * Returns the number of boards after a change of the boards.
+	 */
+	function changedCount( change ) {
+		return change.map.filter( idx => idx !== null ).length + ( change.copy ? 1 : 0 );
+	}
+
+	/**
+	 * Returns the index of a board after a change of the boards, null for a removed board
+	 * or, if a fallback is requested, the index of the board before or after it.
+	 */
+	function changedBoard( change, boardIdx, fallback ) {
+		if ( boardIdx >= change.map.length ) return boardIdx + changedCount( change ) - change.map.length;
+		if ( change.map[ boardIdx ] === null && fallback ) return changedBoard( change, ( boardIdx > 0 ) ? boardIdx - 1 : boardIdx + 1 );
+		return change.map[ boardIdx ];
+	}
+
+	/**
+	 * Returns the index of a board before a change of the boards or null for a copied board.
+	 */
+	function unchangedBoard( change, boardIdx ) {
+		if ( change.copy && boardIdx === change.copy.to ) return null;
+		if ( boardIdx >= changedCount( change ) ) return boardIdx + change.map.length - changedCount( change );
+		return change.map.indexOf( boardIdx );
+	}
+
+	/**
+	 * Returns the events with the boards of a change of the boards, events on removed boards are removed
+	 * and the strokes of a copied board are copied with the identifiers of the copies.
+	 */
+	function changedEvents( events, change ) {
+		var result = [];
+		events.forEach( event => {
+			if ( event.board == undefined ) {
+				result.push( event );
+				return;
+			}
+			// the board shown during playback is kept in place of a removed board
+			var boardIdx = changedBoard( change, event.board, event.type == 'selectboard' );
+			if ( boardIdx == null ) return;
+			result.push( ( boardIdx === event.board ) ? event : Object.assign( {}, event, { board: boardIdx } ) );
+		} );
+		if ( change.copy ) {
+			var strokes = new Map( change.copy.strokes );
+			var copies = result.filter( event => event.board === change.copy.from && undoable.includes( event.type ) ).map( event => {
+				var copy = Object.assign( {}, event, { board: change.copy.to } );
+				if ( strokes.has( event.stroke ) ) copy.stroke = strokes.get( event.stroke );
+				return copy;
+			} );
+			result = result.concat( copies ).sort( ( a, b ) => a.time - b.time );
+		}
+		return result;
+	}
+
+	/**
+	 * Returns the board of each recorded event after the later changes of the boards, null for removed boards.
+	 */
+	function eventBoards( events ) {
+		var boards = events.map( event => event.board );
+		events.forEach( ( change, k ) => {
+			if ( change.type != 'boards' ) return;
+			for ( var i = 0; i < k; i++ ) {
+				if ( boards[ i ] != null ) boards[ i ] = changedBoard( change, boards[ i ] );
+			}
+		} );
+		return boards;
+	}
+
+	/**
+	 * Returns the largest identifier of a stroke on a slide including undone strokes and copied strokes.
+	 */
+	function maxStroke( slideData ) {
+		var max = 0;
+		var events = slideData.events.concat( ...( slideData.redo || [] ).map( entry => entry.events ) );
+		events.forEach( event => {
+			if ( event.stroke != undefined ) max = Math.max( max, event.stroke );
+			if ( event.type == 'boards' && event.copy ) event.copy.strokes.forEach( pair => max = Math.max( max, pair[ 1 ] ) );
+		} );
+		return max;
+	}
+
+	/**
+	 * Returns pairs of the identifiers of the strokes on a board and of their copies, the copies get
+	 * consecutive identifiers above all identifiers used on the slide.
+	 */
+	function copiedStrokes( slideData, boardIdx ) {
+		var next = maxStroke( slideData ) + 1;
+		var strokes = [];
+		editedEvents( slideData.events ).forEach( event => {
+			if ( event.board === boardIdx && undoable.includes( event.type ) && event.stroke != undefined && !strokes.some( pair => pair[ 0 ] === event.stroke ) ) {
+				strokes.push( [ event.stroke, next++ ] );
+			}
+		} );
+		return strokes;
+	}
+
+	/**
+	 * Change the names, grids and backgrounds of the boards to a change of the boards or back.
+	 */
+	function changeBoardData( slideData, change, undo ) {
+		if ( !undo && slideData.boards && ( change.map.includes( null ) || change.set ) ) {
+			// kept to restore the names, grids and backgrounds of removed or changed boards
+			change.boards = JSON.parse( JSON.stringify( slideData.boards ) );
+		}
+		if ( change.set ) {
+			var changed = ( slideData.boards || [] ).slice();
+			while ( changed.length <= change.set.index ) changed.push( {} );
+			var entry = JSON.parse( JSON.stringify( ( undo ? ( change.boards || [] )[ change.set.index ] : changed[ change.set.index ] ) || {} ) );
+			if ( !undo ) {
+				for ( var key in change.set ) {
+					if ( key == 'index' ) continue;
+					if ( change.set[ key ] === null ) {
+						delete entry[ key ];
+					} else {
+						entry[ key ] = change.set[ key ];
+					}
+				}
+			}
+			changed[ change.set.index ] = entry;
+			slideData.boards = changed;
+			return;
+		}
+		if ( !slideData.boards && !( undo && change.boards ) ) return;
+		var boards = [];
+		( slideData.boards || [] ).forEach( ( entry, i ) => {
+			var idx = undo ? unchangedBoard( change, i ) : changedBoard( change, i );
+			if ( idx != null ) boards[ idx ] = entry;
+		} );
+		if ( undo ) {
+			( change.boards || [] ).forEach( ( entry, i ) => {
+				if ( changedBoard( change, i ) == null ) boards[ i ] = JSON.parse( JSON.stringify( entry ) );
+			} );
+		} else if ( change.copy && boards[ change.copy.from ] ) {
+			var copy = JSON.parse( JSON.stringify( boards[ change.copy.from ] ) );
+			if ( copy.name ) copy.name += ' (copy)';
+			boards[ change.copy.to ] = copy;
+		}
+		for ( var i = 0; i < boards.length; i++ ) {
+			if ( !boards[ i ] ) boards[ i ] = {};
+		}
+		slideData.boards = boards;
+	}
+
+	/**
+	 * Change the boards of the events recorded after a change of the boards and of the undone strokes
+	 * to the change or back, returns the events on copied boards which are removed when undoing a copy.
+	 */
+	function remapBoards( slideData, change, undo ) {
+		var map = ( boardIdx, type ) => undo ? unchangedBoard( change, boardIdx ) : changedBoard( change, boardIdx, type == 'selectboard' );
+		var later = slideData.events.slice( slideData.events.indexOf( change ) + 1 ).filter( event => event.board != undefined );
+		var removed = later.filter( event => map( event.board, event.type ) == null );
+		slideData.events = slideData.events.filter( event => !removed.includes( event ) );
+		later.forEach( event => {
+			if ( !removed.includes( event ) ) event.board = map( event.board, event.type );
+		} );
+		if ( slideData.redo ) {
+			slideData.redo = slideData.redo.filter( entry => map( entry.board ) != null );
+			slideData.redo.forEach( entry => {
+				entry.board = map( entry.board );
+				entry.events.forEach( event => {
+					if ( event.time >= change.time && event.board != undefined ) event.board = map( event.board, event.type );
+				} );
+			} );
+		}
+		return removed;
+	}
+
+	/**
+	 * Record a change of the boards of the chalkboard. The boards of the events recorded before the change
+	 * are changed when the drawings are shown, so that the change is played back and can be undone.
+	 */
+	function recordBoardChange( change ) {
+		var slideData = getSlideData( slideIndices, 1 );
+		change.type = 'boards';
+		change.time = Date.now() - slideStart;
+		var current = board;
+		board = changedBoard( change, board );
+		if ( board == null ) board = Math.max( 0, Math.min( current, changedCount( change ) - 1 ) );
+		change.board = board;
+		changeBoardData( slideData, change );
+		var i = slideData.events.length;
+		while ( i > 0 && change.time < slideData.events[ i - 1 ].time ) {
+			i--;
+		}
+		slideData.events.splice( i, 0, change );
+		slideData.duration = Math.max( slideData.duration, Date.now() - slideStart ) + 1;
+		remapBoards( slideData, change );
+		boardsChanged();
+	}
+
+	/**
+	 * Remove a change of the boards, the events recorded later and the undone strokes are changed back.
+	 */
+	function undoBoardChange( slideData, change ) {
+		var events = [ change ].concat( remapBoards( slideData, change, true ) );
+		slideData.events = slideData.events.filter( event => event !== change );
+		changeBoardData( slideData, change, true );
+		board = unchangedBoard( change, ( change.copy && board === change.copy.to ) ? change.copy.from : board );
+		slideData.redo = slideData.redo || [];
+		slideData.redo.push( {
+			board,
+			events
+		} );
+		boardsChanged();
+	}
+
+	/**
+	 * Restore a change of the boards with the events on a copied board recorded after it.
+	 */
+	function redoBoardChange( slideData, events ) {
+		var change = events[ 0 ];
+		var i = slideData.events.length;
+		while ( i > 0 && change.time < slideData.events[ i - 1 ].time ) {
+			i--;
+		}
+		slideData.events.splice( i, 0, change );
+		remapBoards( slideData, change );
+		slideData.events = slideData.events.concat( events.slice( 1 ) ).sort( ( a, b ) => a.time - b.time );
+		changeBoardData( slideData, change );
+		board = changedBoard( change, board, true );
+		boardsChanged();
+	}
+
+	function boardsChanged() {
+		restoreViewport( board );
+		redrawChalkboard( board );
+		storageChanged();
+	}
+
+	function setBoardName( boardIdx, name ) {
+		changeBoard( boardIdx, { name: name || null } );
+	}
+
+	function setBoardGrid( boardIdx, type ) {
+		changeBoard( boardIdx, { grid: type } );
+	}
+
+	function setBoardBackground( boardIdx, reference ) {
+		changeBoard( boardIdx, { background: reference || null } );
+	}
+
+	/**
+	 * Record a change of the name, grid or background of a board as a change of the boards
+	 * which keeps the order of the boards, values which are null are removed.
+	 */
+	function changeBoard( boardIdx, values ) {
+		var slideData = getSlideData( slideIndices, 1 );
+		var entry = ( slideData.boards && slideData.boards[ boardIdx ] ) || {};
+		if ( Object.keys( values ).every( key => JSON.stringify( entry[ key ] || null ) == JSON.stringify( values[ key ] ) ) ) return;
+		var count = Math.max( boardCount( slideData ), boardIdx + 1 );
+		var map = [];
+		for ( var idx = 0; idx < count; idx++ ) {
+			map.push( idx );
+		}
+		recordBoardChange( { map, set: Object.assign( { index: boardIdx }, values ) } );
+	}
+
+	/**
+	 * Move a board to another position, the boards in between are shifted.
+	 */
+	function reorderBoard( from, to ) {
+		var count = boardCount( getSlideData( slideIndices, 1 ) );
+		if ( from == to || from < 0 || to < 0 || from >= count || to >= count ) return;
+		var map = [];
+		for ( var idx = 0; idx < count; idx++ ) {
+			if ( idx == from ) {
+				map.push( to );
+			} else if ( from < to && idx > from && idx <= to ) {
+				map.push( idx - 1 );
+			} else if ( from > to && idx >= to && idx < from ) {
+				map.push( idx + 1 );
+			} else {
+				map.push( idx );
+			}
+		}
+		recordBoardChange( { map } );
+	}
+
+	/**
+	 * Insert a copy of a board after the board, the copied strokes get the identifiers given by
+	 * pairs of the identifiers of the strokes and of their copies.
+	 */
+	function copyBoard( boardIdx, strokes ) {
+		var count = boardCount( getSlideData( slideIndices, 1 ) );
+		if ( boardIdx < 0 || boardIdx >= count ) return;
+		var map = [];
+		for ( var idx = 0; idx < count; idx++ ) {
+			map.push( ( idx > boardIdx ) ? idx + 1 : idx );
+		}
+		recordBoardChange( { map, copy: { from: boardIdx, to: boardIdx + 1, strokes } } );
+	}
+
+	/**
+	 * Remove a board with all its drawings, the following boards are shifted.
+	 */
+	function removeBoard( boardIdx ) {
+		var count = boardCount( getSlideData( slideIndices, 1 ) );
+		if ( boardIdx < 0 || boardIdx >= count ) return;
+		var map = [];
+		for ( var idx = 0; idx < count; idx++ ) {
+			map.push( ( idx == boardIdx ) ? null : ( idx > boardIdx ) ? idx - 1 : idx );
+		}
+		recordBoardChange( { map } );
+	}
+
+/*****************************************************************
+ ** Backgrounds
+ ******************************************************************/
+
+	var backgroundImages = {}; // loaded images and rendered PDF pages by reference
+	var localFiles = {}; // files opened by the presenter by name
+	var pdfDocuments = {};
+	var pdfjsLoader = null;
+
+	function backgroundKey( reference ) {
+		return reference.src + ( reference.page ? '#' + reference.page : '' );
+	}
+
+	function isPDFName( name ) {
+		return /\.pdf$/i.test( name ) || ( localFiles[ name ] && localFiles[ name ].type == 'application/pdf' );
+	}
+
+	/**
+	 * Returns whether a background refers to an image or a page of a PDF document.
+	 */
+	function validBackground( reference ) {
+		return reference && typeof reference == 'object' && typeof reference.src == 'string' && reference.src.length > 0 &&
+			( reference.page == undefined || ( Number.isInteger( reference.page ) && reference.page > 0 ) );
+	}
+
+	/**
+	 * Keep a file opened by the presenter for the backgrounds referring to its name.
+	 */
+	function addLocalFile( file ) {
+		localFiles[ file.name ] = file;
+		delete pdfDocuments[ file.name ];
+		for ( var key in backgroundImages ) {
+			if ( !backgroundImages[ key ].callbacks && ( key == file.name || key.startsWith( file.name + '#' ) ) ) {
+				delete backgroundImages[ key ];
+			}
+		}
+	}
+
+	/**
+	 * Returns a promise for pdf.js which is loaded from the configured url if it is not available.
+	 */
+	function loadPdfjs() {
+		if ( !pdfjsLoader ) {
+			pdfjsLoader = new Promise( function ( resolve, reject ) {
+				if ( window.pdfjsLib ) {
+					resolve( window.pdfjsLib );
+					return;
+				}
+				if ( !pdfjs ) {
+					reject( new Error( 'pdf.js is not available, see the pdfjs option' ) );
+					return;
+				}
+				var script = document.createElement( 'script' );
+				script.src = pdfjs;
+				script.onload = function () {
+					if ( !window.pdfjsLib ) {
+						reject( new Error( 'pdf.js is not available' ) );
+						return;
+					}
+					if ( !window.pdfjsLib.GlobalWorkerOptions.workerSrc ) {
+						window.pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjs.replace( /(\.min)?\.js$/, '.worker$1.js' );
+					}
+					resolve( window.pdfjsLib );
+				};
+				script.onerror = function () {
+					reject( new Error( 'Cannot load pdf.js from ' + pdfjs ) );
+				};
+				document.head.appendChild( script );
+			} );
+		}
+		return pdfjsLoader;
+	}
+
+	/**
+	 * Returns a promise for a canvas with a page of a PDF document rendered at twice the resolution of the chalkboard.
+	 */
+	function renderPDFPage( reference ) {
+		if ( !pdfDocuments[ reference.src ] ) {
+			pdfDocuments[ reference.src ] = loadPdfjs().then( function ( pdfjsLib ) {
+				var file = localFiles[ reference.src ];
+				var source = file ? file.arrayBuffer().then( buffer => ( { data: new Uint8Array( buffer ) } ) ) : Promise.resolve( { url: new URL( reference.src, document.baseURI ).href } );
+				return source.then( params => pdfjsLib.getDocument( params ).promise );
+			} );
+		}
+		return pdfDocuments[ reference.src ].then( pdf => pdf.getPage( reference.page ) ).then( function ( page ) {
+			var size = page.getViewport( { scale: 1 } );
+			var pageViewport = page.getViewport( { scale: 2 * Math.min( storage[ 1 ].width / size.width, storage[ 1 ].height / size.height ) } );
+			var canvas = document.createElement( 'canvas' );
+			canvas.width = Math.ceil( pageViewport.width );
+			canvas.height = Math.ceil( pageViewport.height );
+			return page.render( {
+				canvasContext: canvas.getContext( '2d' ),
+				viewport: pageViewport
+			} ).promise.then( () => canvas );
+		} );
+	}
+
+	/**
+	 * Load the image of a background, the callback is called with the image or null if it cannot be loaded.
+	 */
+	function loadBackground( reference, callback ) {
+		var key = backgroundKey( reference );
+		var entry = backgroundImages[ key ];
+		if ( entry && entry.callbacks ) {
+			entry.callbacks.push( callback );
+			return;
+		}
+		if ( entry ) {
+			callback( entry.image );
+			return;
+		}
+		entry = backgroundImages[ key ] = {
+			image: null,
+			callbacks: [ callback ]
+		};
+		var done = function ( image ) {
+			entry.image = image;
+			var callbacks = entry.callbacks;
+			delete entry.callbacks;
+			callbacks.forEach( callback => callback( image ) );
+		};
+		var failed = function ( error ) {
+			console.warn( 'Cannot load background ' + key + ( localFiles[ reference.src ] ? '' : ', opened files must be opened again after reloading the presentation' ) + '!', error || '' );
+			done( null );
+		};
+		if ( reference.page != undefined ) {
+			renderPDFPage( reference ).then( done, failed );
+			return;
+		}
+		var image = new Image();
+		image.onload = function () {
+			done( image );
+		};
+		image.onerror = function () {
+			failed();
+		};
+		if ( !localFiles[ reference.src ] ) {
+			// images from other servers must allow CORS, otherwise they would taint the canvases used for exports
+			image.crossOrigin = 'anonymous';
+		}
+		image.src = localFiles[ reference.src ] ? URL.createObjectURL( localFiles[ reference.src ] ) : reference.src;
+	}
+
+	/**
+	 * Load the backgrounds of all boards of the given slides before calling the callback.
+	 */
+	function loadBackgrounds( slides, callback ) {
+		var references = [];
+		slides.forEach( slideData => ( ( slideData && slideData.boards ) || [] ).forEach( entry => {
+			if ( entry.background ) references.push( entry.background );
+		} ) );
+		var count = references.length;
+		if ( !count ) {
+			callback();
+			return;
+		}
+		references.forEach( reference => loadBackground( reference, function () {
+			if ( --count == 0 ) callback();
+		} ) );
+	}
+
+	/**
+	 * Returns the loaded image of a background or null.
+	 */
+	function backgroundImage( reference ) {
+		var entry = reference && backgroundImages[ backgroundKey( reference ) ];
+		return ( entry && entry.image ) || null;
+	}
+
+	/**
+	 * Returns the url of a background for SVG files, PDF pages and opened files are embedded if they are loaded.
+	 */
+	function backgroundHref( reference ) {
+		if ( reference.page == undefined && !localFiles[ reference.src ] ) return new URL( reference.src, document.baseURI ).href;
+		var image = backgroundImage( reference );
+		if ( !image ) return null;
+		if ( image instanceof HTMLCanvasElement ) return image.toDataURL( 'image/png' );
+		var canvas = document.createElement( 'canvas' );
+		canvas.width = image.naturalWidth || storage[ 1 ].width;
+		canvas.height = image.naturalHeight || storage[ 1 ].height;
+		canvas.getContext( '2d' ).drawImage( image, 0, 0, canvas.width, canvas.height );
+		return canvas.toDataURL( 'image/png' );
+	}
+
+	/**
+	 * Draw the image of a background centered into the slide area of the chalkboard,
+	 * scale and offsets transform the coordinates of the chalkboard to the context.
+	 */
+	function drawBackground( context, image, scale, xOffset, yOffset ) {
+		var width = image.naturalWidth || image.width || storage[ 1 ].width;
+		var height = image.naturalHeight || image.height || storage[ 1 ].height;
+		var fit = Math.min( storage[ 1 ].width / width, storage[ 1 ].height / height ) * scale;
+		context.drawImage( image,
+			xOffset + ( storage[ 1 ].width * scale - width * fit ) / 2,
+			yOffset + ( storage[ 1 ].height * scale - height * fit ) / 2,
+			width * fit,
+			height * fit
+		);
+	}
+
+/*****************************************************************
+ ** Viewport
+ ******************************************************************/
+
+	/**
+	 * Set scale and offsets of a canvas to fit the slide into the window,
+	 * the chalkboard is panned and zoomed to the viewport.
+	 */
+	function fitCanvas( id ) {
+		var scale = Math.min( drawingCanvas[ id ].width / storage[ id ].width, drawingCanvas[ id ].height / storage[ id ].height );
+		var xOffset = ( drawingCanvas[ id ].width - storage[ id ].width * scale ) / 2;
+		var yOffset = ( drawingCanvas[ id ].height - storage[ id ].height * scale ) / 2;
+		if ( id == 1 ) {
+			scale *= viewport.zoom;
+			xOffset -= viewport.x * scale;
+			yOffset -= viewport.y * scale;
+		}
+		drawingCanvas[ id ].scale = scale;
+		drawingCanvas[ id ].xOffset = xOffset;
+		drawingCanvas[ id ].yOffset = yOffset;
+	}
+
+	function setViewport( x, y, zoom ) {
+		viewport = {
+			x,
+			y,
+			zoom
+		};
+		fitCanvas( 1 );
+	}
+
+	/**
+	 * Set the viewport of a board to the last viewport recorded before the given time (by default the current time).
+	 */
+	function restoreViewport( boardIdx, until ) {
+		var slideData = getSlideData( slideIndices, 1 );
+		var now = ( until != undefined ) ? until : playback ? playbackTime() : Date.now() - slideStart;
+		var events = editedEvents( slideData.events, now );
+		var last = null;
+		for ( var i = 0; i < events.length && events[ i ].time < now; i++ ) {
+			if ( events[ i ].type == 'viewport' && events[ i ].board == boardIdx ) last = events[ i ];
+		}
+		if ( last ) {
+			setViewport( last.x, last.y, last.zoom );
+		} else {
+			setViewport( 0, 0, 1 );
+		}
+	}
+
+	function recordViewport() {
+		recordEvent( {
+			type: 'viewport',
+			x: Math.round( viewport.x * 10 ) / 10,
+			y: Math.round( viewport.y * 10 ) / 10,
+			zoom: Math.round( viewport.zoom * 1000 ) / 1000
+		} );
+	}
+
+	/**
+	 * Record and broadcast the viewport after it has been changed by the user.
+	 */
+	function viewportChanged() {
+		clearTimeout( viewportTimeout );
+		viewportTimeout = null;
+		if ( readOnly ) return;
+		recordViewport();
+		// broadcast
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'viewport',
+			timestamp: Date.now() - slideStart,
+			mode,
+			board,
+			x: viewport.x,
+			y: viewport.y,
+			zoom: viewport.zoom
+		};
+		document.dispatchEvent( message );
+	}
+
+	/**
+	 * Redraw the chalkboard once per animation frame while the viewport changes.
+	 */
+	function scheduleRedraw() {
+		if ( redrawRequest ) return;
+		redrawRequest = requestAnimationFrame( function () {
+			redrawRequest = null;
+			redrawChalkboard( board );
+		} );
+	}
+
+	/**
+	 * Pan the chalkboard by the given distance in pixels.
+	 */
+	function panBy( dx, dy ) {
+		setViewport( viewport.x - dx / drawingCanvas[ 1 ].scale, viewport.y - dy / drawingCanvas[ 1 ].scale, viewport.zoom );
+		scheduleRedraw();
+	}
+
+	/**
+	 * Zoom the chalkboard by the given factor keeping the point at the window coordinates in place.
+	 */
+	function zoomAt( px, py, factor ) {
+		var zoom = Math.min( maxZoom, Math.max( minZoom, viewport.zoom * factor ) );
+		var x = ( px - drawingCanvas[ 1 ].xOffset ) / drawingCanvas[ 1 ].scale;
+		var y = ( py - drawingCanvas[ 1 ].yOffset ) / drawingCanvas[ 1 ].scale;
+		var scale = drawingCanvas[ 1 ].scale / viewport.zoom;
+		var xOffset = drawingCanvas[ 1 ].xOffset + viewport.x * drawingCanvas[ 1 ].scale;
+		var yOffset = drawingCanvas[ 1 ].yOffset + viewport.y * drawingCanvas[ 1 ].scale;
+		setViewport( x - ( px - xOffset ) / ( scale * zoom ), y - ( py - yOffset ) / ( scale * zoom ), zoom );
+		scheduleRedraw();
+	}
+
+	/**
+	 * Returns the bounding box of the drawings of the given events or null.
+	 */
+	function drawingBounds( events ) {
+		var bounds = null;
+		function extend( x, y ) {
+			if ( !bounds ) {
+				bounds = { left: x, top: y, right: x, bottom: y };
+			} else {
+				bounds.left = Math.min( bounds.left, x );
+				bounds.top = Math.min( bounds.top, y );
+				bounds.right = Math.max( bounds.right, x );
+				bounds.bottom = Math.max( bounds.bottom, y );
+			}
+		}
+		events.forEach( event => {
+			switch ( event.type ) {
+			case 'draw':
+			case 'shape':
+				extend( event.x1, event.y1 );
+				extend( event.x2, event.y2 );
+				break;
+			case 'polyline':
+				event.points.forEach( point => extend( point[ 0 ], point[ 1 ] ) );
+				break;
+			case 'text':
+				var size = textBounds( event );
+				extend( event.x, event.y );
+				extend( event.x + size.width, event.y + size.height );
+				break;
+			case 'stamp':
+			case 'note':
+				extend( event.x, event.y );
+				extend( event.x + event.width, event.y + event.height );
+				break;
+			case 'clear':
+				bounds = null;
+				break;
+			}
+		} );
+		return bounds;
+	}
+
+	/**
+	 * Pan and zoom the chalkboard to show all drawings of the current board.
+	 */
+	function fitAll() {
+		if ( mode != 1 ) return;
+		var bounds = drawingBounds( boardEvents( 1, getSlideData( slideIndices, 1 ), board ) );
+		if ( !bounds ) {
+			resetView();
+			return;
+		}
+		var margin = 20;
+		var width = storage[ 1 ].width;
+		var height = storage[ 1 ].height;
+		var zoom = Math.min( maxZoom, Math.max( minZoom, Math.min( width / ( bounds.right - bounds.left + 2 * margin ), height / ( bounds.bottom - bounds.top + 2 * margin ) ) ) );
+		setViewport( ( bounds.left + bounds.right - width / zoom ) / 2, ( bounds.top + bounds.bottom - height / zoom ) / 2, zoom );
+		redrawChalkboard( board );
+		viewportChanged();
+	}
+
+	/**
+	 * Show the chalkboard without panning and zooming.
+	 */
+	function resetView() {
+		if ( mode != 1 ) return;
+		setViewport( 0, 0, 1 );
+		redrawChalkboard( board );
+		viewportChanged();
+	}
+
+/*****************************************************************
+ ** Broadcast
+ ******************************************************************/
+
+	var eventQueue = [];
+
+	document.addEventListener( 'received', function ( message ) {
+		if ( message.content && message.content.sender == 'chalkboard-plugin' ) {
+			// add message to queue
+			eventQueue.push( message );
+			console.log( JSON.stringify( message ) );
+		}
+		if ( eventQueue.length == 1 ) processQueue();
+	} );
+
+	function processQueue() {
+		// take first message from queue
+		var message = eventQueue.shift();
+
+		// synchronize time with seminar host
+		slideStart = Date.now() - message.content.timestamp;
+		// set status
+		if ( mode < message.content.mode ) {
+			// open chalkboard
+			showChalkboard();
+		} else if ( mode > message.content.mode ) {
+			// close chalkboard
+			closeChalkboard();
+		}
+		if ( board != message.content.board ) {
+			board = message.content.board;
+			restoreViewport( board );
+			redrawChalkboard( board );
+		};
+
+		switch ( message.content.type ) {
+		case 'showChalkboard':
+			showChalkboard();
+			break;
+		case 'closeChalkboard':
+			closeChalkboard();
+			break;
+		case 'erase':
+			stroke = message.content.stroke;
+			erasePoint( message.content.x, message.content.y );
+			break;
+		case 'draw':
+			stroke = message.content.stroke;
+			drawSegment( message.content.fromX, message.content.fromY, message.content.toX, message.content.toY, message.content.color, message.content.width, message.content.highlighter );
+			break;
+		case 'strokeend':
+			stopDrawing();
+			endTransient( mode, message.content.stroke );
+			break;
+		case 'laser':
+		case 'ink':
+			addTransientPoint( mode, message.content.type, message.content.stroke, message.content.x, message.content.y, message.content.color, message.content.width );
+			break;
+		case 'pin':
+			pinStrokes( message.content.strokes );
+			break;
+		case 'palette':
+			applyPalette( message.content.palette );
+			break;
+		case 'instrument':
+			setInstrument( mode, message.content.instrument );
+			break;
+		case 'text':
+			stroke = message.content.stroke;
+			addText( message.content.text, message.content.x, message.content.y, message.content.size, message.content.color );
+			break;
+		case 'edit':
+			stroke = message.content.stroke;
+			editStrokes( message.content.action, message.content.strokes, message.content );
+			break;
+		case 'shape':
+			stroke = message.content.stroke;
+			drawShapeEvent( message.content.shape, message.content.x1, message.content.y1, message.content.x2, message.content.y2, message.content.color, message.content.width );
+			break;
+		case 'stamp':
+			stroke = message.content.stroke;
+			addStamp( message.content.src, message.content.x, message.content.y, message.content.width, message.content.height );
+			break;
+		case 'note':
+			stroke = message.content.stroke;
+			addNote( message.content.text, message.content.x, message.content.y, message.content.width, message.content.height, message.content.size, message.content.color );
+			break;
+		case 'recognize':
+			replaceStroke( message.content.stroke, message.content.shape, message.content.x1, message.content.y1, message.content.x2, message.content.y2, message.content.color, message.content.width );
+			break;
+		case 'clear':
+			clearSlide();
+			break;
+		case 'selectboard':
+			selectBoard( message.content.board, true );
+			break;
+		case 'resetSlide':
+			resetSlideDrawings();
+			break;
+		case 'undo':
+			undoStroke();
+			break;
+		case 'redo':
+			redoStroke();
+			break;
+		case 'renameboard':
+			setBoardName( message.content.index, message.content.name );
+			break;
+		case 'grid':
+			setBoardGrid( message.content.index, message.content.grid );
+			break;
+		case 'background':
+			setBoardBackground( message.content.index, message.content.background );
+			break;
+		case 'moveboard':
+			reorderBoard( message.content.index, message.content.to );
+			break;
+		case 'duplicateboard':
+			copyBoard( message.content.index, message.content.strokes );
+			break;
+		case 'deleteboard':
+			removeBoard( message.content.index );
+			break;
+		case 'viewport':
+			setViewport( message.content.x, message.content.y, message.content.zoom );
+			redrawChalkboard( board );
+			recordViewport();
+			break;
+		case 'init':
+			storage = message.content.storage;
+			if ( message.content.palette ) applyPalette( message.content.palette );
+			for ( var id = 0; id < 2; id++ ) {
+				fitCanvas( id );
+			}
+			clearCanvas( 0 );
+			clearCanvas( 1 );
+			if ( !playback ) {
+				slidechangeTimeout = setTimeout( startPlayback, transition, getSlideDuration(), 0 );
+			}
+			if ( mode == 1 && message.content.mode == 0 ) {
+				setTimeout( closeChalkboard, transition + 50 );
+			}
+			if ( mode == 0 && message.content.mode == 1 ) {
+				setTimeout( showChalkboard, transition + 50 );
+			}
+			mode = message.content.mode;
+			board = message.content.board;
+			break;
+		default:
+			break;
+		}
+
+		// continue with next message if queued
+		if ( eventQueue.length > 0 ) {
+			processQueue();
+		} else {
+			storageChanged();
+		}
+	}
+
+	document.addEventListener( 'welcome', function ( user ) {
+		// broadcast storage
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			recipient: user.id,
+			type: 'init',
+			timestamp: Date.now() - slideStart,
+			storage: storage,
+			palette: getPalette(),
+			mode,
+			board
+		};
+		document.dispatchEvent( message );
+	} );
+
+	/*****************************************************************
+	 ** Playback
+	 ******************************************************************/
+
+	document.addEventListener( 'seekplayback', function ( event ) {
+//console.log('event seekplayback ' + event.timestamp);
+		stopPlayback();
+		if ( !playback || event.timestamp == 0 ) {
+			// in other cases startplayback fires after seeked
+			startPlayback( event.timestamp );
+		}
+		//console.log('seeked');
+	} );
+
+
+	document.addEventListener( 'startplayback', function ( event ) {
+//console.log('event startplayback ' + event.timestamp);
+		stopPlayback();
+		playback = true;
+		startPlayback( event.timestamp );
+		updatePlaybackBar();
+	} );
+
+	document.addEventListener( 'stopplayback', function ( event ) {
+//console.log('event stopplayback ' + (Date.now() - slideStart) );
+		playback = false;
+		barPlayback = false;
+		stopPlayback();
+		updatePlaybackBar();
+	} );
+
+	document.addEventListener( 'startrecording', function ( event ) {
+//console.log('event startrecording ' + event.timestamp);
+		startRecording();
+	} );
+
+
+	function startRecording() {
+		resetSlide( true );
+		slideStart = Date.now();
+	}
+
+	function startPlayback( timestamp, finalMode ) {
+//console.log("playback " + timestamp );
+		slideStart = Date.now() - timestamp;
+		playbackStarted = Date.now();
+		playbackTimestamp = timestamp;
+		closeChalkboard();
+		mode = 0;
+		board = 0;
+		setViewport( 0, 0, 1 );
+		for ( var id = 0; id < 2; id++ ) {
+			clearCanvas( id );
+			var slideData = getSlideData( slideIndices, id );
+//console.log( timestamp +" / " + JSON.stringify(slideData));
+			var now = playbackTime();
+			var events = editedEvents( slideData.events, now );
+			var index = 0;
+			while ( index < events.length && events[ index ].time < now ) {
+				playEvent( id, events[ index ], timestamp );
+				index++;
+			}
+
+			// later events (including edits) are played as recorded
+			index = 0;
+			while ( index < slideData.events.length && slideData.events[ index ].time < now ) {
+				index++;
+			}
+			while ( playback && index < slideData.events.length ) {
+				timeouts[ id ].push( setTimeout( playEvent, ( slideData.events[ index ].time - playbackTime() ) / playbackSpeed, id, slideData.events[ index ], timestamp ) );
+				index++;
+			}
+		}
+//console.log("Mode: " + finalMode + "/" + mode );
+		if ( finalMode != undefined ) {
+			mode = finalMode;
+		}
+		if ( mode == 1 ) showChalkboard();
+//console.log("playback (ok)");
+
+	};
+
+	function stopPlayback() {
+//console.log("stopPlayback");
+//console.log("Timeouts: " + timeouts[0].length + "/"+ timeouts[1].length);
+		for ( var id = 0; id < 2; id++ ) {
+			for ( var i = 0; i < timeouts[ id ].length; i++ ) {
+				clearTimeout( timeouts[ id ][ i ] );
+			}
+			timeouts[ id ] = [];
+		}
+	};
+
+	/**
+	 * Returns the slide time reached by the playback.
+	 */
+	function playbackTime() {
+		return playbackTimestamp + ( Date.now() - playbackStarted ) * playbackSpeed;
+	}
+
+	/**
+	 * Returns the times at which the strokes of the current slide are completed.
+	 */
+	function strokeEnds() {
+		var ends = [];
+		for ( var id = 0; id < 2; id++ ) {
+			var strokes = {};
+			getSlideData( slideIndices, id ).events.forEach( event => {
+				if ( !undoable.includes( event.type ) ) return;
+				var key = ( event.stroke != undefined ) ? event.stroke : 't' + event.time;
+				var end = event.time + ( ( event.type == 'polyline' && event.points.length ) ? event.points[ event.points.length - 1 ][ 2 ] : 0 );
+				strokes[ key ] = Math.max( strokes[ key ] || 0, end );
+			} );
+			ends = ends.concat( Object.values( strokes ) );
+		}
+		return ends.sort( ( a, b ) => a - b );
+	}
+
+	function formatTime( milliseconds ) {
+		var seconds = Math.floor( milliseconds / 1000 );
+		return Math.floor( seconds / 60 ) + ':' + String( seconds % 60 ).padStart( 2, '0' );
+	}
+
+	function createPlaybackBar() {
+		playbackControls = document.createElement( 'div' );
+		playbackControls.classList.add( 'chalkboard-playback' );
+		playbackControls.setAttribute( 'data-prevent-swipe', 'true' );
+		playbackControls.innerHTML = '<a href="#" class="play" title="Play"><i class="fas fa-play"></i></a>' +
+			'<a href="#" class="next" title="Next stroke"><i class="fas fa-step-forward"></i></a>' +
+			'<input type="range" min="0" step="1" title="Seek">' +
+			'<span class="time"></span>' +
+			'<select title="Playback speed"></select>';
+		var speed = playbackControls.querySelector( 'select' );
+		for ( var i = 0; i < playbackSpeeds.length; i++ ) {
+			var option = document.createElement( 'option' );
+			option.value = playbackSpeeds[ i ];
+			option.textContent = playbackSpeeds[ i ] + '\u00d7';
+			option.selected = ( playbackSpeeds[ i ] == playbackSpeed );
+			speed.appendChild( option );
+		}
+
+		playbackControls.querySelector( '.play' ).addEventListener( 'click', function ( e ) {
+			e.preventDefault();
+			togglePlayback();
+		} );
+		playbackControls.querySelector( '.next' ).addEventListener( 'click', function ( e ) {
+			e.preventDefault();
+			nextStroke();
+		} );
+		playbackControls.querySelector( 'input' ).addEventListener( 'input', function ( e ) {
+			seekPlayback( Number( this.value ) );
+		} );
+		speed.addEventListener( 'change', function ( e ) {
+			var position = playbackTime();
+			playbackSpeed = Number( this.value );
+			if ( barPlayback ) {
+				playPlayback( position );
+			}
+			this.blur();
+		} );
+		document.querySelector( '.reveal' ).appendChild( playbackControls );
+	}
+
+	/**
+	 * Show the playback bar on slides with recorded events and update its position.
+	 */
+	function updatePlaybackBar() {
+		if ( !playbackBar || printMode || !Reveal.isReady() ) return;
+		if ( !playbackControls ) createPlaybackBar();
+		var duration = getSlideDuration();
+		playbackControls.style.display = ( duration > 0 ) ? '' : 'none';
+		if ( duration <= 0 ) return;
+
+		var position = playback ? playbackTime() : pausedPosition;
+		if ( barPlayback && position >= duration ) {
+			// end of the slide reached
+			pausePlayback();
+			pausedPosition = null;
+			position = null;
+		}
+		if ( position == null ) position = duration;
+		position = Math.min( position, duration );
+
+		var range = playbackControls.querySelector( 'input' );
+		range.max = duration;
+		range.value = position;
+		playbackControls.querySelector( '.time' ).textContent = formatTime( position ) + ' / ' + formatTime( duration );
+		var play = playbackControls.querySelector( '.play' );
+		play.title = playback ? 'Pause' : 'Play';
+		play.innerHTML = playback ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+
+		clearTimeout( playbackControls.timeout );
+		if ( playback ) {
+			playbackControls.timeout = setTimeout( updatePlaybackBar, 100 );
+		}
+	}
+
+	/**
+	 * Stop the playback started with the playback bar when the slide or fragment changes.
+	 */
+	function resetPlaybackBar() {
+		if ( barPlayback ) {
+			barPlayback = false;
+			playback = false;
+			stopPlayback();
+		}
+		pausedPosition = null;
+	}
+
+	function playPlayback( timestamp ) {
+		var event = new CustomEvent( 'startplayback' );
+		event.timestamp = timestamp;
+		document.dispatchEvent( event );
+		barPlayback = true;
+	}
+
+	function pausePlayback() {
+		pausedPosition = playbackTime();
+		document.dispatchEvent( new CustomEvent( 'stopplayback' ) );
+		slideStart = Date.now() - pausedPosition;
+		updatePlaybackBar();
+	}
+
+	function togglePlayback() {
+		if ( playback ) {
+			pausePlayback();
+		} else {
+			var position = pausedPosition;
+			if ( position == null || position >= getSlideDuration() ) position = 0;
+			playPlayback( position );
+		}
+	}
+
+	function seekPlayback( timestamp ) {
+		if ( barPlayback ) {
+			playPlayback( timestamp );
+			return;
+		}
+		var event = new CustomEvent( 'seekplayback' );
+		event.timestamp = timestamp;
+		document.dispatchEvent( event );
+		pausedPosition = ( timestamp < getSlideDuration() ) ? timestamp : null;
+		updatePlaybackBar();
+	}
+
+	/**
+	 * Jump to the end of the next stroke.
+	 */
+	function nextStroke() {
+		var position = playback ? playbackTime() : pausedPosition;
+		if ( position == null ) position = 0;
+		var next = strokeEnds().find( end => end >= position );
+		seekPlayback( ( next == undefined ) ? getSlideDuration() : next + 1 );
+	}
+
+	function playEvent( id, event, timestamp ) {
+//console.log( timestamp +" / " + JSON.stringify(event));
+//console.log( id + ": " + timestamp +" / " +  event.time +" / " + event.type +" / " + mode );
+		if ( event.type == 'boards' ) {
+			// the boards are changed in the same way as by the presenter
+			board = event.board;
+			restoreViewport( board, event.time + 1 );
+			redrawChalkboard( board, event.time + 1 );
+			return;
+		}
+		// drawings on other boards are shown when their board is selected
+		if ( id == 1 && undoable.includes( event.type ) && event.board != undefined && event.board != board ) return;
+		switch ( event.type ) {
+		case 'open':
+			if ( timestamp <= event.time ) {
+				showChalkboard();
+			} else {
+				mode = 1;
+			}
+
+			break;
+		case 'close':
+			if ( timestamp < event.time ) {
+				closeChalkboard();
+			} else {
+				mode = 0;
+			}
+			break;
+		case 'clear':
+			clearCanvas( id );
+			break;
+		case 'selectboard':
+			selectBoard( event.board, false, event.time + 1 );
+			break;
+		case 'viewport':
+			if ( id == 1 && event.board == board ) {
+				setViewport( event.x, event.y, event.zoom );
+				redrawChalkboard( board, event.time + 1 );
+			}
+			break;
+		case 'draw':
+			drawLine( id, event, timestamp );
+			break;
+		case 'polyline':
+			drawPolyline( id, event, timestamp );
+			break;
+		case 'erase':
+			eraseCircle( id, event, timestamp );
+			break;
+		case 'shape':
+			drawShape( id, drawingCanvas[ id ].context, event, drawingCanvas[ id ].scale, drawingCanvas[ id ].xOffset, drawingCanvas[ id ].yOffset );
+			break;
+		case 'text':
+			if ( !inEditor( id, event ) ) drawText( id, drawingCanvas[ id ].context, event, drawingCanvas[ id ].scale, drawingCanvas[ id ].xOffset, drawingCanvas[ id ].yOffset );
+			break;
+		case 'stamp':
+			playStamp( id, event );
+			break;
+		case 'note':
+			if ( !inEditor( id, event ) ) drawNote( drawingCanvas[ id ].context, event, drawingCanvas[ id ].scale, drawingCanvas[ id ].xOffset, drawingCanvas[ id ].yOffset );
+			break;
+		case 'edit':
+			// draw the canvas again with the edited strokes
+			redrawCanvas( id, event.time + 1 );
+			break;
+		}
+	};
+
+	function drawLine( id, event, timestamp ) {
+		var ctx = drawingCanvas[ id ].context;
+		var scale = drawingCanvas[ id ].scale;
+		var xOffset = drawingCanvas[ id ].xOffset;
+		var yOffset = drawingCanvas[ id ].yOffset;
+		draw[ id ]( ctx, xOffset + event.x1 * scale, yOffset + event.y1 * scale, xOffset + event.x2 * scale, yOffset + event.y2 * scale, event.color, event.width );
+	};
+
+	/**
+	 * Draw the segments of a polyline, during playback segments after the current time are scheduled.
+	 */
+	function drawPolyline( id, event, timestamp ) {
+		var now = playbackTime();
+		var k = 1;
+		while ( k < event.points.length && ( !playback || event.time + event.points[ k ][ 2 ] <= now ) ) {
+			drawPolylineSegment( id, event, k );
+			k++;
+		}
+		for ( ; k < event.points.length; k++ ) {
+			timeouts[ id ].push( setTimeout( drawPolylineSegment, ( event.time + event.points[ k ][ 2 ] - now ) / playbackSpeed, id, event, k ) );
+		}
+	}
+
+	function drawPolylineSegment( id, event, k ) {
+		var ctx = drawingCanvas[ id ].context;
+		var scale = drawingCanvas[ id ].scale;
+		var xOffset = drawingCanvas[ id ].xOffset;
+		var yOffset = drawingCanvas[ id ].yOffset;
+		drawCurve( id, ctx, smoothedPart( event.points, k ), event.color, event.highlighter, scale, xOffset, yOffset );
+		if ( k == event.points.length - 1 ) {
+			drawCurve( id, ctx, smoothedEnd( event.points ), event.color, event.highlighter, scale, xOffset, yOffset );
+		}
+	}
+
+	function eraseCircle( id, event, timestamp ) {
+		var ctx = drawingCanvas[ id ].context;
+		var scale = drawingCanvas[ id ].scale;
+		var xOffset = drawingCanvas[ id ].xOffset;
+		var yOffset = drawingCanvas[ id ].yOffset;
+
+		eraseWithSponge( ctx, xOffset + event.x * scale, yOffset + event.y * scale );
+	};
+
+	function startErasing( x, y ) {
+		drawing = false;
+		erasing = true;
+		stroke = Date.now();
+		drawingCanvas[ mode ].sponge.style.visibility = 'visible';
+		if ( eraserMode == 'stroke' ) {
+			eraseStrokes( x, y );
+		} else {
+			erasePoint( x, y );
+		}
+	}
+
+	function moveSponge( x, y ) {
+		drawingCanvas[ mode ].sponge.style.left = ( x * drawingCanvas[ mode ].scale + drawingCanvas[ mode ].xOffset - eraser.radius ) + 'px';
+		drawingCanvas[ mode ].sponge.style.top = ( y * drawingCanvas[ mode ].scale + drawingCanvas[ mode ].yOffset - 2 * eraser.radius ) + 'px';
+	}
+
+	function erasePoint( x, y ) {
+		var ctx = drawingCanvas[ mode ].context;
+		var scale = drawingCanvas[ mode ].scale;
+		var xOffset = drawingCanvas[ mode ].xOffset;
+		var yOffset = drawingCanvas[ mode ].yOffset;
+
+		moveSponge( x, y );
+
+		recordEvent( {
+			type: 'erase',
+			stroke,
+			x,
+			y
+		} );
+
+		if (
+			x * scale + xOffset > 0 &&
+			y * scale + yOffset > 0 &&
+			x * scale + xOffset < drawingCanvas[ mode ].width &&
+			y * scale + yOffset < drawingCanvas[ mode ].height
+		) {
+			eraseWithSponge( ctx, x * scale + xOffset, y * scale + yOffset );
+		}
+	}
+
+	/**
+	 * Remove all strokes touched by the stroke eraser, the strokes removed while erasing
+	 * belong to the same stroke so that they are restored together by undo.
+	 */
+	function eraseStrokes( x, y ) {
+		moveSponge( x, y );
+		var radius = eraser.radius / drawingCanvas[ mode ].scale;
+		var strokes = [];
+		visibleStrokes().forEach( event => {
+			if ( !strokes.includes( event.stroke ) && strokeDistance( event, x, y ) <= radius ) strokes.push( event.stroke );
+		} );
+		if ( !strokes.length ) return;
+		editStrokes( 'delete', strokes, {} );
+		// broadcast
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'edit',
+			timestamp: Date.now() - slideStart,
+			mode,
+			board,
+			stroke,
+			action: 'delete',
+			strokes
+		};
+		document.dispatchEvent( message );
+	}
+
+	function stopErasing() {
+		erasing = false;
+		// hide sponge
+		drawingCanvas[ mode ].sponge.style.visibility = 'hidden';
+	}
+
+	function startDrawing( x, y ) {
+		drawing = true;
+		stroke = Date.now();
+
+		var ctx = drawingCanvas[ mode ].context;
+		var scale = drawingCanvas[ mode ].scale;
+		var xOffset = drawingCanvas[ mode ].xOffset;
+		var yOffset = drawingCanvas[ mode ].yOffset;
+		lastX = x * scale + xOffset;
+		lastY = y * scale + yOffset;
+	}
+
+	function drawSegment( fromX, fromY, toX, toY, colorIdx, width, highlighter ) {
+		var ctx = drawingCanvas[ mode ].context;
+		var scale = drawingCanvas[ mode ].scale;
+		var xOffset = drawingCanvas[ mode ].xOffset;
+		var yOffset = drawingCanvas[ mode ].yOffset;
+
+		if ( !currentPolyline || currentPolyline.stroke !== stroke ) {
+			finishPolyline();
+			currentPolyline = {
+				type: 'polyline',
+				stroke,
+				color: colorIdx,
+				points: [ polylinePoint( fromX, fromY, 0 ) ]
+			};
+			if ( highlighter ) currentPolyline.highlighter = true;
+			recordEvent( currentPolyline );
+		} else {
+			var slideData = getSlideData();
+			slideData.duration = Math.max( slideData.duration, Date.now() - slideStart ) + 1;
+			storageChanged();
+		}
+		currentPolyline.points.push( polylinePoint( toX, toY, Date.now() - slideStart - currentPolyline.time, width ) );
+
+		if (
+			fromX * scale + xOffset > 0 &&
+			fromY * scale + yOffset > 0 &&
+			fromX * scale + xOffset < drawingCanvas[ mode ].width &&
+			fromY * scale + yOffset < drawingCanvas[ mode ].height &&
+			toX * scale + xOffset > 0 &&
+			toY * scale + yOffset > 0 &&
+			toX * scale + xOffset < drawingCanvas[ mode ].width &&
+			toY * scale + yOffset < drawingCanvas[ mode ].height
+		) {
+			drawCurve( mode, ctx, smoothedPart( currentPolyline.points, currentPolyline.points.length - 1 ), colorIdx, highlighter, scale, xOffset, yOffset );
+		}
+	}
+
+	function stopDrawing() {
+		drawing = false;
+		guide = null;
+		finishPolyline();
+	}
+
+	/**
+	 * Returns a point of a polyline with coordinates rounded to a tenth of a pixel.
+	 */
+	function polylinePoint( x, y, time, width ) {
+		var point = [ Math.round( x * 10 ) / 10, Math.round( y * 10 ) / 10, time ];
+		if ( width ) point.push( width );
+		return point;
+	}
+
+	/**
+	 * Simplify the polyline of the current stroke when the stroke ends.
+	 */
+	function finishPolyline() {
+		if ( !currentPolyline ) return;
+		// the smoothed stroke lags behind the input and is completed at its end
+		drawCurve( mode, drawingCanvas[ mode ].context, smoothedEnd( currentPolyline.points ), currentPolyline.color, currentPolyline.highlighter, drawingCanvas[ mode ].scale, drawingCanvas[ mode ].xOffset, drawingCanvas[ mode ].yOffset );
+		currentPolyline.points = simplifyPoints( currentPolyline.points, simplify );
+		currentPolyline = null;
+		storageChanged();
+	}
+
+	function startShape( x, y ) {
+		pendingShape = {
+			type: 'shape',
+			shape: tool,
+			color: color[ mode ],
+			width: strokeWidth[ mode ] || undefined,
+			x1: x,
+			y1: y,
+			x2: x,
+			y2: y
+		};
+	}
+
+	/**
+	 * Show preview of the shape, holding shift constrains lines and arrows to multiples of 45 degrees, rectangles and ellipses to squares and circles
+	 * and triangles to equilateral triangles.
+	 */
+	function updateShape( x, y, constrain ) {
+		var dx = x - pendingShape.x1;
+		var dy = y - pendingShape.y1;
+		if ( constrain ) {
+			if ( pendingShape.shape == 'line' || pendingShape.shape == 'arrow' ) {
+				var angle = Math.round( Math.atan2( dy, dx ) / ( Math.PI / 4 ) ) * Math.PI / 4;
+				var length = Math.sqrt( dx * dx + dy * dy );
+				dx = length * Math.cos( angle );
+				dy = length * Math.sin( angle );
+			} else if ( pendingShape.shape == 'triangle' ) {
+				dy = ( dy < 0 ? -1 : 1 ) * Math.abs( dx ) * Math.sqrt( 3 ) / 2;
+			} else {
+				var size = Math.max( Math.abs( dx ), Math.abs( dy ) );
+				dx = ( dx < 0 ? -1 : 1 ) * size;
+				dy = ( dy < 0 ? -1 : 1 ) * size;
+			}
+		}
+		pendingShape.x2 = pendingShape.x1 + dx;
+		pendingShape.y2 = pendingShape.y1 + dy;
+
+		var preview = drawingCanvas[ mode ].preview;
+		preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+		drawShape( mode, preview, pendingShape, drawingCanvas[ mode ].scale, drawingCanvas[ mode ].xOffset, drawingCanvas[ mode ].yOffset );
+	}
+
+	function stopShape() {
+		var event = pendingShape;
+		pendingShape = null;
+		drawingCanvas[ mode ].preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+		if ( event.x1 == event.x2 && event.y1 == event.y2 ) return;
+
+		stroke = Date.now();
+		drawShapeEvent( event.shape, event.x1, event.y1, event.x2, event.y2, event.color, event.width );
+		// broadcast
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'shape',
+			timestamp: Date.now() - slideStart,
+			mode,
+			board,
+			stroke,
+			shape: event.shape,
+			x1: event.x1,
+			y1: event.y1,
+			x2: event.x2,
+			y2: event.y2,
+			color: event.color,
+			width: event.width
+		};
+		document.dispatchEvent( message );
+	}
+
+	/**
+	 * Returns whether the text or sticky note is shown in an editor instead of on the canvas.
+	 */
+	function inEditor( id, event ) {
+		return editing != null && editing.id == id && editing.stroke === event.stroke;
+	}
+
+	/**
+	 * Open text editor for the text at the given position or for new text.
+	 */
+	function startText( x, y ) {
+		var slideData = getSlideData();
+		var boardIdx = ( mode == 1 ) ? board : undefined;
+		var events = editedEvents( slideData.events );
+		for ( var i = events.length - 1; i >= 0; i-- ) {
+			var event = events[ i ];
+			if ( event.board !== boardIdx ) continue;
+			if ( event.type == 'clear' ) break;
+			if ( event.type == 'text' ) {
+				var bounds = textBounds( event );
+				if ( x >= event.x && x <= event.x + bounds.width && y >= event.y && y <= event.y + bounds.height ) {
+					// edit existing text, moved, scaled or recolored text is edited with its changes,
+					// the text is hidden on the canvas while it is edited
+					editing = { id: mode, stroke: event.stroke };
+					redrawCanvas( mode );
+					openTextEditor( Object.assign( {}, event ) );
+					return;
+				}
+			}
+		}
+		openTextEditor( {
+			type: 'text',
+			color: color[ mode ],
+			size: textSize,
+			text: '',
+			x,
+			y
+		} );
+	}
+
+	/**
+	 * Open text editor for new text or for a copy of recorded text, a change of the recorded text is recorded as edit.
+	 */
+	function openTextEditor( event ) {
+		var id = mode;
+		var size = event.size;
+		var scale = drawingCanvas[ id ].scale;
+		var editor = document.createElement( 'div' );
+		editor.classList.add( 'chalkboard-text' );
+		editor.style.left = ( drawingCanvas[ id ].xOffset + event.x * scale ) + 'px';
+		editor.style.top = ( drawingCanvas[ id ].yOffset + event.y * scale ) + 'px';
+
+		var textarea = document.createElement( 'textarea' );
+		textarea.value = event.text;
+		textarea.style.color = getPen( id, event.color ).color.replace( /[\d\.]+\)$/g, '1)' );
+		var resize = function () {
+			var lines = textarea.value.split( '\n' );
+			textarea.style.fontSize = ( event.size * scale ) + 'px';
+			textarea.style.fontFamily = textFont;
+			textarea.rows = lines.length;
+			textarea.cols = Math.max( 10, ...lines.map( line => line.length + 1 ) );
+		}
+		resize();
+		textarea.addEventListener( 'input', resize );
+		editor.appendChild( textarea );
+
+		var select = document.createElement( 'select' );
+		for ( var i = 0; i < textSizes.length; i++ ) {
+			var option = document.createElement( 'option' );
+			option.value = textSizes[ i ];
+			option.textContent = textSizes[ i ] + 'px';
+			option.selected = ( textSizes[ i ] == event.size );
+			select.appendChild( option );
+		}
+		select.addEventListener( 'change', function () {
+			event.size = textSize = Number( select.value );
+			resize();
+			textarea.focus();
+		} );
+		editor.appendChild( select );
+
+		var done = false;
+		var close = function ( commit ) {
+			if ( done ) return;
+			done = true;
+			editor.remove();
+			var text = textarea.value.replace( /\s+$/, '' );
+			if ( event.stroke != undefined ) {
+				// show the recorded text again and record the changes
+				editing = null;
+				stroke = Date.now();
+				if ( commit && !text ) {
+					broadcastEdit( 'delete', [ event.stroke ], {} );
+				} else if ( commit && ( text != event.text || size != event.size ) ) {
+					broadcastEdit( 'text', [ event.stroke ], { text, size: event.size } );
+				} else {
+					redrawCanvas( id );
+				}
+				return;
+			}
+			if ( !commit ) return;
+			stroke = Date.now();
+			addText( text, event.x, event.y, event.size, event.color );
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'text',
+				timestamp: Date.now() - slideStart,
+				mode,
+				board,
+				stroke,
+				text,
+				x: event.x,
+				y: event.y,
+				size: event.size,
+				color: event.color
+			};
+			document.dispatchEvent( message );
+		};
+		textarea.addEventListener( 'keydown', function ( e ) {
+			e.stopPropagation();
+			if ( e.key == 'Escape' ) close( false );
+		} );
+		editor.addEventListener( 'focusout', function ( e ) {
+			if ( !editor.contains( e.relatedTarget ) ) close( true );
+		} );
+		// do not draw when clicking into the editor
+		editor.addEventListener( 'pointerdown', function ( e ) {
+			e.stopPropagation();
+		} );
+
+		drawingCanvas[ id ].container.appendChild( editor );
+		setTimeout( function () {
+			textarea.focus();
+		}, 0 );
+	}
+
+	/**
+	 * Record and draw text.
+	 */
+	function addText( text, x, y, size, colorIdx ) {
+		if ( !text ) return;
+
+		var event = {
+			type: 'text',
+			stroke,
+			color: colorIdx,
+			size,
+			text,
+			x,
+			y
+		};
+		recordEvent( event );
+		drawText( mode, drawingCanvas[ mode ].context, event, drawingCanvas[ mode ].scale, drawingCanvas[ mode ].xOffset, drawingCanvas[ mode ].yOffset );
+	}
+
+	function drawShapeEvent( shape, x1, y1, x2, y2, colorIdx, width ) {
+		var event = {
+			type: 'shape',
+			stroke,
+			shape,
+			color: colorIdx,
+			x1,
+			y1,
+			x2,
+			y2
+		};
+		if ( width ) event.width = width;
+		recordEvent( event );
+		drawShape( mode, drawingCanvas[ mode ].context, event, drawingCanvas[ mode ].scale, drawingCanvas[ mode ].xOffset, drawingCanvas[ mode ].yOffset );
+	}
+
+
+/*****************************************************************
+ ** Stamps
+ ******************************************************************/
+
+	var stampImages = {}; // loaded images of stamps by url
+	var stampList = null; // urls of the stamps listed in the JSON file given by the stamps option
+
+	/**
+	 * Load the list of stamps, the callback is called with the urls of the stamps.
+	 */
+	function loadStampList( callback ) {
+		if ( Array.isArray( stamps ) ) {
+			callback( stamps );
+			return;
+		}
+		if ( stampList ) {
+			callback( stampList );
+			return;
+		}
+		// names in the list are relative to the JSON file
+		var base = stamps.slice( 0, stamps.lastIndexOf( '/' ) + 1 );
+		fetch( stamps ).then( function ( response ) {
+			if ( !response.ok ) throw new Error( response.status + ' ' + response.statusText );
+			return response.json();
+		} ).then( function ( names ) {
+			stampList = names.filter( name => typeof name == 'string' ).map( name => /^([a-z]+:|\/)/i.test( name ) ? name : base + name );
+		} ).catch( function ( error ) {
+			console.warn( 'Cannot load list of stamps from ' + stamps + '!', error );
+			stampList = [];
+		} ).then( function () {
+			callback( stampList );
+		} );
+	}
+
+	/**
+	 * Load the image of a stamp, the callback is called with the image or null if it cannot be loaded.
+	 */
+	function loadStamp( src, callback ) {
+		var entry = stampImages[ src ];
+		if ( entry && entry.callbacks ) {
+			entry.callbacks.push( callback );
+			return;
+		}
+		if ( entry ) {
+			callback( entry.image );
+			return;
+		}
+		entry = stampImages[ src ] = {
+			image: null,
+			callbacks: [ callback ]
+		};
+		var done = function ( image ) {
+			entry.image = image;
+			var callbacks = entry.callbacks;
+			delete entry.callbacks;
+			callbacks.forEach( callback => callback( image ) );
+		};
+		var image = new Image();
+		image.onload = function () {
+			done( image );
+		};
+		image.onerror = function () {
+			console.warn( 'Cannot load stamp ' + src + '!' );
+			done( null );
+		};
+		image.src = src;
+	}
+
+	/**
+	 * Load the stamps on all canvases and boards of the given slides before calling the callback.
+	 */
+	function loadStamps( slides, callback ) {
+		var sources = [];
+		slides.forEach( slideData => ( ( slideData && slideData.events ) || [] ).forEach( event => {
+			if ( event.type == 'stamp' && !sources.includes( event.src ) ) sources.push( event.src );
+		} ) );
+		var count = sources.length;
+		if ( !count ) {
+			callback();
+			return;
+		}
+		sources.forEach( src => loadStamp( src, function () {
+			if ( --count == 0 ) callback();
+		} ) );
+	}
+
+	/**
+	 * Returns the loaded image of a stamp or null.
+	 */
+	function stampImage( src ) {
+		var entry = stampImages[ src ];
+		return ( entry && entry.image ) || null;
+	}
+
+	/**
+	 * Returns the ratio of width to height of a stamp, images without intrinsic size are square.
+	 */
+	function stampRatio( src ) {
+		var image = stampImage( src );
+		return ( image && image.naturalWidth && image.naturalHeight ) ? image.naturalWidth / image.naturalHeight : 1;
+	}
+
+	/**
+	 * Returns a readable name of a stamp from the file name of its url.
+	 */
+	function stampName( src ) {
+		return decodeURIComponent( src.slice( src.lastIndexOf( '/' ) + 1 ) ).replace( /\.[^.]*$/, '' ).replace( /[-_]+/g, ' ' );
+	}
+
+	/**
+	 * Draw a stamp if its image is loaded, returns whether it was drawn.
+	 */
+	function drawStamp( context, event, scale, xOffset, yOffset ) {
+		var image = stampImage( event.src );
+		if ( !image ) return false;
+		context.drawImage( image, xOffset + event.x * scale, yOffset + event.y * scale, event.width * scale, event.height * scale );
+		return true;
+	}
+
+	/**
+	 * Draw a stamp on the notes canvas or chalkboard, which is drawn again as soon as the image is loaded.
+	 */
+	function playStamp( id, event ) {
+		if ( drawStamp( drawingCanvas[ id ].context, event, drawingCanvas[ id ].scale, drawingCanvas[ id ].xOffset, drawingCanvas[ id ].yOffset ) ) return;
+		if ( stampImages[ event.src ] && !stampImages[ event.src ].callbacks ) return; // image cannot be loaded
+		loadStamp( event.src, function ( image ) {
+			if ( !image ) return;
+			if ( id == 1 ) {
+				scheduleRedraw();
+			} else {
+				redrawCanvas( 0 );
+			}
+		} );
+	}
+
+	/**
+	 * Select the image placed by the stamp tool.
+	 */
+	function selectStamp( src ) {
+		stamp = src;
+		loadStamp( src, function () {} );
+		selectTool( 'stamp' );
+	}
+
+	/**
+	 * Start placing the selected stamp, the stamp is scaled by dragging.
+	 */
+	function startStamp( x, y ) {
+		if ( !stamp ) {
+			chooseStamp();
+			return;
+		}
+		pendingStamp = {
+			originX: x,
+			originY: y,
+			event: {
+				type: 'stamp',
+				src: stamp,
+				x,
+				y,
+				width: 0,
+				height: 0
+			}
+		};
+	}
+
+	/**
+	 * Show preview of the stamp spanning from the start of the drag to the given position with the aspect ratio of the image.
+	 */
+	function updateStamp( x, y ) {
+		var event = pendingStamp.event;
+		var dx = x - pendingStamp.originX;
+		var dy = y - pendingStamp.originY;
+		var ratio = stampRatio( event.src );
+		event.width = Math.max( Math.abs( dx ), Math.abs( dy ) * ratio );
+		event.height = event.width / ratio;
+		event.x = ( dx < 0 ) ? pendingStamp.originX - event.width : pendingStamp.originX;
+		event.y = ( dy < 0 ) ? pendingStamp.originY - event.height : pendingStamp.originY;
+
+		var preview = drawingCanvas[ mode ].preview;
+		preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+		drawStamp( preview, event, drawingCanvas[ mode ].scale, drawingCanvas[ mode ].xOffset, drawingCanvas[ mode ].yOffset );
+	}
+
+	function stopStamp() {
+		var event = pendingStamp.event;
+		if ( event.width < 10 ) {
+			// a click places the stamp with the default size centered at the pointer
+			var ratio = stampRatio( event.src );
+			event.width = ( ratio < 1 ) ? stampSize * ratio : stampSize;
+			event.height = event.width / ratio;
+			event.x = pendingStamp.originX - event.width / 2;
+			event.y = pendingStamp.originY - event.height / 2;
+		}
+		pendingStamp = null;
+		drawingCanvas[ mode ].preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+
+		stroke = Date.now();
+		addStamp( event.src, event.x, event.y, event.width, event.height );
+		// broadcast
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'stamp',
+			timestamp: Date.now() - slideStart,
+			mode,
+			board,
+			stroke,
+			src: event.src,
+			x: event.x,
+			y: event.y,
+			width: event.width,
+			height: event.height
+		};
+		document.dispatchEvent( message );
+	}
+
+	function addStamp( src, x, y, width, height ) {
+		var event = {
+			type: 'stamp',
+			stroke,
+			src,
+			x,
+			y,
+			width,
+			height
+		};
+		recordEvent( event );
+		playStamp( mode, event );
+	}
+
+
+/*****************************************************************
+ ** Sticky notes
+ ******************************************************************/
+
+	/**
+	 * Returns the lines of the text of a sticky note wrapped at the width of the note.
+	 */
+	function wrapNote( event ) {
+		var context = drawingCanvas[ mode ].preview;
+		context.font = event.size + 'px ' + textFont;
+		var width = event.width - event.size;
+		var lines = [];
+		event.text.split( '\n' ).forEach( paragraph => {
+			var line = '';
+			paragraph.split( ' ' ).forEach( word => {
+				var candidate = line ? line + ' ' + word : word;
+				if ( line && context.measureText( candidate ).width > width ) {
+					lines.push( line );
+					line = word;
+				} else {
+					line = candidate;
+				}
+			} );
+			lines.push( line );
+		} );
+		return lines;
+	}
+
+	function drawNote( context, event, scale, xOffset, yOffset ) {
+		var x = xOffset + event.x * scale;
+		var y = yOffset + event.y * scale;
+		var lines = wrapNote( event );
+		context.save();
+		context.shadowColor = 'rgba(0,0,0,0.3)';
+		context.shadowBlur = 8 * scale;
+		context.shadowOffsetY = 3 * scale;
+		context.fillStyle = ( noteColors[ event.color ] || noteColors[ 0 ] ).color;
+		context.fillRect( x, y, event.width * scale, event.height * scale );
+		context.restore();
+		// text overflowing the note is cut off
+		context.save();
+		context.beginPath();
+		context.rect( x, y, event.width * scale, event.height * scale );
+		context.clip();
+		context.font = ( event.size * scale ) + 'px ' + textFont;
+		context.textBaseline = 'top';
+		context.fillStyle = noteTextColor;
+		for ( var i = 0; i < lines.length; i++ ) {
+			context.fillText( lines[ i ], x + event.size / 2 * scale, y + ( event.size / 2 + i * 1.2 * event.size ) * scale );
+		}
+		context.restore();
+	}
+
+	/**
+	 * Returns the topmost sticky note at the given position or null.
+	 */
+	function noteAt( x, y ) {
+		var notes = visibleStrokes().filter( event => event.type == 'note' );
+		for ( var i = notes.length - 1; i >= 0; i-- ) {
+			if ( x >= notes[ i ].x && x <= notes[ i ].x + notes[ i ].width && y >= notes[ i ].y && y <= notes[ i ].y + notes[ i ].height ) return notes[ i ];
+		}
+		return null;
+	}
+
+	/**
+	 * Start moving the sticky note at the given position, a click edits the note or adds a new note.
+	 */
+	function startNote( x, y ) {
+		pendingNote = {
+			x,
+			y,
+			target: noteAt( x, y ),
+			dx: 0,
+			dy: 0
+		};
+	}
+
+	function updateNote( x, y ) {
+		if ( !pendingNote.target ) return;
+		pendingNote.dx = Math.round( ( x - pendingNote.x ) * 10 ) / 10;
+		pendingNote.dy = Math.round( ( y - pendingNote.y ) * 10 ) / 10;
+		var preview = drawingCanvas[ mode ].preview;
+		preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+		drawNote( preview, editEvent( pendingNote.target, { action: 'move', dx: pendingNote.dx, dy: pendingNote.dy } ), drawingCanvas[ mode ].scale, drawingCanvas[ mode ].xOffset, drawingCanvas[ mode ].yOffset );
+	}
+
+	function stopNote() {
+		var current = pendingNote;
+		pendingNote = null;
+		drawingCanvas[ mode ].preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+		if ( current.target && ( Math.abs( current.dx ) + Math.abs( current.dy ) ) * drawingCanvas[ mode ].scale > 3 ) {
+			stroke = Date.now();
+			moveNotes( [ {
+				stroke: current.target.stroke,
+				dx: current.dx,
+				dy: current.dy
+			} ] );
+			return;
+		}
+		if ( current.target ) {
+			// edit a copy of an existing note, moved, scaled or recolored notes are edited with their changes,
+			// the note is hidden on the canvas while it is edited
+			editing = { id: mode, stroke: current.target.stroke };
+			redrawCanvas( mode );
+			openNoteEditor( Object.assign( {}, current.target ) );
+			return;
+		}
+		openNoteEditor( {
+			type: 'note',
+			color: noteColors[ color[ mode ] ] ? color[ mode ] : 0,
+			size: noteTextSize,
+			text: '',
+			x: current.x - noteWidth / 2,
+			y: current.y - noteHeight / 2,
+			width: noteWidth,
+			height: noteHeight
+		} );
+	}
+
+	/**
+	 * Open note editor for a new note or for a copy of a recorded note, changes of the recorded note are recorded as edits.
+	 */
+	function openNoteEditor( event ) {
+		var id = mode;
+		var original = {
+			text: event.text,
+			color: event.color
+		};
+		var scale = drawingCanvas[ id ].scale;
+		var editor = document.createElement( 'div' );
+		editor.classList.add( 'chalkboard-note' );
+		editor.style.left = ( drawingCanvas[ id ].xOffset + event.x * scale ) + 'px';
+		editor.style.top = ( drawingCanvas[ id ].yOffset + event.y * scale ) + 'px';
+
+		var textarea = document.createElement( 'textarea' );
+		textarea.value = event.text;
+		textarea.style.width = ( event.width * scale ) + 'px';
+		textarea.style.height = ( event.height * scale ) + 'px';
+		textarea.style.padding = ( event.size / 2 * scale ) + 'px';
+		textarea.style.fontSize = ( event.size * scale ) + 'px';
+		textarea.style.fontFamily = textFont;
+		textarea.style.color = noteTextColor;
+		var setNoteColor = function ( colorIdx ) {
+			event.color = colorIdx;
+			textarea.style.background = ( noteColors[ colorIdx ] || noteColors[ 0 ] ).color;
+		};
+		setNoteColor( event.color );
+		editor.appendChild( textarea );
+
+		var toolbar = document.createElement( 'div' );
+		for ( var i = 0; i < noteColors.length; i++ ) {
+			var swatch = document.createElement( 'a' );
+			swatch.href = '#';
+			swatch.className = 'swatch';
+			swatch.title = 'Color ' + ( i + 1 );
+			swatch.style.background = noteColors[ i ].color;
+			swatch.addEventListener( 'click', function ( colorIdx, e ) {
+				e.preventDefault();
+				setNoteColor( colorIdx );
+				textarea.focus();
+			}.bind( null, i ) );
+			toolbar.appendChild( swatch );
+		}
+		var remove = document.createElement( 'a' );
+		remove.href = '#';
+		remove.title = 'Delete note';
+		remove.innerHTML = '<i class="fas fa-trash-alt"></i>';
+		remove.addEventListener( 'click', function ( e ) {
+			e.preventDefault();
+			// notes which are emptied are removed
+			textarea.value = '';
+			close( true );
+		} );
+		toolbar.appendChild( remove );
+		editor.appendChild( toolbar );
+
+		var done = false;
+		var close = function ( commit ) {
+			if ( done ) return;
+			done = true;
+			editor.remove();
+			var text = textarea.value.replace( /\s+$/, '' );
+			if ( event.stroke != undefined ) {
+				// show the recorded note again and record the changes, which are undone together
+				editing = null;
+				stroke = Date.now();
+				if ( commit && !text ) {
+					broadcastEdit( 'delete', [ event.stroke ], {} );
+					return;
+				}
+				var changed = false;
+				if ( commit && text != original.text ) {
+					broadcastEdit( 'text', [ event.stroke ], { text, size: event.size } );
+					changed = true;
+				}
+				if ( commit && event.color != original.color ) {
+					broadcastEdit( 'color', [ event.stroke ], { color: event.color } );
+					changed = true;
+				}
+				if ( !changed ) redrawCanvas( id );
+				return;
+			}
+			if ( !commit ) return;
+			stroke = Date.now();
+			addNote( text, event.x, event.y, event.width, event.height, event.size, event.color );
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'note',
+				timestamp: Date.now() - slideStart,
+				mode,
+				board,
+				stroke,
+				text,
+				x: event.x,
+				y: event.y,
+				width: event.width,
+				height: event.height,
+				size: event.size,
+				color: event.color
+			};
+			document.dispatchEvent( message );
+		};
+		textarea.addEventListener( 'keydown', function ( e ) {
+			e.stopPropagation();
+			if ( e.key == 'Escape' ) close( false );
+		} );
+		editor.addEventListener( 'focusout', function ( e ) {
+			if ( !editor.contains( e.relatedTarget ) ) close( true );
+		} );
+		// do not draw when clicking into the editor
+		editor.addEventListener( 'pointerdown', function ( e ) {
+			e.stopPropagation();
+		} );
+
+		drawingCanvas[ id ].container.appendChild( editor );
+		setTimeout( function () {
+			textarea.focus();
+		}, 0 );
+	}
+
+	/**
+	 * Record and draw a sticky note.
+	 */
+	function addNote( text, x, y, width, height, size, colorIdx ) {
+		if ( !text ) return;
+
+		var event = {
+			type: 'note',
+			stroke,
+			color: colorIdx,
+			size,
+			text,
+			x,
+			y,
+			width,
+			height
+		};
+		recordEvent( event );
+		drawNote( drawingCanvas[ mode ].context, event, drawingCanvas[ mode ].scale, drawingCanvas[ mode ].xOffset, drawingCanvas[ mode ].yOffset );
+	}
+
+	/**
+	 * Record and broadcast moves of sticky notes, the moves have the same stroke and are undone together.
+	 * The canvas is drawn again once after all moves are recorded.
+	 */
+	function moveNotes( moves ) {
+		var last = null;
+		moves.forEach( move => {
+			last = recordEdit( 'move', [ move.stroke ], move );
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'edit',
+				timestamp: Date.now() - slideStart,
+				mode,
+				board,
+				stroke,
+				action: 'move',
+				strokes: [ move.stroke ],
+				dx: move.dx,
+				dy: move.dy
+			};
+			document.dispatchEvent( message );
+		} );
+		if ( last ) redrawCanvas( mode, last.time + 1 );
+	}
+
+	/**
+	 * Arrange the sticky notes on the notes canvas or current board in clusters of notes with the same color,
+	 * the clusters are placed side by side starting at the top left corner of the notes.
+	 */
+	function clusterNotes() {
+		if ( readOnly ) return;
+		var notes = visibleStrokes().filter( event => event.type == 'note' );
+		if ( !notes.length ) return;
+		var bounds = drawingBounds( notes );
+		var gap = 10;
+		var left = bounds.left;
+		var moves = [];
+		var colors = notes.map( event => event.color ).filter( ( colorIdx, i, list ) => list.indexOf( colorIdx ) == i ).sort( ( a, b ) => a - b );
+		colors.forEach( colorIdx => {
+			// notes keep their order from top to bottom and left to right
+			var cluster = notes.filter( event => event.color == colorIdx ).sort( ( a, b ) => ( a.y - b.y ) || ( a.x - b.x ) );
+			var columns = Math.ceil( Math.sqrt( cluster.length ) );
+			var width = Math.max( ...cluster.map( event => event.width ) );
+			var height = Math.max( ...cluster.map( event => event.height ) );
+			cluster.forEach( ( event, i ) => {
+				var dx = Math.round( ( left + ( i % columns ) * ( width + gap ) - event.x ) * 10 ) / 10;
+				var dy = Math.round( ( bounds.top + Math.floor( i / columns ) * ( height + gap ) - event.y ) * 10 ) / 10;
+				if ( dx || dy ) moves.push( { stroke: event.stroke, dx, dy } );
+			} );
+			left += columns * ( width + gap ) + 2 * gap;
+		} );
+		if ( !moves.length ) return;
+		clearSelection();
+		stroke = Date.now();
+		moveNotes( moves );
+	}
+
+
+/*****************************************************************
+ ** Shape recognition
+ ******************************************************************/
+
+	function pointDistance( a, b ) {
+		return Math.sqrt( Math.pow( b[ 0 ] - a[ 0 ], 2 ) + Math.pow( b[ 1 ] - a[ 1 ], 2 ) );
+	}
+
+	/**
+	 * Returns the angle in degrees by which the direction changes at b.
+	 */
+	function turnAngle( a, b, c ) {
+		var angle = Math.abs( Math.atan2( c[ 1 ] - b[ 1 ], c[ 0 ] - b[ 0 ] ) - Math.atan2( b[ 1 ] - a[ 1 ], b[ 0 ] - a[ 0 ] ) ) * 180 / Math.PI;
+		return Math.min( angle, 360 - angle );
+	}
+
+	/**
+	 * Returns whether the line from a to b is within 12 degrees of the horizontal or vertical.
+	 */
+	function axisAligned( a, b ) {
+		var angle = Math.abs( Math.atan2( b[ 1 ] - a[ 1 ], b[ 0 ] - a[ 0 ] ) * 180 / Math.PI ) % 90;
+		return angle < 12 || angle > 78;
+	}
+
+	/**
+	 * Returns the corners of a closed stroke. The stroke is started at the point farthest from its center, which is a
+	 * corner if there are any, and corners at which the direction hardly changes are dropped.
+	 */
+	function closedCorners( points, tolerance, center ) {
+		var start = 0;
+		for ( var i = 1; i < points.length; i++ ) {
+			if ( pointDistance( points[ i ], center ) > pointDistance( points[ start ], center ) ) start = i;
+		}
+		var closed = points.slice( start ).concat( points.slice( 0, start + 1 ) );
+		var corners = simplifyPoints( closed, tolerance ).slice( 0, -1 );
+		var changed = true;
+		while ( changed && corners.length > 2 ) {
+			changed = false;
+			for ( var i = 0; i < corners.length; i++ ) {
+				var previous = corners[ ( i + corners.length - 1 ) % corners.length ];
+				var next = corners[ ( i + 1 ) % corners.length ];
+				if ( turnAngle( previous, corners[ i ], next ) < 35 || pointDistance( previous, corners[ i ] ) < tolerance ) {
+					corners.splice( i, 1 );
+					changed = true;
+					break;
+				}
+			}
+		}
+		return corners;
+	}
+
+	/**
+	 * Returns the arrow drawn from the first of the corners if the stroke continues from the tip with barbs
+	 * on both sides of the shaft pointing backwards.
+	 */
+	function arrowShape( corners ) {
+		if ( corners.length < 4 || corners.length > 6 ) return null;
+		var start = corners[ 0 ];
+		var tip = corners[ 1 ];
+		var shaft = pointDistance( start, tip );
+		var sides = [ false, false ];
+		for ( var i = 2; i < corners.length; i++ ) {
+			var dx = corners[ i ][ 0 ] - tip[ 0 ];
+			var dy = corners[ i ][ 1 ] - tip[ 1 ];
+			if ( pointDistance( corners[ i ], tip ) < 0.1 * shaft ) continue; // back at the tip
+			if ( pointDistance( corners[ i ], tip ) > 0.5 * shaft ) return null;
+			if ( dx * ( tip[ 0 ] - start[ 0 ] ) + dy * ( tip[ 1 ] - start[ 1 ] ) >= 0 ) return null;
+			sides[ ( dx * ( tip[ 1 ] - start[ 1 ] ) - dy * ( tip[ 0 ] - start[ 0 ] ) > 0 ) ? 0 : 1 ] = true;
+		}
+		if ( !sides[ 0 ] || !sides[ 1 ] ) return null;
+		return { shape: 'arrow', x1: start[ 0 ], y1: start[ 1 ], x2: tip[ 0 ], y2: tip[ 1 ] };
+	}
+
+	/**
+	 * Returns the shape resembled by the points of a stroke or null. Closed strokes are compared with the ellipse
+	 * in their bounding box and with the polygon of their corners, rectangles must be aligned with the axes and
+	 * triangles need a horizontal base. Open strokes are lines or arrows with the head drawn at either end.
+	 */
+	function recognizeShape( points ) {
+		if ( points.length < 2 ) return null;
+		var minX = Math.min( ...points.map( point => point[ 0 ] ) );
+		var maxX = Math.max( ...points.map( point => point[ 0 ] ) );
+		var minY = Math.min( ...points.map( point => point[ 1 ] ) );
+		var maxY = Math.max( ...points.map( point => point[ 1 ] ) );
+		var diagonal = pointDistance( [ minX, minY ], [ maxX, maxY ] );
+		if ( diagonal < 40 ) return null;
+		var length = 0;
+		for ( var i = 1; i < points.length; i++ ) {
+			length += pointDistance( points[ i - 1 ], points[ i ] );
+		}
+		var first = points[ 0 ];
+		var last = points[ points.length - 1 ];
+		var shape = null;
+
+		if ( pointDistance( first, last ) < 0.2 * diagonal && length > 2 * diagonal ) {
+			var center = [ ( minX + maxX ) / 2, ( minY + maxY ) / 2 ];
+			var rx = Math.max( 1, ( maxX - minX ) / 2 );
+			var ry = Math.max( 1, ( maxY - minY ) / 2 );
+			var error = 0;
+			for ( var i = 0; i < points.length; i++ ) {
+				error += Math.abs( Math.sqrt( Math.pow( ( points[ i ][ 0 ] - center[ 0 ] ) / rx, 2 ) + Math.pow( ( points[ i ][ 1 ] - center[ 1 ] ) / ry, 2 ) ) - 1 );
+			}
+			if ( error / points.length < 0.1 ) {
+				if ( rx / ry > 0.8 && rx / ry < 1.25 ) {
+					// circle
+					rx = ry = ( rx + ry ) / 2;
+				}
+				shape = { shape: 'ellipse', x1: center[ 0 ] - rx, y1: center[ 1 ] - ry, x2: center[ 0 ] + rx, y2: center[ 1 ] + ry };
+			} else {
+				var corners = closedCorners( points, 0.1 * diagonal, center );
+				if ( corners.length == 4 && corners.every( ( corner, i ) => axisAligned( corner, corners[ ( i + 1 ) % 4 ] ) ) ) {
+					shape = { shape: 'rectangle', x1: minX, y1: minY, x2: maxX, y2: maxY };
+				} else if ( corners.length == 3 ) {
+					for ( var i = 0; i < 3; i++ ) {
+						var a = corners[ i ];
+						var b = corners[ ( i + 1 ) % 3 ];
+						var apex = corners[ ( i + 2 ) % 3 ];
+						if ( Math.abs( b[ 1 ] - a[ 1 ] ) < 0.35 * Math.abs( b[ 0 ] - a[ 0 ] ) && apex[ 0 ] > Math.min( a[ 0 ], b[ 0 ] ) && apex[ 0 ] < Math.max( a[ 0 ], b[ 0 ] ) ) {
+							var base = ( a[ 1 ] + b[ 1 ] ) / 2;
+							shape = { shape: 'triangle', x1: minX, y1: ( apex[ 1 ] < base ) ? minY : maxY, x2: maxX, y2: ( apex[ 1 ] < base ) ? maxY : minY };
+							break;
+						}
+					}
+				}
+			}
+		} else {
+			var corners = simplifyPoints( points, 0.05 * diagonal );
+			if ( corners.length == 2 && length < 1.1 * pointDistance( first, last ) ) {
+				shape = { shape: 'line', x1: first[ 0 ], y1: first[ 1 ], x2: last[ 0 ], y2: last[ 1 ] };
+			} else {
+				shape = arrowShape( corners ) || arrowShape( corners.slice().reverse() );
+			}
+		}
+
+		if ( shape ) {
+			[ 'x1', 'y1', 'x2', 'y2' ].forEach( key => shape[ key ] = Math.round( shape[ key ] * 10 ) / 10 );
+		}
+		return shape;
+	}
+
+	/**
+	 * Replace the polyline of a stroke by a shape with the same stroke identifier.
+	 */
+	function replaceStroke( strokeId, shape, x1, y1, x2, y2, colorIdx, width ) {
+		var slideData = getSlideData();
+		slideData.events = slideData.events.filter( event => !( event.type == 'polyline' && event.stroke === strokeId ) );
+		redrawCanvas( mode );
+		stroke = strokeId;
+		drawShapeEvent( shape, x1, y1, x2, y2, colorIdx, width );
+	}
+
+	/**
+	 * Replace a stroke drawn with the pen by the shape it resembles.
+	 */
+	function recognizeStroke( polyline ) {
+		var shape = recognizeShape( polyline.points );
+		if ( !shape ) return;
+		var width = strokeWidth[ mode ] || undefined;
+		replaceStroke( polyline.stroke, shape.shape, shape.x1, shape.y1, shape.x2, shape.y2, polyline.color, width );
+		// broadcast
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'recognize',
+			timestamp: Date.now() - slideStart,
+			mode,
+			board,
+			stroke: polyline.stroke,
+			shape: shape.shape,
+			x1: shape.x1,
+			y1: shape.y1,
+			x2: shape.x2,
+			y2: shape.y2,
+			color: polyline.color,
+			width
+		};
+		document.dispatchEvent( message );
+	}
+
+/*****************************************************************
+ ** Palette
+ ******************************************************************/
+
+	/**
+	 * Returns the pen with the given index, colors removed from the palette are drawn with the first pen.
+	 */
+	function getPen( id, colorIdx ) {
+		return pens[ id ][ colorIdx ] || pens[ id ][ 0 ];
+	}
+
+	/**
+	 * Returns the width of strokes without recorded width on the notes canvas or chalkboard.
+	 */
+	function defaultWidth( id ) {
+		return ( draw[ id ] == drawWithChalk ) ? chalkWidth : boardmarkerWidth;
+	}
+
+	/**
+	 * Returns the stroke widths offered by the palette of the notes canvas or chalkboard.
+	 */
+	function penWidths( id ) {
+		return ( draw[ id ] == drawWithChalk ) ? chalkWidths : boardmarkerWidths;
+	}
+
+	/**
+	 * Returns the colors and stroke widths of boardmarkers and chalks.
+	 */
+	function getPalette() {
+		return {
+			boardmarkers: boardmarkers.map( entry => entry.color ),
+			chalks: chalks.map( entry => entry.color ),
+			boardmarkerWidths: boardmarkerWidths.slice(),
+			chalkWidths: chalkWidths.slice()
+		};
+	}
+
+	/**
+	 * Returns a cursor showing a dot in the given color for colors without cursor image.
+	 */
+	function colorCursor( color ) {
+		var canvas = document.createElement( 'canvas' );
+		canvas.width = 16;
+		canvas.height = 16;
+		var context = canvas.getContext( '2d' );
+		context.fillStyle = color.replace( /[\d\.]+\)$/g, '1)' );
+		context.strokeStyle = 'rgba(127,127,127,1)';
+		context.lineWidth = 2;
+		context.beginPath();
+		context.arc( 8, 8, 6, 0, 2 * Math.PI );
+		context.fill();
+		context.stroke();
+		return 'url(' + canvas.toDataURL() + ') 8 8, auto';
+	}
+
+	/**
+	 * Use the colors and stroke widths of the palette, missing entries are kept.
+	 * The pens are changed in place as they are referenced by the notes canvas and the chalkboard.
+	 */
+	function applyPalette( palette ) {
+		if ( !palette || typeof palette != 'object' ) return;
+		boardmarkers.concat( chalks ).forEach( entry => penCursors[ entry.color ] = entry.cursor );
+		var entry = function ( color ) {
+			return {
+				color,
+				cursor: penCursors[ color ] || ( penCursors[ color ] = colorCursor( color ) )
+			};
+		}
+		var isColor = color => typeof color == 'string';
+		var isWidth = width => isNumber( width ) && width > 0;
+		if ( Array.isArray( palette.boardmarkers ) && palette.boardmarkers.length && palette.boardmarkers.every( isColor ) ) {
+			boardmarkers.splice( 0, boardmarkers.length, ...palette.boardmarkers.map( entry ) );
+		}
+		if ( Array.isArray( palette.chalks ) && palette.chalks.length && palette.chalks.every( isColor ) ) {
+			chalks.splice( 0, chalks.length, ...palette.chalks.map( entry ) );
+		}
+		if ( Array.isArray( palette.boardmarkerWidths ) && palette.boardmarkerWidths.length && palette.boardmarkerWidths.every( isWidth ) ) {
+			boardmarkerWidths = palette.boardmarkerWidths.slice();
+		}
+		if ( Array.isArray( palette.chalkWidths ) && palette.chalkWidths.length && palette.chalkWidths.every( isWidth ) ) {
+			chalkWidths = palette.chalkWidths.slice();
+		}
+		for ( var id = 0; id < 2; id++ ) {
+			if ( color[ id ] >= pens[ id ].length ) color[ id ] = 0;
+			if ( !penWidths( id ).includes( strokeWidth[ id ] ) ) strokeWidth[ id ] = null;
+		}
+		updatePalettes();
+	}
+
+	/**
+	 * Use the palette edited by the user in this browser.
+	 */
+	function loadPalette() {
+		if ( !paletteStorage || !window.localStorage ) return;
+		try {
+			applyPalette( JSON.parse( localStorage.getItem( paletteStorage ) ) );
+		} catch ( err ) {
+			console.warn( 'Cannot load palette!', err );
+		}
+	}
+
+	function savePalette() {
+		if ( !paletteStorage || !window.localStorage ) return;
+		try {
+			localStorage.setItem( paletteStorage, JSON.stringify( getPalette() ) );
+		} catch ( err ) {
+			console.warn( 'Cannot save palette!', err );
+		}
+	}
+
+	/**
+	 * Create the palettes of notes canvas and chalkboard again after the palette is changed.
+	 */
+	function updatePalettes() {
+		if ( !drawingCanvas || !drawingCanvas[ 1 ].container ) return;
+		for ( var id = 0; id < 2; id++ ) {
+			var old = drawingCanvas[ id ].container.querySelector( '.palette' );
+			if ( old ) {
+				var palette = createPalette( pens[ id ], colorButtons, id );
+				palette.style.visibility = old.style.visibility;
+				old.replaceWith( palette );
+			}
+		}
+		showPaletteColors();
+		drawingCanvas[ mode ].canvas.style.cursor = toolCursor();
+	}
+
+	/**
+	 * Show the colors of the pens in the color pickers, or the colors of the highlighter while it is selected.
+	 */
+	function showPaletteColors() {
+		for ( var id = 0; id < 2; id++ ) {
+			var colors = ( tool == 'highlighter' ) ? highlighters : ( tool == 'note' ) ? noteColors : pens[ id ];
+			var pickers = drawingCanvas[ id ].container.querySelectorAll( '.palette li[data-color]' );
+			for ( var i = 0; i < pickers.length; i++ ) {
+				var index = Number( pickers[ i ].getAttribute( 'data-color' ) );
+				pickers[ i ].style.display = colors[ index ] ? '' : 'none';
+				if ( colors[ index ] ) pickers[ i ].style.color = colors[ index ].color;
+			}
+		}
+	}
+
+	/**
+	 * Select the stroke width for the notes canvas or chalkboard.
+	 */
+	function selectWidth( width ) {
+		strokeWidth[ mode ] = ( width == defaultWidth( mode ) ) ? null : width;
+		var buttons = drawingCanvas[ mode ].container.querySelectorAll( '.palette li[data-width]' );
+		for ( var i = 0; i < buttons.length; i++ ) {
+			buttons[ i ].classList.toggle( 'active', Number( buttons[ i ].getAttribute( 'data-width' ) ) == width );
+		}
+	}
+
+/*****************************************************************
+ ** Instruments
+ ******************************************************************/
+
+	var rulerDepth = 2; // depth of the ruler in units
+	var instrumentHandle = 12; // radius of the handles for rotating the instruments and for the legs of the compass
+
+	/**
+	 * Returns a new instrument in the center of the visible part of the canvas. Position, angle and size are given
+	 * in the coordinates of the storage, the ruler starts with its zero mark at the position, protractor and compass
+	 * are centered at it.
+	 */
+	function createInstrument( id, type ) {
+		var x = ( drawingCanvas[ id ].width / 2 - drawingCanvas[ id ].xOffset ) / drawingCanvas[ id ].scale;
+		var y = ( drawingCanvas[ id ].height / 2 - drawingCanvas[ id ].yOffset ) / drawingCanvas[ id ].scale;
+		switch ( type ) {
+		case 'ruler':
+			return { type, x: x - 7.5 * instrumentUnit, y: y - rulerDepth * instrumentUnit / 2, angle: 0, size: 15 * instrumentUnit };
+		case 'protractor':
+			return { type, x, y: y + 2.5 * instrumentUnit, angle: 0, size: 5 * instrumentUnit };
+		case 'compass':
+			return { type, x: x - 1.5 * instrumentUnit, y, angle: 0, size: 3 * instrumentUnit };
+		}
+	}
+
+	/**
+	 * Returns the position relative to the instrument, u along and v across its edge.
+	 */
+	function toInstrument( entry, x, y ) {
+		var cos = Math.cos( entry.angle );
+		var sin = Math.sin( entry.angle );
+		return {
+			u: ( x - entry.x ) * cos + ( y - entry.y ) * sin,
+			v: ( y - entry.y ) * cos - ( x - entry.x ) * sin
+		};
+	}
+
+	function fromInstrument( entry, u, v ) {
+		var cos = Math.cos( entry.angle );
+		var sin = Math.sin( entry.angle );
+		return [ entry.x + u * cos - v * sin, entry.y + u * sin + v * cos ];
+	}
+
+	function setInstrument( id, entry ) {
+		instrument[ id ] = entry;
+		var buttons = drawingCanvas[ id ].container.querySelectorAll( '.palette li[data-instrument]' );
+		for ( var i = 0; i < buttons.length; i++ ) {
+			buttons[ i ].classList.toggle( 'active', !!entry && buttons[ i ].getAttribute( 'data-instrument' ) == entry.type );
+		}
+		drawInstrument( id );
+	}
+
+	function drawInstrument( id ) {
+		var context = drawingCanvas[ id ].instruments;
+		context.clearRect( 0, 0, drawingCanvas[ id ].width, drawingCanvas[ id ].height );
+		var entry = instrument[ id ];
+		if ( !entry ) return;
+		var scale = drawingCanvas[ id ].scale;
+		var line = function ( x1, y1, x2, y2 ) {
+			context.beginPath();
+			context.moveTo( x1, y1 );
+			context.lineTo( x2, y2 );
+			context.stroke();
+		};
+		var handle = function ( x, y ) {
+			context.beginPath();
+			context.arc( x, y, instrumentHandle, 0, 2 * Math.PI );
+			context.stroke();
+			context.globalAlpha = 0.3;
+			context.fill();
+			context.globalAlpha = 1;
+		};
+		context.save();
+		context.setTransform( scale, 0, 0, scale, drawingCanvas[ id ].xOffset, drawingCanvas[ id ].yOffset );
+		context.translate( entry.x, entry.y );
+		context.rotate( entry.angle );
+		context.strokeStyle = instrumentColor[ id ];
+		context.fillStyle = instrumentColor[ id ];
+		context.lineWidth = 1 / scale;
+		context.font = ( instrumentUnit / 4 ) + 'px sans-serif';
+		context.textAlign = 'center';
+		context.textBaseline = 'middle';
+		switch ( entry.type ) {
+		case 'ruler':
+			var depth = rulerDepth * instrumentUnit;
+			context.globalAlpha = 0.15;
+			context.fillRect( 0, 0, entry.size, depth );
+			context.globalAlpha = 1;
+			context.strokeRect( 0, 0, entry.size, depth );
+			// millimeters are only shown if they are at least 3 pixels apart
+			var ticks = ( instrumentUnit * scale / 10 >= 3 ) ? 10 : 2;
+			for ( var i = 0; i <= Math.floor( entry.size / instrumentUnit * ticks + 1e-6 ); i++ ) {
+				var u = i * instrumentUnit / ticks;
+				line( u, 0, u, ( ( i % ticks == 0 ) ? 0.4 : ( 2 * i % ticks == 0 ) ? 0.25 : 0.15 ) * instrumentUnit );
+				if ( i % ticks == 0 ) context.fillText( i / ticks, u, 0.6 * instrumentUnit );
+			}
+			handle( entry.size - instrumentUnit, depth / 2 );
+			break;
+		case 'protractor':
+			context.beginPath();
+			context.arc( 0, 0, entry.size, Math.PI, 2 * Math.PI );
+			context.closePath();
+			context.globalAlpha = 0.15;
+			context.fill();
+			context.globalAlpha = 1;
+			context.stroke();
+			// degrees are counted counterclockwise from the right end of the baseline
+			for ( var degree = 0; degree <= 180; degree++ ) {
+				var angle = -degree * Math.PI / 180;
+				var length = ( ( degree % 10 == 0 ) ? 0.4 : ( degree % 5 == 0 ) ? 0.25 : 0.15 ) * instrumentUnit;
+				line( entry.size * Math.cos( angle ), entry.size * Math.sin( angle ), ( entry.size - length ) * Math.cos( angle ), ( entry.size - length ) * Math.sin( angle ) );
+				if ( degree % 10 == 0 ) context.fillText( degree, ( entry.size - 0.65 * instrumentUnit ) * Math.cos( angle ), ( entry.size - 0.65 * instrumentUnit ) * Math.sin( angle ) );
+			}
+			line( 0, 0, 0, -0.3 * instrumentUnit );
+			handle( 0, -entry.size / 2 );
+			break;
+		case 'compass':
+			context.setLineDash( [ 4 / scale, 4 / scale ] );
+			context.beginPath();
+			context.arc( 0, 0, entry.size, 0, 2 * Math.PI );
+			context.stroke();
+			context.setLineDash( [] );
+			context.lineWidth = 3 / scale;
+			line( 0, 0, entry.size, 0 );
+			context.lineWidth = 1 / scale;
+			context.fillText( ( entry.size / instrumentUnit ).toFixed( 1 ), entry.size / 2, -0.3 * instrumentUnit );
+			handle( 0, 0 );
+			handle( entry.size, 0 );
+			break;
+		}
+		context.restore();
+	}
+
+	/**
+	 * Returns the part of the instrument at the given position which is dragged by the pointer ('move', 'rotate'
+	 * or 'radius'), pens start drawing at the edges instead.
+	 */
+	function instrumentPart( x, y, pen ) {
+		var entry = instrument[ mode ];
+		if ( !entry ) return null;
+		var p = toInstrument( entry, x, y );
+		var near = ( u, v ) => Math.sqrt( Math.pow( p.u - u, 2 ) + Math.pow( p.v - v, 2 ) ) <= instrumentHandle;
+		var inside = false;
+		switch ( entry.type ) {
+		case 'ruler':
+			if ( near( entry.size - instrumentUnit, rulerDepth * instrumentUnit / 2 ) ) return 'rotate';
+			inside = p.u >= 0 && p.u <= entry.size && p.v >= 0 && p.v <= rulerDepth * instrumentUnit;
+			break;
+		case 'protractor':
+			if ( near( 0, -entry.size / 2 ) ) return 'rotate';
+			inside = p.v <= 0 && p.u * p.u + p.v * p.v <= entry.size * entry.size;
+			break;
+		case 'compass':
+			if ( near( entry.size, 0 ) ) return 'radius';
+			if ( near( 0, 0 ) ) return 'move';
+			break;
+		}
+		if ( pen && instrumentGuide( x, y ) ) return null;
+		return inside ? 'move' : null;
+	}
+
+	/**
+	 * Returns the edge of the instrument next to the given position which is followed by the pen or null. The straight
+	 * edges of ruler and protractor are lines at a distance v across the instrument, the arcs of protractor and compass
+	 * are circles. The guide keeps the position of the pen on the edge.
+	 */
+	function instrumentGuide( x, y ) {
+		var entry = instrument[ mode ];
+		if ( !entry ) return null;
+		var p = toInstrument( entry, x, y );
+		var r = Math.sqrt( p.u * p.u + p.v * p.v );
+		var snap = instrumentSnap / drawingCanvas[ mode ].scale;
+		var guides = [];
+		switch ( entry.type ) {
+		case 'ruler':
+			var depth = rulerDepth * instrumentUnit;
+			// leave space to move the ruler between its edges
+			snap = Math.min( snap, depth / 4 );
+			if ( p.u >= -snap && p.u <= entry.size + snap ) {
+				guides.push( { distance: Math.abs( p.v ), line: 0, from: 0, to: entry.size } );
+				guides.push( { distance: Math.abs( p.v - depth ), line: depth, from: 0, to: entry.size } );
+			}
+			break;
+		case 'protractor':
+			snap = Math.min( snap, entry.size / 8 );
+			if ( Math.abs( p.u ) <= entry.size + snap ) guides.push( { distance: Math.abs( p.v ), line: 0, from: -entry.size, to: entry.size } );
+			if ( p.v <= snap ) guides.push( { distance: Math.abs( r - entry.size ), radius: entry.size, from: -Math.PI, to: 0 } );
+			break;
+		case 'compass':
+			guides.push( { distance: Math.abs( r - entry.size ), radius: entry.size } );
+			break;
+		}
+		guides = guides.filter( candidate => candidate.distance <= snap ).sort( ( a, b ) => a.distance - b.distance );
+		if ( !guides.length ) return null;
+		var result = guides[ 0 ];
+		result.instrument = Object.assign( {}, entry );
+		if ( result.radius ) {
+			var angle = Math.atan2( p.v, p.u );
+			if ( result.from == undefined ) {
+				// the compass draws at most a full circle in each direction
+				result.from = angle - 2 * Math.PI;
+				result.to = angle + 2 * Math.PI;
+			} else if ( angle > result.to ) {
+				angle = ( angle > Math.PI / 2 ) ? result.from : result.to;
+			}
+			result.angle = angle;
+		} else {
+			result.position = Math.max( result.from, Math.min( result.to, p.u ) );
+		}
+		return result;
+	}
+
+	/**
+	 * Returns the position of the pen on the guide.
+	 */
+	function guidePoint( guide ) {
+		if ( guide.radius ) {
+			return fromInstrument( guide.instrument, guide.radius * Math.cos( guide.angle ), guide.radius * Math.sin( guide.angle ) );
+		}
+		return fromInstrument( guide.instrument, guide.position, guide.line );
+	}
+
+	/**
+	 * Move the pen along the guide towards the given position and return the points of the stroke up to there,
+	 * arcs are divided into steps of at most five degrees.
+	 */
+	function followGuide( x, y ) {
+		var p = toInstrument( guide.instrument, x, y );
+		var points = [];
+		if ( guide.radius ) {
+			var delta = Math.atan2( p.v, p.u ) - guide.angle;
+			delta -= 2 * Math.PI * Math.round( delta / ( 2 * Math.PI ) );
+			var angle = Math.max( guide.from, Math.min( guide.to, guide.angle + delta ) );
+			var steps = Math.ceil( Math.abs( angle - guide.angle ) / ( Math.PI / 36 ) );
+			for ( var i = 1; i <= steps; i++ ) {
+				var a = guide.angle + ( angle - guide.angle ) * i / steps;
+				points.push( fromInstrument( guide.instrument, guide.radius * Math.cos( a ), guide.radius * Math.sin( a ) ) );
+			}
+			guide.angle = angle;
+		} else {
+			var position = Math.max( guide.from, Math.min( guide.to, p.u ) );
+			if ( position != guide.position ) points.push( fromInstrument( guide.instrument, position, guide.line ) );
+			guide.position = position;
+		}
+		return points;
+	}
+
+	function startInstrumentDrag( part, x, y ) {
+		instrumentDrag = { part, x, y };
+		drawingCanvas[ mode ].canvas.style.cursor = 'grabbing';
+	}
+
+	/**
+	 * Returns the angle rounded to whole degrees or to multiples of 15 degrees.
+	 */
+	function snapAngle( angle, constrain ) {
+		var step = ( constrain ? 15 : 1 ) * Math.PI / 180;
+		return Math.round( angle / step ) * step;
+	}
+
+	/**
+	 * Move or rotate the instrument or change the radius of the compass, holding shift rotates in steps of 15 degrees.
+	 * The radius of the compass is rounded to tenths of a unit.
+	 */
+	function dragInstrument( x, y, constrain ) {
+		var entry = instrument[ mode ];
+		switch ( instrumentDrag.part ) {
+		case 'move':
+			entry.x += x - instrumentDrag.x;
+			entry.y += y - instrumentDrag.y;
+			break;
+		case 'rotate':
+			// the instrument turns around its position, the handle keeps its direction relative to the edge
+			var offset = ( entry.type == 'ruler' ) ? Math.atan2( rulerDepth * instrumentUnit / 2, entry.size - instrumentUnit ) : -Math.PI / 2;
+			entry.angle = snapAngle( Math.atan2( y - entry.y, x - entry.x ) - offset, constrain );
+			break;
+		case 'radius':
+			var radius = Math.sqrt( Math.pow( x - entry.x, 2 ) + Math.pow( y - entry.y, 2 ) );
+			entry.angle = snapAngle( Math.atan2( y - entry.y, x - entry.x ), constrain );
+			entry.size = Math.max( 1, Math.round( radius / instrumentUnit * 10 ) ) * instrumentUnit / 10;
+			break;
+		}
+		instrumentDrag.x = x;
+		instrumentDrag.y = y;
+		drawInstrument( mode );
+		broadcastInstrument();
+	}
+
+	function broadcastInstrument() {
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'instrument',
+			timestamp: Date.now() - slideStart,
+			mode,
+			board,
+			instrument: instrument[ mode ]
+		};
+		document.dispatchEvent( message );
+	}
+
+/*****************************************************************
+ ** Laser pointer and fading ink
+ ******************************************************************/
+
+	var transientStrokes = [ [], [] ]; // laser pointer trails and strokes of fading ink which are not recorded
+	var transientRequest = null;
+
+	/**
+	 * Add a point to the laser pointer trail or fading ink stroke with the given identifier,
+	 * points are stored in the coordinates of the storage together with the local time.
+	 */
+	function addTransientPoint( id, type, strokeId, x, y, colorIdx, width ) {
+		var entry = transientStrokes[ id ].find( entry => entry.stroke === strokeId );
+		if ( !entry ) {
+			entry = {
+				type,
+				stroke: strokeId,
+				board: ( id == 1 ) ? board : undefined,
+				color: colorIdx,
+				points: [],
+				end: null
+			};
+			transientStrokes[ id ].push( entry );
+		}
+		entry.points.push( [ x, y, Date.now(), width ] );
+		scheduleTransient();
+	}
+
+	/**
+	 * Mark the end of a laser pointer trail or fading ink stroke, after which it fades away.
+	 */
+	function endTransient( id, strokeId ) {
+		var entry = transientStrokes[ id ].find( entry => entry.stroke === strokeId );
+		if ( entry && !entry.end ) {
+			entry.end = Date.now();
+			scheduleTransient();
+		}
+	}
+
+	/**
+	 * Remove all laser pointer trails and fading ink.
+	 */
+	function clearTransient() {
+		for ( var id = 0; id < 2; id++ ) {
+			transientStrokes[ id ] = [];
+			drawingCanvas[ id ].transient.clearRect( 0, 0, drawingCanvas[ id ].width, drawingCanvas[ id ].height );
+		}
+	}
+
+	function scheduleTransient() {
+		if ( transientRequest ) return;
+		transientRequest = requestAnimationFrame( function () {
+			transientRequest = null;
+			drawTransient();
+		} );
+	}
+
+	/**
+	 * Returns the opacity of fading ink at the given time, zero when the ink has disappeared.
+	 */
+	function inkOpacity( entry, now ) {
+		if ( !entry.end || now < entry.end + fadingInk.delay ) return 1;
+		return Math.max( 0, 1 - ( now - entry.end - fadingInk.delay ) / Math.max( 1, fadingInk.duration ) );
+	}
+
+	/**
+	 * Draw laser pointer trails and fading ink and continue as long as something is visible.
+	 */
+	function drawTransient() {
+		var now = Date.now();
+		var visible = false;
+		for ( var id = 0; id < 2; id++ ) {
+			var context = drawingCanvas[ id ].transient;
+			var scale = drawingCanvas[ id ].scale;
+			var xOffset = drawingCanvas[ id ].xOffset;
+			var yOffset = drawingCanvas[ id ].yOffset;
+			context.clearRect( 0, 0, drawingCanvas[ id ].width, drawingCanvas[ id ].height );
+			transientStrokes[ id ] = transientStrokes[ id ].filter( entry => ( entry.type == 'ink' ) ? inkOpacity( entry, now ) > 0 : !entry.end || now - entry.end < laser.trail );
+			transientStrokes[ id ].forEach( entry => {
+				visible = true;
+				// strokes on other boards are kept until they have faded away
+				if ( id == 1 && entry.board !== board ) return;
+				context.save();
+				context.lineCap = 'round';
+				context.lineJoin = 'round';
+				if ( entry.type == 'ink' ) {
+					context.globalAlpha = inkOpacity( entry, now );
+					context.strokeStyle = getPen( id, entry.color ).color;
+					var points = smoothedPoints( entry.points );
+					for ( var k = 1; k < points.length; k++ ) {
+						context.lineWidth = points[ k ][ 2 ] || defaultWidth( id );
+						context.beginPath();
+						context.moveTo( xOffset + points[ k - 1 ][ 0 ] * scale, yOffset + points[ k - 1 ][ 1 ] * scale );
+						context.lineTo( xOffset + points[ k ][ 0 ] * scale, yOffset + points[ k ][ 1 ] * scale );
+						context.stroke();
+					}
+				} else {
+					// the trail gets thinner with the age of its points and the dot fades after the pointer is released
+					var trail = entry.points.filter( point => now - point[ 2 ] < laser.trail );
+					var last = entry.points[ entry.points.length - 1 ];
+					context.globalAlpha = entry.end ? Math.max( 0, 1 - ( now - entry.end ) / laser.trail ) : 1;
+					context.strokeStyle = laser.color;
+					context.fillStyle = laser.color;
+					context.shadowColor = laser.color;
+					context.shadowBlur = laser.radius * 2;
+					for ( var k = 1; k < trail.length; k++ ) {
+						context.lineWidth = 2 * laser.radius * ( 1 - ( now - trail[ k ][ 2 ] ) / laser.trail );
+						context.beginPath();
+						context.moveTo( xOffset + trail[ k - 1 ][ 0 ] * scale, yOffset + trail[ k - 1 ][ 1 ] * scale );
+						context.lineTo( xOffset + trail[ k ][ 0 ] * scale, yOffset + trail[ k ][ 1 ] * scale );
+						context.stroke();
+					}
+					context.beginPath();
+					context.arc( xOffset + last[ 0 ] * scale, yOffset + last[ 1 ] * scale, laser.radius, 0, 2 * Math.PI );
+					context.fill();
+				}
+				context.restore();
+			} );
+		}
+		if ( visible ) scheduleTransient();
+	}
+
+	function startTransient( type, x, y ) {
+		transientTool = type;
+		stroke = Date.now();
+		moveTransient( x, y );
+	}
+
+	function moveTransient( x, y, width ) {
+		addTransientPoint( mode, transientTool, stroke, x, y, color[ mode ], width );
+		// broadcast
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: transientTool,
+			timestamp: Date.now() - slideStart,
+			mode,
+			board,
+			stroke,
+			x,
+			y,
+			color: color[ mode ],
+			width
+		};
+		document.dispatchEvent( message );
+	}
+
+	function stopTransient() {
+		transientTool = null;
+		endTransient( mode, stroke );
+		// broadcast
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'strokeend',
+			timestamp: Date.now() - slideStart,
+			mode,
+			board,
+			stroke
+		};
+		document.dispatchEvent( message );
+	}
+
+	/**
+	 * Returns the fading ink on the notes canvas or current board which has not yet disappeared
+	 * as polylines which can be recorded.
+	 */
+	function visibleInk() {
+		var now = Date.now();
+		return transientStrokes[ mode ].filter( entry => entry.type == 'ink' && ( mode == 0 || entry.board === board ) && inkOpacity( entry, now ) > 0 && entry.points.length > 1 ).map( entry => {
+			return {
+				stroke: entry.stroke,
+				color: entry.color,
+				points: simplifyPoints( entry.points.map( point => polylinePoint( point[ 0 ], point[ 1 ], point[ 2 ] - entry.points[ 0 ][ 2 ], point[ 3 ] ) ), simplify )
+			};
+		} );
+	}
+
+	/**
+	 * Record fading ink as polylines, each pinned stroke keeps its identifier so that it can be undone.
+	 */
+	function pinStrokes( pinned ) {
+		pinned.forEach( entry => {
+			transientStrokes[ mode ] = transientStrokes[ mode ].filter( transient => transient.stroke !== entry.stroke );
+			var event = {
+				type: 'polyline',
+				stroke: entry.stroke,
+				color: entry.color,
+				points: entry.points
+			};
+			recordEvent( event );
+			drawStroke( mode, drawingCanvas[ mode ].context, event, drawingCanvas[ mode ].scale, drawingCanvas[ mode ].xOffset, drawingCanvas[ mode ].yOffset );
+		} );
+		scheduleTransient();
+	}
+
+/*****************************************************************
+ ** User interface
+ ******************************************************************/
+
+	function setupCanvasEvents( canvas ) {
+		// prevent browser gestures (scrolling, zooming) on the canvas
+		canvas.style.touchAction = 'none';
+
+		canvas.addEventListener( 'pointerdown', function ( evt ) {
+			evt.preventDefault();
+			if ( evt.pointerType == 'pen' ) {
+				lastPenEvent = Date.now();
+			}
+			if ( isPalm( evt ) ) return;
+			if ( evt.target.getAttribute( 'data-chalkboard' ) == 1 && mode == 1 ) {
+				if ( evt.pointerType == 'touch' ) {
+					touches[ evt.pointerId ] = { x: evt.pageX, y: evt.pageY };
+					if ( Object.keys( touches ).length == 2 ) {
+						// second finger pans and zooms instead of drawing
+						if ( activePointer != null ) cancelPointer();
+						canvas.setPointerCapture( evt.pointerId );
+						pinch = pinchState();
+						return;
+					}
+				}
+				if ( activePointer == null && spaceKey ) {
+					activePointer = evt.pointerId;
+					canvas.setPointerCapture( evt.pointerId );
+					panning = { x: evt.pageX, y: evt.pageY };
+					canvas.style.cursor = 'grabbing';
+					return;
+				}
+			}
+			if ( activePointer != null || pinch ) return;
+//console.log( "pointerdown: " + evt.pointerType + " " + evt.button );
+			if ( !readOnly && evt.target.getAttribute( 'data-chalkboard' ) == mode ) {
+				var scale = drawingCanvas[ mode ].scale;
+				var xOffset = drawingCanvas[ mode ].xOffset;
+				var yOffset = drawingCanvas[ mode ].yOffset;
+
+				activePointer = evt.pointerId;
+				canvas.setPointerCapture( evt.pointerId );
+				mouseX = evt.pageX;
+				mouseY = evt.pageY;
+				// pens draw along the edges of the instruments, touches move them
+				var part = instrumentPart( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale, evt.pointerType != 'touch' && ( tool == 'pen' || tool == 'highlighter' ) );
+
+				if ( evt.button == 2 || evt.button == 1 || evt.button == 5 ) {
+					// right or middle mouse button, or eraser of a pen
+					startErasing( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+					if ( eraserMode != 'stroke' ) {
+						// broadcast
+						var message = new CustomEvent( messageType );
+						message.content = {
+							sender: 'chalkboard-plugin',
+							type: 'erase',
+							timestamp: Date.now() - slideStart,
+							mode,
+							board,
+							stroke,
+							x: ( mouseX - xOffset ) / scale,
+							y: ( mouseY - yOffset ) / scale
+						};
+						document.dispatchEvent( message );
+					}
+				} else if ( part ) {
+					startInstrumentDrag( part, ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+				} else if ( tool == 'text' ) {
+					startText( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+				} else if ( shapes.includes( tool ) ) {
+					startShape( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+				} else if ( tool == 'stamp' ) {
+					startStamp( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+				} else if ( tool == 'note' ) {
+					startNote( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+				} else if ( tool == 'select' ) {
+					startSelecting( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+				} else if ( tool == 'laser' || tool == 'ink' ) {
+					startTransient( tool, ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+				} else {
+					guide = instrumentGuide( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+					if ( guide ) {
+						var start = guidePoint( guide );
+						startDrawing( start[ 0 ], start[ 1 ] );
+					} else {
+						startDrawing( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+					}
+					if ( evt.pointerType == 'touch' ) {
+						// touch and hold to erase
+						touchTimeout = setTimeout( startErasing, 500, ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+					}
+				}
+			}
+		} );
+
+		canvas.addEventListener( 'pointermove', function ( evt ) {
+			evt.preventDefault();
+			if ( evt.pointerType == 'pen' ) {
+				lastPenEvent = Date.now();
+			}
+			if ( touches[ evt.pointerId ] ) {
+				touches[ evt.pointerId ] = { x: evt.pageX, y: evt.pageY };
+				if ( pinch ) {
+					var current = pinchState();
+					panBy( current.x - pinch.x, current.y - pinch.y );
+					zoomAt( current.x, current.y, current.distance / pinch.distance );
+					pinch = current;
+					return;
+				}
+			}
+			if ( evt.pointerId !== activePointer ) return;
+			if ( panning ) {
+				panBy( evt.pageX - panning.x, evt.pageY - panning.y );
+				panning = { x: evt.pageX, y: evt.pageY };
+				return;
+			}
+//console.log("Pointer move");
+			var scale = drawingCanvas[ mode ].scale;
+			var xOffset = drawingCanvas[ mode ].xOffset;
+			var yOffset = drawingCanvas[ mode ].yOffset;
+
+			if ( touchTimeout && Math.abs( evt.pageX - mouseX ) + Math.abs( evt.pageY - mouseY ) > 2 ) {
+				clearTimeout( touchTimeout );
+				touchTimeout = null;
+			}
+
+			if ( instrumentDrag ) {
+				dragInstrument( ( evt.pageX - xOffset ) / scale, ( evt.pageY - yOffset ) / scale, evt.shiftKey );
+			}
+			else if ( pendingShape ) {
+				updateShape( ( evt.pageX - xOffset ) / scale, ( evt.pageY - yOffset ) / scale, evt.shiftKey );
+			}
+			else if ( pendingStamp ) {
+				updateStamp( ( evt.pageX - xOffset ) / scale, ( evt.pageY - yOffset ) / scale );
+			}
+			else if ( pendingNote ) {
+				updateNote( ( evt.pageX - xOffset ) / scale, ( evt.pageY - yOffset ) / scale );
+			}
+			else if ( selecting ) {
+				updateSelecting( ( evt.pageX - xOffset ) / scale, ( evt.pageY - yOffset ) / scale );
+			}
+			else if ( transientTool ) {
+				moveTransient( ( evt.pageX - xOffset ) / scale, ( evt.pageY - yOffset ) / scale, pressureWidth( evt ) || strokeWidth[ mode ] || undefined );
+			}
+			else if ( drawing || erasing ) {
+				mouseX = evt.pageX;
+				mouseY = evt.pageY;
+
+				if ( drawing ) {
+					// hold back the pen to steady the stroke
+					mouseX = lastX + ( mouseX - lastX ) * ( 1 - stabilize );
+					mouseY = lastY + ( mouseY - lastY ) * ( 1 - stabilize );
+					var highlighter = ( tool == 'highlighter' );
+					var width = highlighter ? undefined : pressureWidth( evt ) || strokeWidth[ mode ] || undefined;
+					var points = guide ? followGuide( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale ) : [ [ ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale ] ];
+					for ( var k = 0; k < points.length; k++ ) {
+						mouseX = points[ k ][ 0 ] * scale + xOffset;
+						mouseY = points[ k ][ 1 ] * scale + yOffset;
+						drawSegment( ( lastX - xOffset ) / scale, ( lastY - yOffset ) / scale, ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale, color[ mode ], width, highlighter );
+						// broadcast
+						var message = new CustomEvent( messageType );
+						message.content = {
+							sender: 'chalkboard-plugin',
+							type: 'draw',
+							timestamp: Date.now() - slideStart,
+							mode,
+							board,
+							stroke,
+							fromX: ( lastX - xOffset ) / scale,
+							fromY: ( lastY - yOffset ) / scale,
+							toX: ( mouseX - xOffset ) / scale,
+							toY: ( mouseY - yOffset ) / scale,
+							color: color[ mode ],
+							width,
+							highlighter
+						};
+						document.dispatchEvent( message );
+
+						lastX = mouseX;
+						lastY = mouseY;
+					}
+				} else if ( eraserMode == 'stroke' ) {
+					eraseStrokes( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+				} else {
+					erasePoint( ( mouseX - xOffset ) / scale, ( mouseY - yOffset ) / scale );
+					// broadcast
+					var message = new CustomEvent( messageType );
+					message.content = {
+						sender: 'chalkboard-plugin',
+						type: 'erase',
+						timestamp: Date.now() - slideStart,
+						mode,
+						board,
+						stroke,
+						x: ( mouseX - xOffset ) / scale,
+						y: ( mouseY - yOffset ) / scale
+					};
+					document.dispatchEvent( message );
+				}
+			}
+		} );
+
+		function pointerEnd( evt ) {
+			if ( evt.pointerType == 'pen' ) {
+				lastPenEvent = Date.now();
+			}
+			delete touches[ evt.pointerId ];
+			if ( pinch ) {
+				if ( Object.keys( touches ).length < 2 ) {
+					pinch = null;
+					touches = {};
+					viewportChanged();
+				}
+				return;
+			}
+			if ( evt.pointerId !== activePointer ) return;
+			evt.preventDefault();
+			activePointer = null;
+			if ( panning ) {
+				panning = null;
+				drawingCanvas[ mode ].canvas.style.cursor = spaceKey ? 'grab' : toolCursor();
+				viewportChanged();
+				return;
+			}
+			clearTimeout( touchTimeout );
+			touchTimeout = null;
+			drawingCanvas[ mode ].canvas.style.cursor = toolCursor();
+			instrumentDrag = null;
+			if ( pendingShape ) {
+				stopShape();
+			}
+			if ( pendingStamp ) {
+				stopStamp();
+			}
+			if ( pendingNote ) {
+				stopNote();
+			}
+			if ( selecting ) {
+				stopSelecting();
+			}
+			if ( transientTool ) {
+				stopTransient();
+			}
+			if ( drawing ) {
+				var message = new CustomEvent( messageType );
+				message.content = {
+					sender: 'chalkboard-plugin',
+					type: 'strokeend',
+					timestamp: Date.now() - slideStart,
+					mode,
+					board,
+					stroke
+				};
+				document.dispatchEvent( message );
+			}
+			// strokes following an instrument are not recognized
+			var polyline = ( drawing && recognizeShapes && tool == 'pen' && !guide ) ? currentPolyline : null;
+			if ( drawing || erasing ) {
+				stopDrawing();
+				stopErasing();
+			}
+			if ( polyline ) {
+				recognizeStroke( polyline );
+			}
+		}
+
+		canvas.addEventListener( 'pointerup', pointerEnd );
+		canvas.addEventListener( 'pointercancel', pointerEnd );
+
+		/**
+		 * Stop drawing with the active pointer when a second finger touches the chalkboard.
+		 */
+		function cancelPointer() {
+			clearTimeout( touchTimeout );
+			touchTimeout = null;
+			instrumentDrag = null;
+			if ( pendingShape || pendingStamp || pendingNote ) {
+				pendingShape = null;
+				pendingStamp = null;
+				pendingNote = null;
+				drawingCanvas[ mode ].preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+			}
+			if ( selecting ) {
+				selecting = null;
+				if ( selection ) {
+					showSelection();
+				} else {
+					drawingCanvas[ mode ].preview.clearRect( 0, 0, drawingCanvas[ mode ].width, drawingCanvas[ mode ].height );
+				}
+			}
+			if ( transientTool ) {
+				stopTransient();
+			}
+			if ( drawing ) {
+				var message = new CustomEvent( messageType );
+				message.content = {
+					sender: 'chalkboard-plugin',
+					type: 'strokeend',
+					timestamp: Date.now() - slideStart,
+					mode,
+					board,
+					stroke
+				};
+				document.dispatchEvent( message );
+			}
+			stopDrawing();
+			stopErasing();
+			activePointer = null;
+			panning = null;
+		}
+
+		function pinchState() {
+			var points = Object.values( touches );
+			return {
+				x: ( points[ 0 ].x + points[ 1 ].x ) / 2,
+				y: ( points[ 0 ].y + points[ 1 ].y ) / 2,
+				distance: Math.max( 1, Math.sqrt( Math.pow( points[ 0 ].x - points[ 1 ].x, 2 ) + Math.pow( points[ 0 ].y - points[ 1 ].y, 2 ) ) )
+			};
+		}
+
+		// the mouse wheel pans and zooms (with ctrl key or pinch gesture on touchpads) the chalkboard
+		canvas.addEventListener( 'wheel', function ( evt ) {
+			if ( evt.target.getAttribute( 'data-chalkboard' ) != 1 || mode != 1 ) return;
+			evt.preventDefault();
+			evt.stopPropagation();
+			if ( evt.ctrlKey || evt.metaKey ) {
+				zoomAt( evt.pageX, evt.pageY, Math.exp( -evt.deltaY / 200 ) );
+			} else {
+				panBy( -evt.deltaX, -evt.deltaY );
+			}
+			clearTimeout( viewportTimeout );
+			viewportTimeout = setTimeout( viewportChanged, 500 );
+		}, passiveSupported ? { passive: false } : false );
+	}
+
+	// hold the space key to pan the chalkboard (the key does not advance the slides while the chalkboard is open)
+	window.addEventListener( 'keydown', function ( evt ) {
+		if ( evt.keyCode != 32 || mode != 1 || evt.target.tagName == 'TEXTAREA' || evt.target.tagName == 'INPUT' ) return;
+		evt.preventDefault();
+		evt.stopPropagation();
+		if ( !spaceKey ) {
+			spaceKey = true;
+			if ( !panning ) drawingCanvas[ 1 ].canvas.style.cursor = 'grab';
+		}
+	}, true );
+
+	window.addEventListener( 'keyup', function ( evt ) {
+		if ( evt.keyCode != 32 || !spaceKey ) return;
+		spaceKey = false;
+		if ( !panning ) drawingCanvas[ 1 ].canvas.style.cursor = toolCursor();
+	}, true );
+
+	/**
+	 * Palm rejection: touches are ignored while a pen is used.
+	 */
+	function isPalm( evt ) {
+		return evt.pointerType == 'touch' && Date.now() - lastPenEvent < penTimeout;
+	}
+
+	/**
+	 * Returns the line width for the pressure of a pen (undefined for mouse and touch input).
+	 */
+	function pressureWidth( evt ) {
+		if ( evt.pointerType != 'pen' || !evt.pressure ) return undefined;
+		var width = strokeWidth[ mode ] || defaultWidth( mode );
+		// pressure of 0.5 gives the selected width
+		return Math.round( width * ( 0.25 + 1.5 * evt.pressure ) * 10 ) / 10;
+	}
+
+	function resize() {
+//console.log("resize");
+		// Resize the canvas and draw everything again
+		var timestamp = playbackTime();
+		if ( !playback ) {
+			timestamp = ( pausedPosition != null ) ? pausedPosition : getSlideDuration();
+		}
+
+//console.log( drawingCanvas[0].scale + "/" + drawingCanvas[0].xOffset + "/" +drawingCanvas[0].yOffset );
+		for ( var id = 0; id < 2; id++ ) {
+			drawingCanvas[ id ].width = window.innerWidth;
+			drawingCanvas[ id ].height = window.innerHeight;
+			drawingCanvas[ id ].canvas.width = drawingCanvas[ id ].width;
+			drawingCanvas[ id ].canvas.height = drawingCanvas[ id ].height;
+			drawingCanvas[ id ].context.canvas.width = drawingCanvas[ id ].width;
+			drawingCanvas[ id ].context.canvas.height = drawingCanvas[ id ].height;
+			drawingCanvas[ id ].preview.canvas.width = drawingCanvas[ id ].width;
+			drawingCanvas[ id ].preview.canvas.height = drawingCanvas[ id ].height;
+			drawingCanvas[ id ].highlights.canvas.width = drawingCanvas[ id ].width;
+			drawingCanvas[ id ].highlights.canvas.height = drawingCanvas[ id ].height;
+			drawingCanvas[ id ].transient.canvas.width = drawingCanvas[ id ].width;
+			drawingCanvas[ id ].transient.canvas.height = drawingCanvas[ id ].height;
+			drawingCanvas[ id ].instruments.canvas.width = drawingCanvas[ id ].width;
+			drawingCanvas[ id ].instruments.canvas.height = drawingCanvas[ id ].height;
+
+			fitCanvas( id );
+//console.log( drawingCanvas[id].scale + "/" + drawingCanvas[id].xOffset + "/" +drawingCanvas[id].yOffset );
+		}
+//console.log( window.innerWidth + "/" + window.innerHeight);
+		startPlayback( timestamp, mode, true );
+	}
+
+	Reveal.addEventListener( 'pdf-ready', function ( evt ) {
+//		console.log( "Create printouts when ready" );
+		whenLoaded( createPrintout );
+	});
+
+	Reveal.addEventListener( 'ready', function ( evt ) {
+//console.log('ready');
+		if ( !printMode ) {
+			window.addEventListener( 'resize', resize );
+
+			slideStart = Date.now() - getSlideDuration();
+			slideIndices = Reveal.getIndices();
+			if ( !playback ) {
+				startPlayback( getSlideDuration(), 0 );
+			}
+			if ( Reveal.isAutoSliding() ) {
+				var event = new CustomEvent( 'startplayback' );
+				event.timestamp = 0;
+				document.dispatchEvent( event );
+			}
+			updateStorage();
+			updatePlaybackBar();
+			whenReady( addPageNumbers );
+		}
+	} );
+	Reveal.addEventListener( 'slidechanged', function ( evt ) {
+//		clearTimeout( slidechangeTimeout );
+//console.log('slidechanged');
+		if ( !printMode ) {
+			resetPlaybackBar();
+			slideStart = Date.now() - getSlideDuration();
+			slideIndices = Reveal.getIndices();
+			closeChalkboard();
+			board = 0;
+			clearCanvas( 0 );
+			clearCanvas( 1 );
+			clearTransient();
+			if ( !playback ) {
+				slidechangeTimeout = setTimeout( startPlayback, transition, getSlideDuration(), 0 );
+			}
+			if ( Reveal.isAutoSliding() ) {
+				var event = new CustomEvent( 'startplayback' );
+				event.timestamp = 0;
+				document.dispatchEvent( event );
+			}
+			updatePlaybackBar();
+		}
+	} );
+	Reveal.addEventListener( 'fragmentshown', function ( evt ) {
+//		clearTimeout( slidechangeTimeout );
+//console.log('fragmentshown');
+		if ( !printMode ) {
+			resetPlaybackBar();
+			slideStart = Date.now() - getSlideDuration();
+			slideIndices = Reveal.getIndices();
+			closeChalkboard();
+			board = 0;
+			clearCanvas( 0 );
+			clearCanvas( 1 );
+			clearTransient();
+			if ( Reveal.isAutoSliding() ) {
+				var event = new CustomEvent( 'startplayback' );
+				event.timestamp = 0;
+				document.dispatchEvent( event );
+			} else if ( !playback ) {
+				startPlayback( getSlideDuration(), 0 );
+//				closeChalkboard();
+			}
+			updatePlaybackBar();
+		}
+	} );
+	Reveal.addEventListener( 'fragmenthidden', function ( evt ) {
+//		clearTimeout( slidechangeTimeout );
+//console.log('fragmenthidden');
+		if ( !printMode ) {
+			resetPlaybackBar();
+			slideStart = Date.now() - getSlideDuration();
+			slideIndices = Reveal.getIndices();
+			closeChalkboard();
+			board = 0;
+			clearCanvas( 0 );
+			clearCanvas( 1 );
+			clearTransient();
+			if ( Reveal.isAutoSliding() ) {
+				document.dispatchEvent( new CustomEvent( 'stopplayback' ) );
+			} else if ( !playback ) {
+				startPlayback( getSlideDuration() );
+				closeChalkboard();
+			}
+			updatePlaybackBar();
+		}
+	} );
+
+	Reveal.addEventListener( 'autoslideresumed', function ( evt ) {
+//console.log('autoslideresumed');
+		var event = new CustomEvent( 'startplayback' );
+		event.timestamp = 0;
+		document.dispatchEvent( event );
+	} );
+	Reveal.addEventListener( 'autoslidepaused', function ( evt ) {
+//console.log('autoslidepaused');
+		document.dispatchEvent( new CustomEvent( 'stopplayback' ) );
+
+		// advance to end of slide
+//		closeChalkboard();
+		startPlayback( getSlideDuration(), 0 );
+	} );
+
+	function toggleNotesCanvas() {
+		if ( !readOnly ) {
+			if ( mode == 1 ) {
+				toggleChalkboard();
+				notescanvas.style.background = background[ 0 ]; //'rgba(255,0,0,0.5)';
+				notescanvas.style.pointerEvents = 'auto';
+			}
+			else {
+				if ( notescanvas.style.pointerEvents != 'none' ) {
+					// hide notes canvas
+					if ( colorButtons ) {
+						notescanvas.querySelector( '.palette' ).style.visibility = 'hidden';
+					}
+					if ( instrument[ 0 ] ) {
+						toggleInstrument( instrument[ 0 ].type );
+					}
+					notescanvas.style.background = 'rgba(0,0,0,0)';
+					notescanvas.style.pointerEvents = 'none';
+				}
+				else {
+					// show notes canvas
+					if ( colorButtons ) {
+						notescanvas.querySelector( '.palette' ).style.visibility = 'visible';
+					}
+					notescanvas.style.background = background[ 0 ]; //'rgba(255,0,0,0.5)';
+					notescanvas.style.pointerEvents = 'auto';
+
+					var idx = 0;
+					if ( color[ mode ] ) {
+						idx = color[ mode ];
+					}
+
+					setColor( idx, true );
+				}
+			}
+		}
+	};
+
+	function toggleChalkboard() {
+//console.log("toggleChalkboard " + mode);
+		if ( mode == 1 ) {
+			if ( !readOnly ) {
+				recordEvent( { type: 'close' } );
+			}
+			closeChalkboard();
+
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'closeChalkboard',
+				timestamp: Date.now() - slideStart,
+				mode: 0,
+				board
+			};
+			document.dispatchEvent( message );
+
+
+		} else {
+			showChalkboard();
+			if ( !readOnly ) {
+				recordEvent( { type: 'open' } );
+				// broadcast
+				var message = new CustomEvent( messageType );
+				message.content = {
+					sender: 'chalkboard-plugin',
+					type: 'showChalkboard',
+					timestamp: Date.now() - slideStart,
+					mode: 1,
+					board
+				};
+				document.dispatchEvent( message );
+
+				var idx = 0;
+
+				if ( rememberColor[ mode ] ) {
+					idx = color[ mode ];
+				}
+
+				setColor( idx, true );
+			}
+		}
+	};
+
+	function clearSlide() {
+		recordEvent( { type: 'clear' } );
+		clearCanvas( mode );
+	}
+
+	function clear() {
+		if ( selection ) {
+			deleteSelection();
+			return;
+		}
+		if ( !readOnly ) {
+			clearSlide();
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'clear',
+				timestamp: Date.now() - slideStart,
+				mode,
+				board
+			};
+			document.dispatchEvent( message );
+		}
+	};
+
+	/**
+	 * Returns the cursor for the selected tool and color.
+	 */
+	function toolCursor() {
+		if ( tool == 'text' ) return 'text';
+		if ( shapes.includes( tool ) || tool == 'stamp' || tool == 'note' ) return 'crosshair';
+		if ( tool == 'select' ) return 'default';
+		if ( tool == 'laser' || tool == 'highlighter' ) return 'crosshair';
+		return pens[ mode ][ color[ mode ] ].cursor;
+	}
+
+	function selectTool( name ) {
+		if ( !toolIcons[ name ] ) return;
+		if ( name != 'select' ) clearSelection();
+		tool = name;
+		drawingCanvas[ mode ].canvas.style.cursor = toolCursor();
+		var buttons = document.querySelectorAll( '.palette li[data-tool]' );
+		for ( var i = 0; i < buttons.length; i++ ) {
+			buttons[ i ].classList.toggle( 'active', buttons[ i ].getAttribute( 'data-tool' ) == tool );
+		}
+		showPaletteColors();
+	}
+
+	/**
+	 * Switch between the sponge and the stroke eraser.
+	 */
+	function toggleEraser() {
+		eraserMode = ( eraserMode == 'stroke' ) ? 'sponge' : 'stroke';
+		var buttons = document.querySelectorAll( '.palette li[data-eraser]' );
+		for ( var i = 0; i < buttons.length; i++ ) {
+			buttons[ i ].classList.toggle( 'active', eraserMode == 'stroke' );
+		}
+	}
+
+	/**
+	 * Switch the recognition of shapes drawn with the pen on or off.
+	 */
+	function toggleRecognition() {
+		recognizeShapes = !recognizeShapes;
+		var buttons = document.querySelectorAll( '.palette li[data-recognize]' );
+		for ( var i = 0; i < buttons.length; i++ ) {
+			buttons[ i ].classList.toggle( 'active', recognizeShapes );
+		}
+	}
+
+	/**
+	 * Record the fading ink on the notes canvas or current board which has not yet disappeared.
+	 */
+	function pinInk() {
+		if ( readOnly ) return;
+		var strokes = visibleInk();
+		if ( !strokes.length ) return;
+		pinStrokes( strokes );
+		// broadcast
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type: 'pin',
+			timestamp: Date.now() - slideStart,
+			mode,
+			board,
+			strokes
+		};
+		document.dispatchEvent( message );
+	}
+
+	/**
+	 * Show or hide the ruler, protractor or compass on the notes canvas or chalkboard.
+	 */
+	function toggleInstrument( name ) {
+		if ( readOnly || !instrumentIcons[ name ] ) return;
+		setInstrument( mode, ( instrument[ mode ] && instrument[ mode ].type == name ) ? null : createInstrument( mode, name ) );
+		broadcastInstrument();
+	}
+
+	function undo() {
+		if ( !readOnly && undoStroke() ) {
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'undo',
+				timestamp: Date.now() - slideStart,
+				mode,
+				board
+			};
+			document.dispatchEvent( message );
+		}
+	}
+
+	function redo() {
+		if ( !readOnly && redoStroke() ) {
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'redo',
+				timestamp: Date.now() - slideStart,
+				mode,
+				board
+			};
+			document.dispatchEvent( message );
+		}
+	}
+
+	document.addEventListener( 'keydown', function ( evt ) {
+		// undo and redo with the usual shortcuts while drawing is enabled
+		if ( !( evt.ctrlKey || evt.metaKey ) || evt.keyCode != 90 && evt.keyCode != 89 ) return;
+		if ( evt.target.tagName == 'TEXTAREA' || evt.target.tagName == 'INPUT' ) return;
+		if ( mode == 0 && drawingCanvas[ 0 ].container.style.pointerEvents == 'none' ) return;
+		evt.preventDefault();
+		if ( evt.keyCode == 89 || evt.shiftKey ) {
+			redo();
+		} else {
+			undo();
+		}
+	} );
+
+	function colorIndex( idx ) {
+		if ( !readOnly ) {
+			setColor( idx, true );
+			// selected strokes get the color as well
+			if ( selection ) editSelection( 'color', { color: color[ mode ] } );
+		}
+	}
+
+	function colorNext() {
+		if ( !readOnly ) {
+			let idx = cycleColorNext();
+			setColor( idx, true );
+		}
+	}
+
+	function colorPrev() {
+		if ( !readOnly ) {
+			let idx = cycleColorPrev();
+			setColor( idx, true );
+		}
+	}
+
+	function resetSlideDrawings() {
+		slideStart = Date.now();
+		closeChalkboard();
+
+		clearCanvas( 0 );
+		clearCanvas( 1 );
+
+		mode = 1;
+		var slideData = getSlideData();
+		slideData.duration = 0;
+		slideData.events = [];
+		mode = 0;
+		var slideData = getSlideData();
+		slideData.duration = 0;
+		slideData.events = [];
+
+		updateStorage();
+	}
+
+	function resetSlide( force ) {
+		var ok = force || confirm( "Please confirm to delete chalkboard drawings on this slide!" );
+		if ( ok ) {
+//console.log("resetSlide ");
+			stopPlayback();
+			resetSlideDrawings();
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'resetSlide',
+				timestamp: Date.now() - slideStart,
+				mode,
+				board
+			};
+			document.dispatchEvent( message );
+		}
+	};
+
+	function resetStorage( force ) {
+		var ok = force || confirm( "Please confirm to delete all chalkboard drawings!" );
+		if ( ok ) {
+			stopPlayback();
+			slideStart = Date.now();
+			clearCanvas( 0 );
+			clearCanvas( 1 );
+			if ( mode == 1 ) {
+				closeChalkboard();
+			}
+
+			storage = emptyStorage();
+
+			if ( config.storage ) {
+				sessionStorage.setItem( config.storage, null )
+			}
+			if ( sessions && sessionLoaded ) {
+				saveSession( JSON.stringify( storage ) );
+			}
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'init',
+				timestamp: Date.now() - slideStart,
+				storage,
+				mode,
+				board
+			};
+			document.dispatchEvent( message );
+		}
+	};
+
+	function manageSessions() {
+		if ( !sessions ) {
+			console.warn( 'Chalkboard sessions are disabled!' );
+			return;
+		}
+		listSessions( function ( list ) {
+			var dialog = createDialog( 'Chalkboard sessions' );
+			var items = document.createElement( 'ul' );
+			for ( var i = 0; i < list.length; i++ ) {
+				var item = document.createElement( 'li' );
+				var name = document.createElement( 'span' );
+				name.className = 'name';
+				name.textContent = list[ i ].name;
+				item.appendChild( name );
+				if ( list[ i ].modified ) {
+					var modified = document.createElement( 'span' );
+					modified.className = 'info';
+					modified.textContent = new Date( list[ i ].modified ).toLocaleString();
+					item.appendChild( modified );
+				}
+				if ( list[ i ].name == currentSession() ) {
+					item.classList.add( 'current' );
+				} else {
+					item.appendChild( dialogButton( 'Open', switchSession.bind( null, list[ i ].name ), dialog ) );
+					item.appendChild( dialogButton( 'Delete', function ( name, item ) {
+						if ( confirm( 'Please confirm to delete the chalkboard session "' + name + '"!' ) ) {
+							deleteSession( name, function () {
+								item.remove();
+							} );
+						}
+					}.bind( null, list[ i ].name, item ) ) );
+				}
+				items.appendChild( item );
+			}
+			dialog.appendChild( items );
+
+			var input = document.createElement( 'input' );
+			input.type = 'text';
+			input.placeholder = 'New session';
+			dialog.appendChild( input );
+			dialog.appendChild( dialogButton( 'Create', function () {
+				switchSession( input.value.trim() );
+			}, dialog ) );
+		} );
+	}
+
+	/**
+	 * Use the colors and stroke widths of the palette and remember them in this browser,
+	 * the palette is given as returned by getPalette().
+	 */
+	function setPalette( palette ) {
+		applyPalette( palette );
+		savePalette();
+		if ( !readOnly ) {
+			// broadcast
+			var message = new CustomEvent( messageType );
+			message.content = {
+				sender: 'chalkboard-plugin',
+				type: 'palette',
+				timestamp: Date.now() - slideStart,
+				mode,
+				board,
+				palette: getPalette()
+			};
+			document.dispatchEvent( message );
+		}
+	}
+
+	/**
+	 * Use the configured palette again.
+	 */
+	function resetPalette() {
+		setPalette( defaultPalette );
+		if ( paletteStorage && window.localStorage ) localStorage.removeItem( paletteStorage );
+	}
+
+	/**
+	 * Open dialog to add and remove colors and stroke widths of the pens of the notes canvas or chalkboard.
+	 */
+	function editPalette() {
+		var id = mode;
+		var colorsKey = ( pens[ id ] == chalks ) ? 'chalks' : 'boardmarkers';
+		var widthsKey = ( draw[ id ] == drawWithChalk ) ? 'chalkWidths' : 'boardmarkerWidths';
+		var dialog = createDialog( ( colorsKey == 'chalks' ) ? 'Chalks' : 'Boardmarkers' );
+		dialog.classList.add( 'pens' );
+		var colorList = document.createElement( 'ul' );
+		dialog.appendChild( colorList );
+		var widthList = document.createElement( 'ul' );
+		dialog.appendChild( widthList );
+		var info = document.createElement( 'p' );
+		info.className = 'info';
+		info.textContent = 'Drawings refer to colors by their position, removing a color changes the color of strokes drawn with the following colors.';
+		dialog.appendChild( info );
+		dialog.appendChild( dialogButton( 'Reset', function () {
+			resetPalette();
+			update();
+		} ) );
+
+		// changes the palette and shows the changed palette
+		function change( action ) {
+			var palette = getPalette();
+			action( palette );
+			setPalette( palette );
+			update();
+		}
+
+		function update() {
+			var palette = getPalette();
+			colorList.innerHTML = '';
+			palette[ colorsKey ].forEach( ( value, i ) => {
+				var item = document.createElement( 'li' );
+				var swatch = document.createElement( 'span' );
+				swatch.className = 'swatch';
+				swatch.style.background = value;
+				item.appendChild( swatch );
+				var name = document.createElement( 'span' );
+				name.className = 'name';
+				name.textContent = value;
+				item.appendChild( name );
+				var remove = dialogButton( 'Remove', change.bind( null, palette => palette[ colorsKey ].splice( i, 1 ) ) );
+				remove.disabled = ( palette[ colorsKey ].length == 1 );
+				item.appendChild( remove );
+				colorList.appendChild( item );
+			} );
+			var item = document.createElement( 'li' );
+			var input = document.createElement( 'input' );
+			input.type = 'color';
+			input.title = 'New color';
+			item.appendChild( input );
+			item.appendChild( dialogButton( 'Add color', change.bind( null, palette => {
+				// new colors get the transparency of the first color
+				var alpha = /,\s*([\d\.]+)\s*\)$/.exec( palette[ colorsKey ][ 0 ] );
+				var rgb = [ 1, 3, 5 ].map( k => parseInt( input.value.substr( k, 2 ), 16 ) );
+				palette[ colorsKey ].push( 'rgba(' + rgb.join( ',' ) + ',' + ( alpha ? alpha[ 1 ] : 1 ) + ')' );
+			} ) ) );
+			colorList.appendChild( item );
+
+			widthList.innerHTML = '';
+			palette[ widthsKey ].forEach( ( value, i ) => {
+				var item = document.createElement( 'li' );
+				var swatch = document.createElement( 'span' );
+				swatch.className = 'swatch width';
+				swatch.style.height = Math.min( 24, value ) + 'px';
+				item.appendChild( swatch );
+				var name = document.createElement( 'span' );
+				name.className = 'name';
+				name.textContent = value + 'px';
+				item.appendChild( name );
+				var remove = dialogButton( 'Remove', change.bind( null, palette => palette[ widthsKey ].splice( i, 1 ) ) );
+				remove.disabled = ( palette[ widthsKey ].length == 1 );
+				item.appendChild( remove );
+				widthList.appendChild( item );
+			} );
+			var item = document.createElement( 'li' );
+			var input = document.createElement( 'input' );
+			input.type = 'number';
+			input.min = 1;
+			input.max = 100;
+			input.value = defaultWidth( id );
+			input.title = 'New stroke width';
+			item.appendChild( input );
+			item.appendChild( dialogButton( 'Add width', change.bind( null, palette => {
+				var width = Number( input.value );
+				if ( width > 0 && !palette[ widthsKey ].includes( width ) ) {
+					palette[ widthsKey ].push( width );
+					palette[ widthsKey ].sort( ( a, b ) => a - b );
+				}
+			} ) ) );
+			widthList.appendChild( item );
+		}
+		update();
+	}
+
+	/**
+	 * Record and broadcast an edit of the selected strokes.
+	 */
+	function editSelection( action, values ) {
+		if ( readOnly || !selection ) return;
+		stroke = Date.now();
+		broadcastEdit( action, selection.strokes.slice(), values );
+	}
+
+	/**
+	 * Delete the strokes selected with the select tool.
+	 */
+	function deleteSelection() {
+		editSelection( 'delete', {} );
+		clearSelection();
+	}
+
+	/**
+	 * Broadcast a change of the boards, the board is sent before the change is applied.
+	 */
+	function broadcastBoardChange( type, content ) {
+		var message = new CustomEvent( messageType );
+		message.content = {
+			sender: 'chalkboard-plugin',
+			type,
+			timestamp: Date.now() - slideStart,
+			mode,
+			board
+		};
+		for ( var key in content ) {
+			message.content[ key ] = content[ key ];
+		}
+		document.dispatchEvent( message );
+	}
+
+	function renameBoard( boardIdx, name ) {
+		if ( readOnly ) return;
+		broadcastBoardChange( 'renameboard', { index: boardIdx, name } );
+		setBoardName( boardIdx, name );
+	}
+
+	/**
+	 * Select the grid of a board (by default the current board).
+	 */
+	function setGrid( type, boardIdx ) {
+		if ( readOnly || !gridTypes.includes( type ) ) return;
+		if ( boardIdx == undefined ) boardIdx = board;
+		broadcastBoardChange( 'grid', { index: boardIdx, grid: type } );
+		setBoardGrid( boardIdx, type );
+	}
+
+	/**
+	 * Select the next grid for the current board.
+	 */
+	function cycleGrid() {
+		var index = gridTypes.indexOf( boardGrid( currentSlideData( 1 ), board ) );
+		setGrid( gridTypes[ ( index + 1 ) % gridTypes.length ] );
+	}
+
+	/**
+	 * Set an image or a page of a PDF document as background of a board (by default the current board),
+	 * the source is a url relative to the presentation or the name of a file opened by the presenter.
+	 */
+	function setBackground( src, page, boardIdx ) {
+		if ( readOnly ) return;
+		if ( boardIdx == undefined ) boardIdx = board;
+		var reference = src ? { src } : null;
+		if ( reference && ( page != undefined || isPDFName( src ) ) ) reference.page = Math.max( 1, Math.round( page || 1 ) );
+		broadcastBoardChange( 'background', { index: boardIdx, background: reference } );
+		setBoardBackground( boardIdx, reference );
+	}
+
+	/**
+	 * Open dialog to select an image or a page of a PDF document as background of a board,
+	 * the callback is called after the background is changed.
+	 */
+	function chooseBackground( boardIdx, callback ) {
+		if ( readOnly ) return;
+		if ( boardIdx == undefined ) boardIdx = board;
+		var current = boardBackground( currentSlideData( 1 ), boardIdx );
+		var dialog = createDialog( 'Background of board ' + ( boardIdx + 1 ) );
+		dialog.classList.add( 'background' );
+
+		var src = document.createElement( 'input' );
+		src.type = 'text';
+		src.placeholder = 'images/diagram.png';
+		src.title = 'Image or PDF document';
+		src.value = current ? current.src : '';
+		if ( boardBackgrounds.length ) {
+			var list = document.createElement( 'datalist' );
+			list.id = 'chalkboard-backgrounds';
+			for ( var i = 0; i < boardBackgrounds.length; i++ ) {
+				var option = document.createElement( 'option' );
+				option.value = boardBackgrounds[ i ];
+				list.appendChild( option );
+			}
+			dialog.appendChild( list );
+			src.setAttribute( 'list', list.id );
+		}
+		dialog.appendChild( src );
+
+		var file = document.createElement( 'input' );
+		file.type = 'file';
+		file.accept = 'image/*,application/pdf';
+		dialog.appendChild( file );
+
+		var page = document.createElement( 'input' );
+		page.type = 'number';
+		page.min = 1;
+		page.title = 'Page of the PDF document';
+		page.value = ( current && current.page ) || 1;
+		var pageLabel = document.createElement( 'label' );
+		pageLabel.textContent = 'Page ';
+		pageLabel.appendChild( page );
+		dialog.appendChild( pageLabel );
+
+		var info = document.createElement( 'p' );
+		info.className = 'info';
+		info.textContent = 'Opened files are stored by name and must be opened again after reloading the presentation.';
+		dialog.appendChild( info );
+
+		function update() {
+			pageLabel.style.display = isPDFName( src.value.trim() ) ? '' : 'none';
+		}
+		src.addEventListener( 'input', update );
+		file.addEventListener( 'change', function () {
+			if ( !file.files.length ) return;
+			addLocalFile( file.files[ 0 ] );
+			src.value = file.files[ 0 ].name;
+			update();
+		} );
+		update();
+
+		dialog.appendChild( dialogButton( 'Set background', function () {
+			var name = src.value.trim();
+			setBackground( name, isPDFName( name ) ? Number( page.value ) : undefined, boardIdx );
+			if ( callback ) callback();
+		}, dialog ) );
+		if ( current ) {
+			dialog.appendChild( dialogButton( 'Remove background', function () {
+				setBackground( null, undefined, boardIdx );
+				if ( callback ) callback();
+			}, dialog ) );
+		}
+	}
+
+	/**
+	 * Show the stamps to select the image placed by the stamp tool, the stamps can be filtered by name.
+	 */
+	function chooseStamp() {
+		if ( readOnly ) return;
+		var dialog = createDialog( 'Stamps' );
+		dialog.classList.add( 'stamps' );
+
+		var filter = document.createElement( 'input' );
+		filter.type = 'search';
+		filter.placeholder = 'Filter';
+		dialog.appendChild( filter );
+
+		var items = document.createElement( 'ul' );
+		dialog.appendChild( items );
+
+		loadStampList( function ( sources ) {
+			if ( !sources.length ) {
+				var info = document.createElement( 'p' );
+				info.className = 'info';
+				info.textContent = 'No stamps available.';
+				dialog.appendChild( info );
+				return;
+			}
+			sources.forEach( src => {
+				var item = document.createElement( 'li' );
+				item.title = stampName( src );
+				if ( src == stamp ) item.classList.add( 'current' );
+				var image = document.createElement( 'img' );
+				image.src = src;
+				image.alt = item.title;
+				item.appendChild( image );
+				item.addEventListener( 'click', function () {
+					selectStamp( src );
+					dialog.remove();
+				} );
+				items.appendChild( item );
+			} );
+		} );
+
+		filter.addEventListener( 'input', function () {
+			var text = filter.value.trim().toLowerCase();
+			for ( var i = 0; i < items.children.length; i++ ) {
+				items.children[ i ].style.display = items.children[ i ].title.toLowerCase().includes( text ) ? '' : 'none';
+			}
+		} );
+		filter.focus();
+	}
+
+	function moveBoard( from, to ) {
+		if ( readOnly ) return;
+		broadcastBoardChange( 'moveboard', { index: from, to } );
+		reorderBoard( from, to );
+	}
+
+	function duplicateBoard( boardIdx ) {
+		if ( readOnly ) return;
+		var strokes = copiedStrokes( getSlideData( slideIndices, 1 ), boardIdx );
+		broadcastBoardChange( 'duplicateboard', { index: boardIdx, strokes } );
+		copyBoard( boardIdx, strokes );
+	}
+
+	function deleteBoard( boardIdx ) {
+		if ( readOnly ) return;
+		broadcastBoardChange( 'deleteboard', { index: boardIdx } );
+		removeBoard( boardIdx );
+	}
+
+	/**
+	 * Show the boards of the current slide with thumbnails to select, rename, reorder, duplicate and delete them.
+	 */
+	function manageBoards() {
+		var patImg = new Image();
+		patImg.onload = function () {
+			var dialog = createDialog( 'Boards' );
+			dialog.classList.add( 'boards' );
+			var items = document.createElement( 'ul' );
+			dialog.appendChild( items );
+
+			function update() {
+				items.innerHTML = '';
+				var slideData = getSlideData( slideIndices, 1 );
+				var count = boardCount( slideData );
+				var factor = 160 / Reveal.getConfig().width;
+				var drawings = createDrawings( slideData, patImg, 1, factor );
+				for ( var i = 0; i < count; i++ ) {
+					var item = document.createElement( 'li' );
+					if ( i == board && mode == 1 ) item.classList.add( 'current' );
+					var drawing = drawings.find( element => element.board === i );
+					var thumbnail = drawing && drawing.canvas;
+					if ( !thumbnail ) {
+						thumbnail = document.createElement( 'canvas' );
+						thumbnail.width = 160;
+						thumbnail.height = Reveal.getConfig().height * factor;
+						var context = thumbnail.getContext( '2d' );
+						context.fillStyle = context.createPattern( patImg, 'repeat' );
+						context.fillRect( 0, 0, thumbnail.width, thumbnail.height );
+						var scale = Math.min( Reveal.getConfig().width / storage[ 1 ].width, Reveal.getConfig().height / storage[ 1 ].height );
+						var xOffset = ( Reveal.getConfig().width - storage[ 1 ].width * scale ) / 2 * factor;
+						var yOffset = ( Reveal.getConfig().height - storage[ 1 ].height * scale ) / 2 * factor;
+						var image = backgroundImage( boardBackground( slideData, i ) );
+						if ( image ) drawBackground( context, image, scale * factor, xOffset, yOffset );
+						drawGridType( context, boardGrid( slideData, i ), scale * factor, xOffset, yOffset, thumbnail.width, thumbnail.height );
+					}
+					thumbnail.title = 'Show board';
+					thumbnail.addEventListener( 'click', function ( boardIdx ) {
+						if ( mode != 1 ) toggleChalkboard();
+						if ( boardIdx != board ) switchBoard( boardIdx );
+						dialog.remove();
+					}.bind( null, i ) );
+					item.appendChild( thumbnail );
+
+					var name = document.createElement( 'input' );
+					name.type = 'text';
+					name.className = 'name';
+					name.placeholder = 'Board ' + ( i + 1 );
+					name.value = boardName( slideData, i ) || '';
+					name.disabled = readOnly;
+					name.addEventListener( 'change', function ( boardIdx ) {
+						renameBoard( boardIdx, this.value.trim() );
+					}.bind( name, i ) );
+					item.appendChild( name );
+
+					if ( !readOnly && gridTypes.length > 1 ) {
+						var gridSelect = document.createElement( 'select' );
+						gridSelect.title = 'Grid';
+						for ( var j = 0; j < gridTypes.length; j++ ) {
+							var option = document.createElement( 'option' );
+							option.value = gridTypes[ j ];
+							option.textContent = gridTypes[ j ];
+							option.selected = ( gridTypes[ j ] == boardGrid( slideData, i ) );
+							gridSelect.appendChild( option );
+						}
+						gridSelect.addEventListener( 'change', function ( boardIdx ) {
+							setGrid( this.value, boardIdx );
+							update();
+						}.bind( gridSelect, i ) );
+						item.appendChild( gridSelect );
+					}
+					if ( !readOnly ) {
+						var up = dialogButton( '\u2191', moveBoard.bind( null, i, i - 1 ) );
+						up.title = 'Move up';
+						up.disabled = ( i == 0 );
+						item.appendChild( up );
+						var down = dialogButton( '\u2193', moveBoard.bind( null, i, i + 1 ) );
+						down.title = 'Move down';
+						down.disabled = ( i == count - 1 );
+						item.appendChild( down );
+						var backgroundButton = dialogButton( 'Background', chooseBackground.bind( null, i, function () {
+							loadBackgrounds( [ getSlideData( slideIndices, 1 ) ], update );
+						} ) );
+						backgroundButton.title = 'Set background image or PDF page';
+						item.appendChild( backgroundButton );
+						item.appendChild( dialogButton( 'Duplicate', duplicateBoard.bind( null, i ) ) );
+						item.appendChild( dialogButton( 'Delete', function ( boardIdx ) {
+							if ( confirm( 'Please confirm to delete board ' + ( boardIdx + 1 ) + ' with all its drawings!' ) ) {
+								deleteBoard( boardIdx );
+							}
+						}.bind( null, i ) ) );
+					}
+					items.appendChild( item );
+				}
+			}
+
+			// update after the actions of the buttons
+			items.addEventListener( 'click', function ( e ) {
+				if ( e.target.tagName == 'BUTTON' ) update();
+			} );
+			loadBackgrounds( [ getSlideData( slideIndices, 1 ) ], update );
+			if ( !readOnly ) {
+				dialog.appendChild( dialogButton( 'New board', function () {
+					if ( mode != 1 ) toggleChalkboard();
+					switchBoard( boardCount( getSlideData( slideIndices, 1 ) ) );
+				}, dialog ) );
+			}
+		};
+		patImg.src = background[ 1 ];
+	}
+
+	/**
+	 * Creates a dialog overlay with the given title.
+	 */
+	function createDialog( title ) {
+		var dialog = document.createElement( 'div' );
+		dialog.classList.add( 'chalkboard-dialog' );
+		dialog.setAttribute( 'data-prevent-swipe', 'true' );
+		var header = document.createElement( 'h3' );
+		header.textContent = title;
+		dialog.appendChild( header );
+		var close = document.createElement( 'a' );
+		close.href = '#';
+		close.className = 'close';
+		close.title = 'Close';
+		close.innerHTML = '<i class="fas fa-times"></i>';
+		close.addEventListener( 'click', function ( e ) {
+			e.preventDefault();
+			dialog.remove();
+		} );
+		dialog.appendChild( close );
+		document.querySelector( '.reveal' ).appendChild( dialog );
+		return dialog;
+	}
+
+	/**
+	 * Creates a dialog button, the dialog is closed after the action if given.
+	 */
+	function dialogButton( label, action, dialog ) {
+		var button = document.createElement( 'button' );
+		button.textContent = label;
+		button.addEventListener( 'click', function ( e ) {
+			e.preventDefault();
+			action();
+			if ( dialog ) dialog.remove();
+		} );
+		return button;
+	}
+
+	this.toggleNotesCanvas = toggleNotesCanvas;
+	this.toggleChalkboard = toggleChalkboard;
+	this.toggleEraser = toggleEraser;
+	this.pinInk = pinInk;
+	this.toggleRecognition = toggleRecognition;
+	this.toggleInstrument = toggleInstrument;
+	this.getPalette = getPalette;
+	this.setPalette = setPalette;
+	this.editPalette = editPalette;
+	this.colorIndex = colorIndex;
+	this.colorNext = colorNext;
+	this.colorPrev = colorPrev;
+	this.clear = clear;
+	this.reset = resetSlide;
+	this.resetAll = resetStorage;
+	this.download = downloadData;
+	this.downloadSVG = downloadSVG;
+	this.downloadPNG = downloadPNG;
+	this.exportPNG = exportPNG;
+	this.selectTool = selectTool;
+	this.undo = undo;
+	this.redo = redo;
+	this.updateStorage = updateStorage;
+	this.getData = getData;
+	this.configure = configure;
+	this.manageSessions = manageSessions;
+	this.switchSession = switchSession;
+	this.deleteSession = deleteSession;
+	this.togglePlayback = togglePlayback;
+	this.manageBoards = manageBoards;
+	this.fitAll = fitAll;
+	this.setGrid = setGrid;
+	this.setBackground = setBackground;
+	this.chooseBackground = chooseBackground;
+	this.chooseStamp = chooseStamp;
+	this.clusterNotes = clusterNotes;
+	this.resetView = resetView;
+	this.renameBoard = renameBoard;
+	this.moveBoard = moveBoard;
+	this.duplicateBoard = duplicateBoard;
+	this.deleteBoard = deleteBoard;
+	this.nextStroke = nextStroke;
+
+
+	for ( var key in keyBindings ) {
+		if ( keyBindings[ key ] ) {
+			Reveal.addKeyBinding( keyBindings[ key ], RevealChalkboard[ key ] );
+		}
+	};
+
+	return this;
+};
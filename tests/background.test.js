@@ -0,0 +1,59 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load } = require( './helpers/plugin' );
+
+function plugin() {
+	return load( [ 'localFiles', 'backgroundKey', 'isPDFName', 'validBackground', 'drawBackground' ], {
+		storage: [ {}, { width: 960, height: 700 } ]
+	} );
+}
+
+test( 'validBackground accepts images and pages of PDF documents', () => {
+	const { validBackground } = plugin();
+	assert.strictEqual( validBackground( { src: 'images/map.png' } ), true );
+	assert.strictEqual( validBackground( { src: 'handout.pdf', page: 3 } ), true );
+	assert.ok( !validBackground( null ) );
+	assert.strictEqual( validBackground( { src: '' } ), false );
+	assert.strictEqual( validBackground( { src: 'handout.pdf', page: 0 } ), false );
+	assert.strictEqual( validBackground( { src: 'handout.pdf', page: 1.5 } ), false );
+} );
+
+test( 'PDF documents are recognised by name or by the type of an opened file', () => {
+	const context = plugin();
+	assert.strictEqual( context.isPDFName( 'Handout.PDF' ), true );
+	assert.ok( !context.isPDFName( 'handout' ) );
+	context.localFiles.handout = { type: 'application/pdf' };
+	assert.strictEqual( context.isPDFName( 'handout' ), true );
+	assert.strictEqual( context.backgroundKey( { src: 'handout', page: 2 } ), 'handout#2' );
+	assert.strictEqual( context.backgroundKey( { src: 'map.png' } ), 'map.png' );
+} );
+
+test( 'drawBackground centers the image in the slide area', () => {
+	const { drawBackground } = plugin();
+	const calls = [];
+	drawBackground( { drawImage: ( ...args ) => calls.push( args.slice( 1 ) ) }, { naturalWidth: 480, naturalHeight: 700 }, 0.5, 10, 20 );
+	assert.deepStrictEqual( calls, [ [ 10 + 120, 20, 240, 350 ] ] );
+} );
+
+test( 'loadBackground requests images from servers with CORS and reports PDF pages without pdf.js', async () => {
+	const images = [];
+	const warnings = [];
+	const context = load( [ 'localFiles', 'backgroundKey', 'pdfjs', 'pdfjsLoader', 'pdfDocuments', 'backgroundImages', 'loadPdfjs', 'renderPDFPage', 'loadBackground' ], {
+		console: { warn: ( ...args ) => warnings.push( args ) },
+		window: {},
+		Image: function () {
+			images.push( this );
+		}
+	} );
+	const loaded = [];
+	context.loadBackground( { src: 'https://example.org/map.png' }, image => loaded.push( image ) );
+	assert.strictEqual( images[ 0 ].crossOrigin, 'anonymous' );
+	assert.strictEqual( images[ 0 ].src, 'https://example.org/map.png' );
+	images[ 0 ].onload();
+	assert.deepStrictEqual( loaded, [ images[ 0 ] ] );
+
+	const page = await new Promise( resolve => context.loadBackground( { src: 'handout.pdf', page: 2 }, resolve ) );
+	assert.strictEqual( page, null );
+	assert.strictEqual( warnings[ 0 ][ 0 ], 'Cannot load background handout.pdf#2, opened files must be opened again after reloading the presentation!' );
+	assert.strictEqual( warnings[ 0 ][ 1 ].message, 'pdf.js is not available, see the pdfjs option' );
+} );
@@ -0,0 +1,147 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { boot, createStorage } = require( './helpers/browser' );
+const { load, copy } = require( './helpers/plugin' );
+
+function line( stroke, board, time = 0 ) {
+	return { type: 'shape', time, stroke, board, shape: 'line', x1: 0, y1: 0, x2: 10, y2: 10, color: 0 };
+}
+
+/**
+ * Returns the plugin showing the chalkboard with the given events and boards.
+ */
+function chalkboard( events, boards ) {
+	const sessionStorage = createStorage();
+	sessionStorage.setItem( 'drawings', JSON.stringify( [
+		{ version: 4, width: 960, height: 700, data: [] },
+		{ version: 4, width: 960, height: 700, data: [ { slide: { h: 0, v: 0 }, events, boards, duration: 10 } ] }
+	] ) );
+	const plugin = boot( { sessionStorage, chalkboard: { storage: 'drawings' } } );
+	plugin.toggleChalkboard();
+	return plugin;
+}
+
+function chalkboardData( plugin ) {
+	const data = JSON.parse( plugin.getData() )[ 1 ].data[ 0 ];
+	data.events = data.events.filter( event => event.type != 'open' );
+	return data;
+}
+
+test( 'moving a board is recorded as an event which is undone and redone', () => {
+	const events = [ line( 1, 0 ), line( 2, 1 ), line( 3, 2 ) ];
+	const plugin = chalkboard( events );
+	plugin.moveBoard( 0, 2 );
+	const change = chalkboardData( plugin ).events.pop();
+	assert.strictEqual( change.type, 'boards' );
+	assert.deepStrictEqual( change.map, [ 2, 0, 1 ] );
+	assert.strictEqual( change.board, 2 );
+	assert.deepStrictEqual( chalkboardData( plugin ).events.slice( 0, 3 ), events );
+
+	plugin.undo();
+	assert.deepStrictEqual( chalkboardData( plugin ).events, events );
+	plugin.redo();
+	assert.deepStrictEqual( chalkboardData( plugin ).events.pop(), change );
+} );
+
+test( 'changes of the boards are undone in reverse order and restore the names of removed boards', () => {
+	const names = [ { name: 'a' }, { name: 'b' }, { name: 'c' } ];
+	const plugin = chalkboard( [ line( 1, 0 ), line( 2, 1 ), line( 3, 2 ) ], names );
+	plugin.deleteBoard( 0 );
+	plugin.moveBoard( 1, 0 );
+	assert.deepStrictEqual( chalkboardData( plugin ).boards, [ { name: 'c' }, { name: 'b' } ] );
+	plugin.undo();
+	plugin.undo();
+	const data = chalkboardData( plugin );
+	assert.deepStrictEqual( data.events.map( event => event.board ), [ 0, 1, 2 ] );
+	assert.deepStrictEqual( data.boards, names );
+	assert.strictEqual( data.redo.length, 2 );
+} );
+
+test( 'copied strokes get identifiers above all strokes of the slide', () => {
+	const plugin = chalkboard( [ line( 1, 0 ), line( 7, 1 ), line( 3, 0 ) ], [ { name: 'a' } ] );
+	plugin.duplicateBoard( 0 );
+	const data = chalkboardData( plugin );
+	const change = data.events.pop();
+	assert.deepStrictEqual( change.copy, { from: 0, to: 1, strokes: [ [ 1, 8 ], [ 3, 9 ] ] } );
+	assert.deepStrictEqual( change.map, [ 0, 2 ] );
+	assert.deepStrictEqual( data.boards, [ { name: 'a' }, { name: 'a (copy)' } ] );
+} );
+
+test( 'a renamed board keeps its name until the name is removed', () => {
+	const plugin = chalkboard( [ line( 1, 0 ) ] );
+	plugin.renameBoard( 1, 'Sketch' );
+	assert.deepStrictEqual( chalkboardData( plugin ).boards, [ {}, { name: 'Sketch' } ] );
+	plugin.renameBoard( 1, '' );
+	assert.deepStrictEqual( chalkboardData( plugin ).boards, [ {}, {} ] );
+} );
+
+test( 'renaming a board is recorded as a change of the boards which is undone and redone', () => {
+	const plugin = chalkboard( [ line( 1, 0 ) ], [ { name: 'a' } ] );
+	plugin.renameBoard( 0, 'b' );
+	const change = chalkboardData( plugin ).events.pop();
+	assert.strictEqual( change.type, 'boards' );
+	assert.deepStrictEqual( change.map, [ 0 ] );
+	assert.deepStrictEqual( change.set, { index: 0, name: 'b' } );
+	// renaming a board to its name is not recorded
+	plugin.renameBoard( 0, 'b' );
+	assert.strictEqual( chalkboardData( plugin ).events.length, 2 );
+
+	plugin.undo();
+	assert.deepStrictEqual( chalkboardData( plugin ).events, [ line( 1, 0 ) ] );
+	assert.deepStrictEqual( chalkboardData( plugin ).boards, [ { name: 'a' } ] );
+	plugin.redo();
+	assert.deepStrictEqual( chalkboardData( plugin ).boards, [ { name: 'b' } ] );
+} );
+
+test( 'the grid is selected per board', () => {
+	const plugin = chalkboard( [ line( 1, 0 ) ] );
+	plugin.setGrid( 'dots', 1 );
+	plugin.setGrid( 'lines' );
+	assert.deepStrictEqual( chalkboardData( plugin ).boards, [ {}, { grid: 'dots' } ] );
+	plugin.setGrid( 'staff' );
+	assert.deepStrictEqual( chalkboardData( plugin ).boards, [ { grid: 'staff' }, { grid: 'dots' } ] );
+	plugin.undo();
+	assert.deepStrictEqual( chalkboardData( plugin ).boards, [ {}, { grid: 'dots' } ] );
+} );
+
+test( 'a background is set per board and pages of PDF documents are numbered from one', () => {
+	const plugin = chalkboard( [ line( 1, 0 ) ] );
+	plugin.setBackground( 'handout.pdf', undefined, 1 );
+	plugin.setBackground( 'images/map.png' );
+	assert.deepStrictEqual( chalkboardData( plugin ).boards, [ { background: { src: 'images/map.png' } }, { background: { src: 'handout.pdf', page: 1 } } ] );
+	plugin.setBackground( null );
+	assert.deepStrictEqual( chalkboardData( plugin ).boards[ 0 ], {} );
+	assert.deepStrictEqual( chalkboardData( plugin ).events.pop().set, { index: 0, background: null } );
+	plugin.undo();
+	assert.deepStrictEqual( chalkboardData( plugin ).boards[ 0 ], { background: { src: 'images/map.png' } } );
+} );
+
+test( 'the names, grids and backgrounds of the boards are shown as they were at the time played back', () => {
+	const change = ( time, map, boards, set ) => ( { type: 'boards', time, board: 0, map, boards, set } );
+	const slideData = {
+		events: [
+			line( 1, 0, 0 ),
+			change( 10, [ 0 ], undefined, { index: 0, name: 'a' } ),
+			change( 20, [ 0, 1 ], [ { name: 'a' } ], { index: 1, grid: 'dots' } ),
+			change( 30, [ 1, 0 ] ),
+			change( 40, [ 0, 1 ], [ { grid: 'dots' }, { name: 'a' } ], { index: 1, name: null } )
+		],
+		boards: [ { grid: 'dots' }, {} ]
+	};
+	const context = load( [ 'changedCount', 'changedBoard', 'unchangedBoard', 'changeBoardData', 'shownSlideData' ], {
+		currentSlideData: () => slideData,
+		playback: false,
+		pausedPosition: null
+	} );
+	assert.strictEqual( context.shownSlideData(), slideData );
+	const shown = time => {
+		context.pausedPosition = time;
+		return copy( context.shownSlideData().boards );
+	};
+	assert.deepStrictEqual( shown( 5 ), [ {}, {} ] );
+	assert.deepStrictEqual( shown( 15 ), [ { name: 'a' }, {} ] );
+	assert.deepStrictEqual( shown( 25 ), [ { name: 'a' }, { grid: 'dots' } ] );
+	assert.deepStrictEqual( shown( 35 ), [ { grid: 'dots' }, { name: 'a' } ] );
+	assert.deepStrictEqual( shown( 45 ), slideData.boards );
+	assert.deepStrictEqual( slideData.boards, [ { grid: 'dots' }, {} ] );
+} );
@@ -0,0 +1,132 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+
+function plugin() {
+	return load( [ 'selectable', 'undoable', 'isNumber', 'editedBy', 'editEvent', 'transformEvent', 'editedEvents', 'changedCount', 'changedBoard', 'changedEvents' ] );
+}
+
+const text = { type: 'text', time: 0, stroke: 1, x: 10, y: 20, size: 20, color: 0, text: 'a' };
+const line = { type: 'shape', time: 5, stroke: 2, shape: 'line', x1: 0, y1: 0, x2: 10, y2: 10, color: 0 };
+
+test( 'editedEvents returns the events without edits', () => {
+	const { editedEvents } = plugin();
+	const events = [ text, line ];
+	assert.strictEqual( editedEvents( events ), events );
+} );
+
+test( 'editedEvents applies edits to copies of the strokes', () => {
+	const { editedEvents } = plugin();
+	const events = [
+		text,
+		line,
+		{ type: 'edit', time: 10, action: 'move', strokes: [ 1, 2 ], dx: 5, dy: -5 },
+		{ type: 'edit', time: 20, action: 'scale', strokes: [ 2 ], x: 0, y: 0, factor: 2 },
+		{ type: 'edit', time: 30, action: 'color', strokes: [ 1 ], color: 3 }
+	];
+	assert.deepStrictEqual( copy( editedEvents( events ) ), [
+		Object.assign( {}, text, { x: 15, y: 15, color: 3 } ),
+		Object.assign( {}, line, { x1: 10, y1: -10, x2: 30, y2: 10 } )
+	] );
+	assert.strictEqual( events[ 0 ].x, 10 );
+} );
+
+test( 'editedEvents applies edits recorded before the given time', () => {
+	const { editedEvents } = plugin();
+	const events = [
+		text,
+		line,
+		{ type: 'edit', time: 10, action: 'delete', strokes: [ 1 ] },
+		{ type: 'edit', time: 20, action: 'move', strokes: [ 2 ], dx: 5, dy: 5 }
+	];
+	assert.deepStrictEqual( copy( editedEvents( events, 15 ) ), [ line, events[ 3 ] ] );
+	assert.deepStrictEqual( copy( editedEvents( events, 5 ) ), events );
+} );
+
+test( 'editedEvents only edits strokes of the same board', () => {
+	const { editedEvents } = plugin();
+	const other = Object.assign( {}, line, { board: 1, stroke: 1 } );
+	const events = [ text, other, { type: 'edit', time: 10, action: 'delete', strokes: [ 1 ] } ];
+	assert.deepStrictEqual( copy( editedEvents( events ) ), [ other ] );
+} );
+
+test( 'strokeDistance measures the distance to the nearest segment of a stroke', () => {
+	const { strokeDistance } = load( [ 'shapeLines', 'strokePoints', 'strokeDistance' ], {
+		textBounds: event => ( { width: event.text.length * 10, height: 24 } )
+	} );
+	const polyline = { type: 'polyline', points: [ [ 0, 0, 0 ], [ 100, 0, 10 ], [ 100, 100, 20 ] ] };
+	assert.strictEqual( strokeDistance( polyline, 50, 10 ), 10 );
+	assert.strictEqual( strokeDistance( polyline, 130, 140 ), 50 );
+	assert.strictEqual( strokeDistance( Object.assign( {}, line, { shape: 'rectangle' } ), 5, 4 ), 4 );
+	assert.strictEqual( strokeDistance( text, 15, 30 ), 0 );
+	assert.strictEqual( strokeDistance( text, 30, 20 ), 10 );
+} );
+
+test( 'insidePolygon tests points against the lasso', () => {
+	const { insidePolygon } = load( [ 'insidePolygon' ] );
+	const lasso = [ [ 0, 0 ], [ 100, 0 ], [ 100, 100 ], [ 50, 50 ], [ 0, 100 ] ];
+	assert.strictEqual( insidePolygon( 50, 25, lasso ), true );
+	assert.strictEqual( insidePolygon( 50, 75, lasso ), false );
+	assert.strictEqual( insidePolygon( 90, 75, lasso ), true );
+	assert.strictEqual( insidePolygon( 150, 50, lasso ), false );
+} );
+
+test( 'editedEvents replaces the text of typed text and sticky notes until the edit is undone', () => {
+	const { editedEvents } = plugin();
+	const note = { type: 'note', time: 5, stroke: 2, x: 0, y: 0, width: 100, height: 100, size: 16, color: 0, text: 'b' };
+	const edit = { type: 'edit', time: 10, action: 'text', strokes: [ 1, 2 ], text: 'c', size: 32 };
+	assert.deepStrictEqual( copy( editedEvents( [ text, note, edit ] ) ), [
+		Object.assign( {}, text, { text: 'c', size: 32 } ),
+		Object.assign( {}, note, { text: 'c', size: 32 } )
+	] );
+	assert.deepStrictEqual( copy( editedEvents( [ text, note ] ) ), [ text, note ] );
+	assert.deepStrictEqual( copy( editedEvents( [ text, line, Object.assign( {}, edit, { strokes: [ 2 ] } ) ] ) ), [ text, line ] );
+} );
+
+test( 'editedEvents moves the strokes recorded before a change of the boards', () => {
+	const { editedEvents } = plugin();
+	const first = Object.assign( {}, line, { board: 0 } );
+	const second = Object.assign( {}, text, { board: 1 } );
+	const events = [
+		first,
+		second,
+		{ type: 'boards', time: 10, board: 1, map: [ 1, 0 ] },
+		{ type: 'edit', time: 20, board: 0, action: 'move', strokes: [ 1 ], dx: 5, dy: 0 }
+	];
+	assert.deepStrictEqual( copy( editedEvents( events ) ), [
+		Object.assign( {}, line, { board: 1 } ),
+		Object.assign( {}, text, { board: 0, x: 15 } )
+	] );
+	assert.deepStrictEqual( copy( editedEvents( events, 5 ) ), copy( events ) );
+	assert.strictEqual( events[ 0 ].board, 0 );
+} );
+
+test( 'editedEvents removes the strokes of a removed board and keeps the board selected during playback', () => {
+	const { editedEvents } = plugin();
+	const events = [
+		Object.assign( {}, line, { board: 0 } ),
+		{ type: 'selectboard', time: 6, board: 1 },
+		Object.assign( {}, text, { time: 7, board: 1 } ),
+		Object.assign( {}, text, { time: 8, stroke: 3, board: 2 } ),
+		{ type: 'boards', time: 10, board: 0, map: [ 0, null, 1 ] }
+	];
+	assert.deepStrictEqual( copy( editedEvents( events ) ), [
+		events[ 0 ],
+		Object.assign( {}, events[ 1 ], { board: 0 } ),
+		Object.assign( {}, events[ 3 ], { board: 1 } )
+	] );
+} );
+
+test( 'editedEvents copies the strokes of a copied board with the identifiers of the copies', () => {
+	const { editedEvents } = plugin();
+	const events = [
+		Object.assign( {}, line, { board: 0 } ),
+		Object.assign( {}, text, { time: 7, board: 1 } ),
+		{ type: 'boards', time: 10, board: 0, map: [ 0, 2 ], copy: { from: 0, to: 1, strokes: [ [ 2, 3 ] ] } }
+	];
+	assert.deepStrictEqual( copy( editedEvents( events ) ), [
+		events[ 0 ],
+		Object.assign( {}, line, { board: 1, stroke: 3 } ),
+		Object.assign( {}, text, { time: 7, board: 2 } )
+	] );
+} );
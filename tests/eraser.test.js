@@ -0,0 +1,49 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { boot, createStorage, notesPointer } = require( './helpers/browser' );
+
+function line( stroke, y ) {
+	return { type: 'shape', time: 0, stroke, shape: 'line', x1: 0, y1: y, x2: 100, y2: y, color: 0 };
+}
+
+/**
+ * Returns the plugin with the given strokes on the notes canvas and a function to send
+ * pointer events to the notes canvas.
+ */
+function notesCanvas( events ) {
+	const sessionStorage = createStorage();
+	sessionStorage.setItem( 'drawings', JSON.stringify( [
+		{ version: 4, width: 960, height: 700, data: [ { slide: { h: 0, v: 0 }, events, duration: 0 } ] },
+		{ version: 4, width: 960, height: 700, data: [] }
+	] ) );
+	const { createElement, pointer } = notesPointer();
+	const plugin = boot( { sessionStorage, chalkboard: { storage: 'drawings' }, createElement } );
+	return { plugin, pointer };
+}
+
+test( 'the stroke eraser deletes the touched strokes as one stroke which is undone at once', () => {
+	const events = [ line( 1, 100 ), line( 2, 200 ), line( 3, 300 ) ];
+	const { plugin, pointer } = notesCanvas( events );
+	plugin.toggleEraser();
+	pointer( 'pointerdown', 50, 110, 2 );
+	pointer( 'pointermove', 50, 160, 2 );
+	pointer( 'pointermove', 50, 295, 2 );
+	pointer( 'pointerup', 50, 295, 2 );
+	const edits = JSON.parse( plugin.getData() )[ 0 ].data[ 0 ].events.filter( event => event.type == 'edit' );
+	assert.deepStrictEqual( edits.map( event => [ event.action, event.strokes ] ), [ [ 'delete', [ 1 ] ], [ 'delete', [ 3 ] ] ] );
+	assert.ok( edits[ 0 ].stroke != undefined );
+	assert.strictEqual( edits[ 0 ].stroke, edits[ 1 ].stroke );
+
+	plugin.undo();
+	assert.deepStrictEqual( JSON.parse( plugin.getData() )[ 0 ].data[ 0 ].events, events );
+	plugin.redo();
+	assert.strictEqual( JSON.parse( plugin.getData() )[ 0 ].data[ 0 ].events.length, 5 );
+} );
+
+test( 'the sponge wipes away pixels without deleting strokes', () => {
+	const { plugin, pointer } = notesCanvas( [ line( 1, 100 ) ] );
+	pointer( 'pointerdown', 50, 100, 2 );
+	pointer( 'pointerup', 50, 100, 2 );
+	const events = JSON.parse( plugin.getData() )[ 0 ].data[ 0 ].events;
+	assert.deepStrictEqual( events.map( event => event.type ), [ 'shape', 'erase' ] );
+} );
@@ -0,0 +1,171 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+const { stub, boot, LoadingImage } = require( './helpers/browser' );
+
+function svg( events, id = 0, boardIdx, boards ) {
+	const context = load( [ 'boardmarkerWidth', 'chalkWidth', 'defaultWidth', 'getPen', 'textFont', 'localFiles', 'selectable', 'isNumber', 'editedBy', 'editEvent', 'transformEvent', 'editedEvents', 'boardEvents', 'escapeXML', 'noteColors', 'noteTextColor', 'wrapNote', 'shapeLines', 'smoothing', 'smoothedPart', 'smoothedEnd', 'smoothedPoints', 'midpoint', 'curvePoints', 'drawingBounds', 'boardBackground', 'backgroundHref', 'createSVG' ], {
+		URL,
+		document: { baseURI: 'https://example.org/slides/index.html' },
+		storage: [ { width: 960, height: 700 }, { width: 960, height: 700 } ],
+		pens: [ [ { color: 'rgba(30,144,255,0.5)' } ], [ { color: 'rgba(255,255,255,0.5)' } ] ],
+		eraser: { radius: 20 },
+		highlighters: [ { color: 'rgba(255,255,0,1)' } ],
+		highlighterWidth: 24,
+		highlighterOpacity: 0.4,
+		highlighterBlend: [ 'multiply', 'screen' ],
+		theme: 'chalkboard',
+		mode: 0,
+		drawingCanvas: [ { preview: { measureText: text => ( { width: 8 * text.length } ) } } ]
+	} );
+	context.drawWithChalk = function () {};
+	context.draw = [ function () {}, context.drawWithChalk ];
+	return context.createSVG( id, { events, boards }, boardIdx );
+}
+
+test( 'createSVG joins the segments of a stroke into one polyline', () => {
+	const segment = ( x1, y1, x2, y2, stroke ) => ( { type: 'draw', stroke, color: 0, x1, y1, x2, y2 } );
+	const result = svg( [ segment( 0, 0, 10, 0, 1 ), segment( 10, 0, 10, 10, 1 ), segment( 10, 10, 20, 20, 2 ) ] );
+	assert.match( result, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="960" height="700" viewBox="0 0 960 700">\n/ );
+	assert.match( result, /<polyline points="0,0 10,0 10,10" fill="none" stroke="rgba\(30,144,255,1\)" stroke-width="3" /);
+	assert.match( result, /<polyline points="10,10 20,20" / );
+} );
+
+test( 'createSVG draws polylines with the width of their points', () => {
+	const result = svg( [
+		{ type: 'polyline', stroke: 1, color: 0, points: [ [ 0, 0, 0 ], [ 10, 0, 5 ], [ 10, 10, 10, 6 ] ] },
+		{ type: 'draw', stroke: 1, color: 0, x1: 10, y1: 10, x2: 20, y2: 10, width: 6 }
+	] );
+	assert.match( result, /<polyline points="0,0 10,0" fill="none" stroke="rgba\(30,144,255,1\)" stroke-width="3" [^\n]*\n<polyline points="10,0 10,10 20,10" fill="none" stroke="rgba\(30,144,255,1\)" stroke-width="6" / );
+} );
+
+test( 'createSVG draws highlighter strokes translucent and blended', () => {
+	const result = svg( [ { type: 'polyline', stroke: 1, color: 0, highlighter: true, points: [ [ 0, 0, 0 ], [ 10, 0, 5 ] ] } ] );
+	assert.match( result, /<polyline points="0,0 10,0" fill="none" stroke="rgba\(255,255,0,1\)" stroke-opacity="0.4" stroke-width="24" stroke-linecap="round" stroke-linejoin="round" style="mix-blend-mode:multiply"\/>/ );
+} );
+
+test( 'createSVG exports the strokes with their edits', () => {
+	const result = svg( [
+		{ type: 'shape', stroke: 1, shape: 'line', color: 0, x1: 10, y1: 20, x2: 30, y2: 40 },
+		{ type: 'shape', stroke: 2, shape: 'line', color: 0, x1: 50, y1: 50, x2: 60, y2: 60 },
+		{ type: 'edit', action: 'move', strokes: [ 1 ], dx: 5, dy: 5 },
+		{ type: 'edit', action: 'delete', strokes: [ 2 ] }
+	] );
+	assert.match( result, /<polyline points="15,25 35,45" / );
+	assert.doesNotMatch( result, /50,50/ );
+} );
+
+test( 'createSVG outlines shapes and escapes typed text', () => {
+	const result = svg( [
+		{ type: 'shape', shape: 'rectangle', color: 0, x1: 10, y1: 20, x2: 30, y2: 40 },
+		{ type: 'text', color: 0, size: 20, x: 5, y: 50, text: 'a < b & "c"\n<tag>' }
+	] );
+	assert.match( result, /<polyline points="10,20 30,20 30,40 10,40 10,20" / );
+	assert.match( result, /<text x="5" y="50" font-family="sans-serif" font-size="20" fill="rgba\(30,144,255,1\)" dominant-baseline="hanging"><tspan x="5" y="50">a &lt; b &amp; &quot;c&quot;<\/tspan><tspan x="5" y="74">&lt;tag&gt;<\/tspan><\/text>/ );
+	assert.doesNotMatch( result, /<tag>/ );
+} );
+
+test( 'createSVG clips the wrapped and escaped text of sticky notes', () => {
+	const result = svg( [ { type: 'note', stroke: 1, x: 100, y: 200, width: 100, height: 80, size: 16, color: 0, text: 'a < b & c and <d>\n"e"' } ] );
+	assert.match( result, /<defs>\n<clipPath id="note0"><rect x="100" y="200" width="100" height="80"\/><\/clipPath>\n<\/defs>\n/ );
+	assert.match( result, /<rect x="100" y="200" width="100" height="80" fill="rgba\(255,240,130,1\)" stroke="rgba\(0,0,0,0.2\)"\/>\n<text clip-path="url\(#note0\)" font-family="sans-serif" font-size="16" fill="rgba\(34,34,34,1\)" dominant-baseline="hanging"><tspan x="108" y="208">a &lt; b &amp; c<\/tspan><tspan x="108" y="227.2">and &lt;d&gt;<\/tspan><tspan x="108" y="246.4">&quot;e&quot;<\/tspan><\/text>/ );
+	assert.doesNotMatch( result, /<d>/ );
+} );
+
+test( 'createSVG masks strokes drawn before they were erased', () => {
+	const result = svg( [
+		{ type: 'draw', stroke: 1, color: 0, x1: 0, y1: 0, x2: 50, y2: 0 },
+		{ type: 'erase', x: 25, y: 0 },
+		{ type: 'erase', x: 30, y: 0 },
+		{ type: 'draw', stroke: 2, color: 0, x1: 0, y1: 10, x2: 50, y2: 10 }
+	] );
+	assert.match( result, /<defs>\n<mask id="erase1" maskUnits="userSpaceOnUse" x="0" y="0" width="960" height="700"><rect x="0" y="0" width="960" height="700" fill="white"\/><circle cx="25" cy="0" r="20" fill="black"\/><circle cx="30" cy="0" r="20" fill="black"\/><\/mask>\n<\/defs>\n/ );
+	assert.match( result, /<g mask="url\(#erase1\)">\n<polyline points="0,0 50,0" [^\n]*\n<\/g>\n<polyline points="0,10 50,10" / );
+} );
+
+test( 'createSVG exports the strokes of one board on a chalkboard background', () => {
+	const result = svg( [
+		{ type: 'draw', board: 0, stroke: 1, color: 0, x1: 100, y1: 100, x2: 150, y2: 100 },
+		{ type: 'draw', board: 1, stroke: 2, color: 0, x1: 100, y1: 110, x2: 150, y2: 110 }
+	], 1, 1 );
+	assert.match( result, /<rect x="0" y="0" width="960" height="700" fill="#2a2a2a"\/>\n<polyline points="100,110 150,110" fill="none" stroke="rgba\(255,255,255,1\)" stroke-width="7" / );
+	assert.doesNotMatch( result, /100,100 150,100/ );
+} );
+
+test( 'createSVG links the images of stamps', () => {
+	const result = svg( [ { type: 'stamp', stroke: 1, src: 'images/icons/a&b.svg', x: 100, y: 120, width: 80, height: 40 } ] );
+	assert.match( result, /<image href="https:\/\/example.org\/slides\/images\/icons\/a&amp;b.svg" x="100" y="120" width="80" height="40" preserveAspectRatio="none"\/>/ );
+} );
+
+test( 'createSVG shows the background image of a board', () => {
+	const result = svg( [], 1, 1, [ {}, { background: { src: 'images/a&b.png' } } ] );
+	assert.match( result, /<rect [^\n]*\/>\n<image href="https:\/\/example.org\/slides\/images\/a&amp;b.png" x="0" y="0" width="960" height="700" preserveAspectRatio="xMidYMid meet"\/>\n<\/svg>/ );
+	assert.doesNotMatch( svg( [], 1, 0, [ {}, { background: { src: 'images/a&b.png' } } ] ), /<image/ );
+} );
+
+test( 'createSVG includes drawings outside of the slide area of the chalkboard', () => {
+	const result = svg( [ { type: 'shape', board: 0, shape: 'line', color: 0, x1: -50, y1: 100, x2: 1000, y2: 100 } ], 1, 0 );
+	assert.match( result, /<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="1090" height="700" viewBox="-70 0 1090 700">\n<rect x="-70" y="0" width="1090" height="700" / );
+} );
+
+test( 'slidesWithDrawings lists the slides with strokes on the notes canvas or a board in order', () => {
+	const line = board => ( { type: 'draw', board, x1: 0, y1: 0, x2: 10, y2: 10 } );
+	const { slidesWithDrawings } = load( [ 'selectable', 'undoable', 'isNumber', 'editedBy', 'editEvent', 'transformEvent', 'editedEvents', 'changedCount', 'changedBoard', 'changedEvents', 'usedBoards', 'slidesWithDrawings' ], {
+		storage: [
+			{ data: [ { slide: { h: 2, v: 0 }, events: [ line() ] }, { slide: { h: 0, v: 1 }, events: [ { type: 'open' } ] } ] },
+			{ data: [ { slide: { h: 1, v: 0, f: 1 }, events: [ line( 1 ) ] }, { slide: { h: 1, v: 0 }, events: [ line( 0 ) ] }, { slide: { h: 2, v: 0 }, events: [ line( 0 ) ] } ] }
+		]
+	} );
+	assert.deepStrictEqual( copy( slidesWithDrawings() ), [ { h: 1, v: 0 }, { h: 1, v: 0, f: 1 }, { h: 2, v: 0 } ] );
+} );
+
+test( 'exportName names the files after the slide and the board', () => {
+	const { exportName } = load( [ 'exportName' ] );
+	assert.strictEqual( exportName( { h: 0, v: 1 }, 0, undefined, 'png' ), 'slide-1-2-notes.png' );
+	assert.strictEqual( exportName( { h: 2, v: 0, f: 0 }, 1, 1, 'svg' ), 'slide-3-1-1-board-2.svg' );
+} );
+
+test( 'downloadPNG reports images which cannot be created and keeps the drawings unchanged', async () => {
+	const warnings = [];
+	const plugin = boot( {
+		console: { log() {}, warn: ( ...args ) => warnings.push( args ) },
+		Image: LoadingImage,
+		createElement( tag ) {
+			if ( tag != 'canvas' ) return null;
+			const canvas = stub();
+			canvas.toBlob = callback => callback( null );
+			return canvas;
+		}
+	} );
+	const data = plugin.getData();
+	plugin.downloadPNG( false, 1 );
+	await new Promise( resolve => setImmediate( resolve ) );
+	const failure = warnings.find( args => args[ 0 ] == 'Cannot export slides as PNG!' );
+	assert.ok( failure );
+	assert.match( failure[ 1 ].message, /Cannot create image/ );
+	assert.strictEqual( plugin.getData(), data );
+} );
+
+test( 'createDrawings zooms out boards with drawings outside of the slide area', () => {
+	const strokes = [];
+	const canvas = { getContext: () => ( { setTransform() {}, rect() {}, fill() {}, createPattern() {} } ) };
+	const context = load( [ 'editedEvents', 'drawingBounds', 'createDrawings' ], {
+		Reveal: { getConfig: () => ( { width: 960, height: 700 } ) },
+		storage: [ { width: 960, height: 700 }, { width: 960, height: 700 } ],
+		mode: 0,
+		board: 0,
+		document: { createElement: () => canvas },
+		getCanvas: () => canvas,
+		backgroundImage: () => null,
+		boardBackground() {},
+		boardGrid() {},
+		drawGridType() {},
+		drawStroke: ( id, context, event, scale, xOffset, yOffset ) => strokes.push( [ event.board, scale, xOffset, yOffset ] )
+	} );
+	const line = { type: 'shape', time: 0, stroke: 1, board: 0, shape: 'line', x1: 100, y1: 100, x2: 200, y2: 200, color: 0 };
+	context.createDrawings( { events: [ line, Object.assign( {}, line, { stroke: 2, board: 1, x2: 1900 } ) ] }, null, 1 );
+	assert.deepStrictEqual( strokes[ 0 ], [ 0, 1, 0, 0 ] );
+	assert.strictEqual( strokes[ 1 ][ 0 ], 1 );
+	assert.strictEqual( strokes[ 1 ][ 1 ], 0.5 );
+	assert.strictEqual( 1900 * strokes[ 1 ][ 1 ] + strokes[ 1 ][ 2 ] < 960, true );
+} );
@@ -0,0 +1,77 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+
+function plugin( smoothing ) {
+	const context = load( [ 'simplifyPoints', 'smoothedPart', 'smoothedEnd', 'smoothedPoints', 'midpoint', 'curvePoints', 'pointDistance', 'axisAligned', 'turnAngle', 'closedCorners', 'arrowShape', 'recognizeShape' ] );
+	context.smoothing = smoothing;
+	return context;
+}
+
+/**
+ * Returns the points of a stroke through the given corners with a point every few pixels.
+ */
+function stroke( corners, step = 4 ) {
+	const points = [ corners[ 0 ].slice() ];
+	for ( let i = 1; i < corners.length; i++ ) {
+		const [ x1, y1 ] = corners[ i - 1 ];
+		const [ x2, y2 ] = corners[ i ];
+		const n = Math.max( 1, Math.ceil( Math.hypot( x2 - x1, y2 - y1 ) / step ) );
+		for ( let k = 1; k <= n; k++ ) {
+			points.push( [ x1 + ( x2 - x1 ) * k / n, y1 + ( y2 - y1 ) * k / n ] );
+		}
+	}
+	return points;
+}
+
+test( 'simplifyPoints removes points close to the simplified line', () => {
+	const { simplifyPoints } = plugin();
+	const points = [ [ 0, 0 ], [ 5, 0.2 ], [ 10, 0 ], [ 10, 5 ], [ 10.1, 10 ], [ 10, 20 ] ];
+	assert.deepStrictEqual( copy( simplifyPoints( points, 0.5 ) ), [ [ 0, 0 ], [ 10, 0 ], [ 10, 20 ] ] );
+	assert.strictEqual( simplifyPoints( points, 0 ), points );
+	assert.deepStrictEqual( copy( simplifyPoints( [ [ 0, 0 ], [ 1, 1 ] ], 10 ) ), [ [ 0, 0 ], [ 1, 1 ] ] );
+} );
+
+test( 'smoothedPoints keeps the points of strokes without smoothing', () => {
+	const { smoothedPoints } = plugin( false );
+	assert.deepStrictEqual( copy( smoothedPoints( [ [ 0, 0, 0 ], [ 10, 0, 5, 2 ], [ 10, 10, 10 ] ] ) ), [ [ 0, 0 ], [ 10, 0, 2 ], [ 10, 10, null ] ] );
+} );
+
+test( 'smoothedPoints (quadratic) runs through the midpoints of the segments', () => {
+	const { smoothedPoints } = plugin( 'quadratic' );
+	const result = copy( smoothedPoints( [ [ 0, 0, 0 ], [ 40, 0, 5 ], [ 40, 40, 10 ], [ 80, 40, 15 ] ] ) );
+	assert.deepStrictEqual( result[ 0 ], [ 0, 0 ] );
+	assert.deepStrictEqual( result[ result.length - 1 ].slice( 0, 2 ), [ 80, 40 ] );
+	assert.ok( result.some( point => point[ 0 ] == 40 && point[ 1 ] == 20 ) );
+	assert.ok( !result.some( point => point[ 0 ] == 40 && point[ 1 ] == 0 ) );
+	result.forEach( point => assert.ok( point[ 0 ] >= 0 && point[ 0 ] <= 80 && point[ 1 ] >= 0 && point[ 1 ] <= 40 ) );
+} );
+
+test( 'smoothedPoints (catmull-rom) runs through the points of the stroke', () => {
+	const { smoothedPoints } = plugin( 'catmull-rom' );
+	const points = [ [ 0, 0, 0 ], [ 40, 0, 5 ], [ 40, 40, 10 ], [ 80, 40, 15 ] ];
+	const result = copy( smoothedPoints( points ) );
+	assert.ok( result.length > points.length );
+	points.forEach( point => {
+		assert.ok( result.some( p => Math.abs( p[ 0 ] - point[ 0 ] ) < 1e-9 && Math.abs( p[ 1 ] - point[ 1 ] ) < 1e-9 ) );
+	} );
+} );
+
+test( 'recognizeShape recognizes lines, arrows and closed shapes', () => {
+	const { recognizeShape } = plugin();
+	assert.deepStrictEqual( copy( recognizeShape( stroke( [ [ 0, 0 ], [ 100, 50 ] ] ) ) ), { shape: 'line', x1: 0, y1: 0, x2: 100, y2: 50 } );
+	assert.deepStrictEqual( copy( recognizeShape( stroke( [ [ 0, 0 ], [ 200, 0 ], [ 180, -20 ], [ 200, 0 ], [ 180, 20 ] ] ) ) ), { shape: 'arrow', x1: 0, y1: 0, x2: 200, y2: 0 } );
+	assert.deepStrictEqual( copy( recognizeShape( stroke( [ [ 0, 0 ], [ 200, 0 ], [ 200, 100 ], [ 0, 100 ], [ 0, 0 ] ] ) ) ), { shape: 'rectangle', x1: 0, y1: 0, x2: 200, y2: 100 } );
+	assert.deepStrictEqual( copy( recognizeShape( stroke( [ [ 100, 0 ], [ 200, 150 ], [ 0, 150 ], [ 100, 0 ] ] ) ) ), { shape: 'triangle', x1: 0, y1: 0, x2: 200, y2: 150 } );
+	const circle = [];
+	for ( let i = 0; i <= 64; i++ ) {
+		circle.push( [ 100 + 50 * Math.cos( i * Math.PI / 32 ), 100 + 50 * Math.sin( i * Math.PI / 32 ) ] );
+	}
+	assert.deepStrictEqual( copy( recognizeShape( circle ) ), { shape: 'ellipse', x1: 50, y1: 50, x2: 150, y2: 150 } );
+} );
+
+test( 'recognizeShape ignores small and irregular strokes', () => {
+	const { recognizeShape } = plugin();
+	assert.strictEqual( recognizeShape( stroke( [ [ 0, 0 ], [ 20, 10 ] ] ) ), null );
+	assert.strictEqual( recognizeShape( stroke( [ [ 0, 0 ], [ 50, 100 ], [ 100, 0 ], [ 150, 100 ], [ 200, 0 ] ] ) ), null );
+} );
@@ -0,0 +1,58 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load } = require( './helpers/plugin' );
+
+function plugin( grid ) {
+	return load( [ 'gridTypes', 'textFont', 'boardGrid', 'drawGridType' ], {
+		grid,
+		gridStyle: { color: 'rgba(255,255,255,0.1)', distance: 80, width: 2 },
+		storage: [ {}, { width: 960, height: 700 } ]
+	} );
+}
+
+/**
+ * Returns a canvas context which records the lines drawn.
+ */
+function context() {
+	return {
+		lines: [],
+		save() {},
+		restore() {},
+		beginPath() {},
+		moveTo( x, y ) {
+			this.start = [ x, y, this.lineWidth ];
+		},
+		lineTo( x, y ) {
+			this.lines.push( this.start.concat( [ x, y ] ) );
+		},
+		stroke() {},
+		arc() {},
+		fill() {},
+		fillText() {}
+	};
+}
+
+test( 'boardGrid returns the grid selected for a board or the configured grid', () => {
+	const slideData = { boards: [ {}, { grid: 'dots' }, { grid: 'unknown' } ] };
+	assert.strictEqual( plugin( false ).boardGrid( slideData, 0 ), 'none' );
+	assert.strictEqual( plugin( false ).boardGrid( slideData, 1 ), 'dots' );
+	assert.strictEqual( plugin( {} ).boardGrid( slideData, 2 ), 'square' );
+	assert.strictEqual( plugin( { type: 'ruled' } ).boardGrid( undefined, 0 ), 'ruled' );
+} );
+
+test( 'drawGridType arranges the lines around the center of the slide', () => {
+	const ruled = context();
+	plugin( false ).drawGridType( ruled, 'ruled', 1, 0, 0, 960, 700 );
+	assert.deepStrictEqual( ruled.lines.map( line => line[ 1 ] ), [ 70, 150, 230, 310, 390, 470, 550, 630 ] );
+	assert.ok( ruled.lines.every( line => line[ 0 ] == 0 && line[ 2 ] == 2 && line[ 3 ] == 960 ) );
+
+	const graph = context();
+	plugin( false ).drawGridType( graph, 'graph', 0.5, 0, 0, 480, 350 );
+	const widths = graph.lines.filter( line => line[ 0 ] == line[ 3 ] ).map( line => line[ 2 ] );
+	assert.strictEqual( widths.length, 60 );
+	assert.strictEqual( widths.filter( width => width == 1 ).length, 12 );
+
+	const none = context();
+	plugin( false ).drawGridType( none, 'none', 1, 0, 0, 960, 700 );
+	assert.deepStrictEqual( none.lines, [] );
+} );
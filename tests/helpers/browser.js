@@ -0,0 +1,205 @@
+/**
+ * Runs the chalkboard plugin in a stub of the browser and of reveal.js. Elements of the
+ * stub accept any property and call, so that the plugin can be initialised without a DOM.
+ */
+const vm = require( 'vm' );
+const { source } = require( './plugin' );
+
+/**
+ * Returns a stub which returns itself for every property and call.
+ */
+function stub() {
+	const properties = {};
+	const proxy = new Proxy( function () {}, {
+		get( target, key ) {
+			if ( key in properties ) return properties[ key ];
+			if ( key == Symbol.toPrimitive ) return hint => ( hint == 'number' ) ? 0 : '';
+			if ( key == Symbol.iterator ) return [][ Symbol.iterator ];
+			if ( key == 'then' ) return undefined;
+			return proxy;
+		},
+		set( target, key, value ) {
+			properties[ key ] = value;
+			return true;
+		},
+		apply() {
+			return proxy;
+		},
+		construct() {
+			return proxy;
+		}
+	} );
+	return proxy;
+}
+
+/**
+ * Returns a storage like the local storage of the browser.
+ */
+function createStorage() {
+	const items = new Map();
+	return {
+		getItem: key => items.has( key ) ? items.get( key ) : null,
+		setItem: ( key, value ) => items.set( key, String( value ) ),
+		removeItem: key => items.delete( key )
+	};
+}
+
+/**
+ * Returns a request which calls back with the given result after the current task.
+ */
+function request( result ) {
+	const req = {};
+	Promise.resolve().then( () => {
+		req.result = result();
+		if ( req.onsuccess ) req.onsuccess();
+	} );
+	return req;
+}
+
+/**
+ * Returns an IndexedDB in memory with the object stores, indices and requests used by the plugin.
+ */
+function createIndexedDB() {
+	const databases = new Map();
+	const database = stores => ( {
+		createObjectStore( name, { keyPath } ) {
+			const store = { keyPath, records: new Map(), indices: {} };
+			stores.set( name, store );
+			return {
+				createIndex: ( index, path ) => store.indices[ index ] = path
+			};
+		},
+		transaction( name ) {
+			const store = stores.get( name );
+			const key = value => JSON.stringify( store.keyPath.map( path => value[ path ] ) );
+			return {
+				objectStore: () => ( {
+					get: id => request( () => store.records.get( JSON.stringify( id ) ) ),
+					put: value => request( () => store.records.set( key( value ), structuredClone( value ) ) ),
+					delete: id => request( () => store.records.delete( JSON.stringify( id ) ) ),
+					index: index => ( {
+						getAll: value => request( () => [ ...store.records.values() ].filter( record => record[ store.indices[ index ] ] === value ) )
+					} )
+				} )
+			};
+		}
+	} );
+	return {
+		open( name ) {
+			const req = {};
+			Promise.resolve().then( () => {
+				if ( !databases.has( name ) ) {
+					databases.set( name, new Map() );
+					req.result = database( databases.get( name ) );
+					if ( req.onupgradeneeded ) req.onupgradeneeded();
+				}
+				req.result = database( databases.get( name ) );
+				if ( req.onsuccess ) req.onsuccess();
+			} );
+			return req;
+		}
+	};
+}
+
+/**
+ * An image which is loaded as soon as its source is set.
+ */
+class LoadingImage {
+	get src() {
+		return this.url;
+	}
+
+	set src( url ) {
+		this.url = url;
+		Promise.resolve().then( () => this.onload && this.onload() );
+	}
+}
+
+/**
+ * Returns a factory of elements which keeps the listeners of the canvas containers and a function
+ * sending pointer events to the container of the notes canvas, whose listeners are added first.
+ */
+function notesPointer() {
+	const listeners = [];
+	return {
+		createElement( tag ) {
+			if ( tag != 'div' ) return null;
+			const element = stub();
+			element.addEventListener = ( type, listener ) => listeners.push( { type, listener } );
+			return element;
+		},
+		pointer: ( type, x, y, button = 0 ) => listeners.find( entry => entry.type == type ).listener( {
+			type,
+			pointerType: 'mouse',
+			pointerId: 1,
+			button,
+			pageX: x,
+			pageY: y,
+			target: { getAttribute: () => '0' },
+			preventDefault() {}
+		} )
+	};
+}
+
+/**
+ * Initialises the plugin for a presentation and returns the plugin. The options give the chalkboard
+ * options, the console, the local and session storage, the IndexedDB, the Image class and a factory of elements
+ * by tag name.
+ */
+function boot( options = {} ) {
+	const slide = { h: 0, v: 0, f: undefined };
+	const Reveal = {
+		getConfig: () => ( { width: 960, height: 700, chalkboard: options.chalkboard || {} } ),
+		addEventListener() {},
+		on() {},
+		addKeyBinding() {},
+		getIndices: () => slide,
+		getSlide: () => stub(),
+		getSlides: () => [],
+		getCurrentSlide: () => stub(),
+		getSlidesElement: () => stub(),
+		getTotalSlides: () => 1,
+		isAutoSliding: () => false,
+		isReady: () => false,
+		sync() {}
+	};
+	const document = stub();
+	document.createElement = tag => ( options.createElement && options.createElement( tag ) ) || stub();
+	const context = vm.createContext( {
+		console: options.console || console,
+		document,
+		navigator: { userAgent: '' },
+		location: { pathname: '/index.html', search: '', hash: '' },
+		localStorage: options.localStorage || createStorage(),
+		sessionStorage: options.sessionStorage || createStorage(),
+		indexedDB: options.indexedDB,
+		setTimeout: () => 0,
+		clearTimeout() {},
+		setInterval: () => 0,
+		clearInterval() {},
+		requestAnimationFrame: () => 0,
+		CustomEvent: function () {},
+		Image: options.Image || function () {},
+		XMLHttpRequest: function () {
+			return stub();
+		},
+		MutationObserver: function () {
+			return stub();
+		},
+		ResizeObserver: function () {
+			return stub();
+		},
+		getComputedStyle: () => stub(),
+		addEventListener() {},
+		removeEventListener() {},
+		devicePixelRatio: 1,
+		innerWidth: 960,
+		innerHeight: 700
+	} );
+	context.window = context;
+	vm.runInContext( source, context );
+	context.RevealChalkboard.init( Reveal );
+	return context.RevealChalkboard;
+}
+
+module.exports = { stub, boot, createStorage, createIndexedDB, notesPointer, LoadingImage };
@@ -0,0 +1,41 @@
+/**
+ * Loads functions and variables from the closure of the chalkboard plugin, so that
+ * the helpers which do not need a browser can be tested in Node.js.
+ */
+const fs = require( 'fs' );
+const path = require( 'path' );
+const vm = require( 'vm' );
+
+const source = fs.readFileSync( path.join( __dirname, '..', '..', '_extensions', 'chalkboard', 'plugin.js' ), 'utf8' );
+const lines = source.split( '\n' );
+
+/**
+ * Returns the source of a function or variable declared at the top level of the plugin closure.
+ */
+function declaration( name ) {
+	const pattern = new RegExp( '^\\t(function ' + name + '\\(|var ' + name + ' =)' );
+	const start = lines.findIndex( line => pattern.test( line ) );
+	if ( start < 0 ) throw new Error( 'No declaration of ' + name + ' in plugin.js' );
+	if ( /;( \/\/.*)?$/.test( lines[ start ] ) ) return lines[ start ];
+	// declarations spanning several lines end with a closing bracket at the same indentation
+	const end = lines.findIndex( ( line, i ) => i > start && /^\t[\]}]\)?;?$/.test( line ) );
+	return lines.slice( start, end + 1 ).join( '\n' );
+}
+
+/**
+ * Returns a context with the given declarations of the plugin evaluated next to the given globals.
+ */
+function load( names, globals ) {
+	const context = vm.createContext( Object.assign( { console }, globals ) );
+	vm.runInContext( names.map( declaration ).join( '\n' ), context );
+	return context;
+}
+
+/**
+ * Returns a copy of a value created in another context, so that it can be compared with deepStrictEqual.
+ */
+function copy( value ) {
+	return JSON.parse( JSON.stringify( value ) );
+}
+
+module.exports = { source, declaration, load, copy };
@@ -0,0 +1,25 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { boot, notesPointer } = require( './helpers/browser' );
+
+test( 'strokes of the highlighter are recorded as highlighter polylines without pressure', () => {
+	const { createElement, pointer } = notesPointer();
+	const plugin = boot( { createElement } );
+	plugin.selectTool( 'highlighter' );
+	pointer( 'pointerdown', 10, 100 );
+	pointer( 'pointermove', 50, 100 );
+	pointer( 'pointermove', 90, 120 );
+	pointer( 'pointerup', 90, 120 );
+	const events = JSON.parse( plugin.getData() )[ 0 ].data.flatMap( slide => slide.events );
+	assert.strictEqual( events.length, 1 );
+	assert.strictEqual( events[ 0 ].type, 'polyline' );
+	assert.strictEqual( events[ 0 ].highlighter, true );
+	assert.deepStrictEqual( events[ 0 ].points.map( point => point.length ), [ 3, 3, 3 ] );
+
+	plugin.selectTool( 'pen' );
+	pointer( 'pointerdown', 10, 200 );
+	pointer( 'pointermove', 50, 200 );
+	pointer( 'pointerup', 50, 200 );
+	const pen = JSON.parse( plugin.getData() )[ 0 ].data.flatMap( slide => slide.events ).pop();
+	assert.strictEqual( pen.highlighter, undefined );
+} );
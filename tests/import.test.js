@@ -0,0 +1,75 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+
+function plugin() {
+	return load( [ 'isNumber', 'selectable', 'undoable', 'transformEvent', 'mergeStorage', 'importedEvents', 'maxStroke', 'editedEvents', 'editedBy', 'editEvent', 'changedEvents', 'changedBoard', 'changedCount' ] );
+}
+
+function canvas( width, height, data ) {
+	return { width, height, data };
+}
+
+test( 'transformEvent scales and centers the coordinates of drawings of another size', () => {
+	const { transformEvent } = plugin();
+	const event = { type: 'text', time: 10, x: 100, y: 50, size: 20, color: 1, text: 'a' };
+	assert.strictEqual( transformEvent( event, 1, 0, 0 ), event );
+	assert.deepStrictEqual( copy( transformEvent( event, 0.5, 10, 20 ) ), { type: 'text', time: 10, x: 60, y: 45, size: 10, color: 1, text: 'a' } );
+	assert.deepStrictEqual( copy( transformEvent( { type: 'draw', x1: 0, y1: 0, x2: 10, y2: 10, width: 4 }, 2, 0, -5 ) ), { type: 'draw', x1: 0, y1: -5, x2: 20, y2: 15, width: 8 } );
+} );
+
+test( 'mergeStorage interleaves events of the same slide and adds other slides', () => {
+	const { mergeStorage } = plugin();
+	const target = [
+		canvas( 960, 700, [ { slide: { h: 0, v: 0 }, events: [ { type: 'erase', time: 0, x: 1, y: 1 }, { type: 'erase', time: 20, x: 2, y: 2 } ], duration: 21 } ] ),
+		canvas( 960, 700, [] )
+	];
+	const source = [
+		canvas( 1920, 1400, [ { slide: { h: 0, v: 0 }, events: [ { type: 'erase', time: 10, x: 100, y: 100 } ], duration: 30 } ] ),
+		canvas( 960, 700, [ { slide: { h: 1, v: 0 }, page: 1, events: [ { type: 'clear', time: 5 } ], duration: 6 } ] )
+	];
+	mergeStorage( target, source );
+	assert.deepStrictEqual( copy( target[ 0 ].data ), [ {
+		slide: { h: 0, v: 0 },
+		events: [ { type: 'erase', time: 0, x: 1, y: 1 }, { type: 'erase', time: 10, x: 50, y: 50 }, { type: 'erase', time: 20, x: 2, y: 2 } ],
+		duration: 30
+	} ] );
+	assert.deepStrictEqual( copy( target[ 1 ].data ), [ { slide: { h: 1, v: 0 }, page: 1, events: [ { type: 'clear', time: 5 } ], duration: 6 } ] );
+	// the imported drawings are not changed
+	assert.strictEqual( source[ 0 ].data[ 0 ].events[ 0 ].x, 100 );
+} );
+
+function line( stroke, board, time, color = 0 ) {
+	return { type: 'shape', time, stroke, board, shape: 'line', x1: 0, y1: 0, x2: 10, y2: 10, color };
+}
+
+test( 'mergeStorage numbers imported strokes above the strokes of the slide and applies imported changes of the boards', () => {
+	const { mergeStorage } = plugin();
+	const target = [
+		canvas( 960, 700, [] ),
+		canvas( 960, 700, [ { slide: { h: 0, v: 0 }, events: [ line( 1, 0, 0 ), line( 2, 0, 10 ) ], redo: [ { board: 0, events: [ line( 5, 0, 11 ) ] } ], duration: 12 } ] )
+	];
+	const source = [
+		canvas( 960, 700, [] ),
+		canvas( 960, 700, [ { slide: { h: 0, v: 0 }, events: [
+			line( 1, 0, 5 ),
+			line( 2, 1, 6 ),
+			{ type: 'edit', time: 7, stroke: 3, board: 0, action: 'color', strokes: [ 1 ], color: 2 },
+			{ type: 'boards', time: 8, board: 0, map: [ 1, 0 ] },
+			line( 4, 0, 9 ),
+			{ type: 'edit', time: 12, stroke: 6, board: 0, action: 'delete', strokes: [ 4 ] }
+		], duration: 13 } ] )
+	];
+	mergeStorage( target, source );
+	assert.deepStrictEqual( copy( target[ 1 ].data[ 0 ].events ), [
+		line( 1, 0, 0 ),
+		line( 6, 1, 5, 2 ),
+		line( 7, 0, 6 ),
+		line( 8, 0, 9 ),
+		line( 2, 0, 10 ),
+		{ type: 'edit', time: 12, stroke: 9, board: 0, action: 'delete', strokes: [ 8 ] }
+	] );
+	assert.strictEqual( target[ 1 ].data[ 0 ].duration, 13 );
+	// the imported drawings are not changed
+	assert.deepStrictEqual( source[ 1 ].data[ 0 ].events[ 0 ], line( 1, 0, 5 ) );
+} );
@@ -0,0 +1,49 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load } = require( './helpers/plugin' );
+const { boot, notesPointer } = require( './helpers/browser' );
+
+test( 'fading ink is opaque until the delay after its end and then fades out', () => {
+	const { inkOpacity } = load( [ 'fadingInk', 'inkOpacity' ] );
+	assert.strictEqual( inkOpacity( { end: null }, 10000 ), 1 );
+	assert.strictEqual( inkOpacity( { end: 1000 }, 4000 ), 1 );
+	assert.strictEqual( inkOpacity( { end: 1000 }, 4500 ), 0.5 );
+	assert.strictEqual( inkOpacity( { end: 1000 }, 6000 ), 0 );
+} );
+
+function notesEvents( plugin ) {
+	return JSON.parse( plugin.getData() )[ 0 ].data.flatMap( slide => slide.events );
+}
+
+test( 'the laser pointer is not recorded', () => {
+	const { createElement, pointer } = notesPointer();
+	const plugin = boot( { createElement } );
+	plugin.selectTool( 'laser' );
+	pointer( 'pointerdown', 10, 10 );
+	pointer( 'pointermove', 50, 10 );
+	pointer( 'pointerup', 50, 10 );
+	plugin.pinInk();
+	assert.deepStrictEqual( notesEvents( plugin ), [] );
+} );
+
+test( 'fading ink is not recorded until it is pinned', () => {
+	const { createElement, pointer } = notesPointer();
+	const plugin = boot( { createElement } );
+	plugin.selectTool( 'ink' );
+	pointer( 'pointerdown', 10, 100 );
+	pointer( 'pointermove', 50, 100 );
+	pointer( 'pointermove', 90, 120 );
+	pointer( 'pointerup', 90, 120 );
+	assert.deepStrictEqual( notesEvents( plugin ), [] );
+
+	plugin.pinInk();
+	const events = notesEvents( plugin );
+	assert.strictEqual( events.length, 1 );
+	assert.strictEqual( events[ 0 ].type, 'polyline' );
+	assert.deepStrictEqual( events[ 0 ].points.map( point => point.slice( 0, 2 ) ), [ [ 10, 100 ], [ 50, 100 ], [ 90, 120 ] ] );
+
+	// pinned ink is undone like any other stroke and not pinned again
+	plugin.undo();
+	plugin.pinInk();
+	assert.deepStrictEqual( notesEvents( plugin ), [] );
+} );
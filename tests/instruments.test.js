@@ -0,0 +1,132 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+
+/**
+ * Returns the instrument functions with the given instrument on the notes canvas.
+ */
+function plugin( entry ) {
+	return load( [ 'instrumentUnit', 'instrumentSnap', 'rulerDepth', 'toInstrument', 'fromInstrument', 'instrumentGuide', 'followGuide', 'snapAngle', 'dragInstrument' ], {
+		mode: 0,
+		drawingCanvas: [ { scale: 1 } ],
+		instrument: [ entry, null ],
+		guide: null,
+		instrumentDrag: null,
+		drawInstrument() {},
+		broadcastInstrument() {}
+	} );
+}
+
+function assertNear( actual, expected ) {
+	assert.ok( Math.abs( actual - expected ) < 1e-9, actual + ' is not ' + expected );
+}
+
+function assertPoint( actual, expected ) {
+	assert.ok( Math.abs( actual[ 0 ] - expected[ 0 ] ) < 1e-9 && Math.abs( actual[ 1 ] - expected[ 1 ] ) < 1e-9, JSON.stringify( actual ) + ' is not ' + JSON.stringify( expected ) );
+}
+
+test( 'instrumentGuide snaps to the nearer edge of the ruler and not beyond its ends', () => {
+	const ruler = { type: 'ruler', x: 100, y: 100, angle: 0, size: 600 };
+	const { instrumentGuide } = plugin( ruler );
+	assert.deepStrictEqual( copy( instrumentGuide( 300, 110 ) ), { distance: 10, line: 0, from: 0, to: 600, instrument: ruler, position: 200 } );
+	assert.strictEqual( instrumentGuide( 300, 175 ).line, 80 );
+	assert.strictEqual( instrumentGuide( 90, 105 ).position, 0 );
+	assert.strictEqual( instrumentGuide( 300, 140 ), null );
+	assert.strictEqual( instrumentGuide( 750, 100 ), null );
+} );
+
+test( 'instrumentGuide follows the edges of a rotated ruler', () => {
+	const { instrumentGuide } = plugin( { type: 'ruler', x: 100, y: 100, angle: Math.PI / 2, size: 600 } );
+	const guide = instrumentGuide( 95, 300 );
+	assert.strictEqual( guide.line, 0 );
+	assertNear( guide.position, 200 );
+} );
+
+test( 'instrumentGuide snaps to the baseline and arc of the protractor and keeps the pen on the arc', () => {
+	const { instrumentGuide } = plugin( { type: 'protractor', x: 400, y: 400, angle: 0, size: 200 } );
+	const baseline = instrumentGuide( 500, 405 );
+	assert.deepStrictEqual( [ baseline.line, baseline.from, baseline.to, baseline.position ], [ 0, -200, 200, 100 ] );
+	const arc = instrumentGuide( 400, 195 );
+	assert.deepStrictEqual( [ arc.radius, arc.from, arc.to, arc.angle ], [ 200, -Math.PI, 0, -Math.PI / 2 ] );
+	// below the baseline the pen stays at the nearer end of the arc
+	assert.strictEqual( instrumentGuide( 605, 410 ).angle, 0 );
+	assert.strictEqual( instrumentGuide( 195, 410 ).angle, -Math.PI );
+	assert.strictEqual( instrumentGuide( 400, 300 ), null );
+} );
+
+test( 'instrumentGuide snaps to the circle of the compass', () => {
+	const { instrumentGuide } = plugin( { type: 'compass', x: 400, y: 400, angle: 0, size: 120 } );
+	const guide = instrumentGuide( 400, 525 );
+	assert.deepStrictEqual( [ guide.radius, guide.angle, guide.from, guide.to ], [ 120, Math.PI / 2, Math.PI / 2 - 2 * Math.PI, Math.PI / 2 + 2 * Math.PI ] );
+	assert.strictEqual( instrumentGuide( 400, 450 ), null );
+} );
+
+test( 'followGuide moves the pen along the ruler up to its end', () => {
+	const context = plugin( { type: 'ruler', x: 100, y: 100, angle: 0, size: 600 } );
+	context.guide = context.instrumentGuide( 300, 110 );
+	assert.deepStrictEqual( copy( context.followGuide( 400, 130 ) ), [ [ 400, 100 ] ] );
+	assert.deepStrictEqual( copy( context.followGuide( 800, 130 ) ), [ [ 700, 100 ] ] );
+	assert.deepStrictEqual( copy( context.followGuide( 750, 90 ) ), [] );
+} );
+
+test( 'followGuide draws the arc of the protractor in steps up to its end', () => {
+	const context = plugin( { type: 'protractor', x: 400, y: 400, angle: 0, size: 200 } );
+	context.guide = context.instrumentGuide( 400, 195 );
+	const points = context.followGuide( 700, 450 );
+	assert.strictEqual( points.length, 18 );
+	assertPoint( points[ 8 ], [ 400 + 200 * Math.cos( -Math.PI / 4 ), 400 + 200 * Math.sin( -Math.PI / 4 ) ] );
+	assertPoint( points[ 17 ], [ 600, 400 ] );
+	assert.strictEqual( context.guide.angle, 0 );
+} );
+
+test( 'followGuide draws at most a full circle in each direction with the compass', () => {
+	const context = plugin( { type: 'compass', x: 400, y: 400, angle: 0, size: 120 } );
+	context.guide = context.instrumentGuide( 400, 525 );
+	const quarter = k => {
+		const angle = Math.PI / 2 + k * Math.PI / 2;
+		return context.followGuide( 400 + 120 * Math.cos( angle ), 400 + 120 * Math.sin( angle ) );
+	};
+	let points = [];
+	for ( let k = 1; k <= 8; k++ ) {
+		points = points.concat( quarter( k ) );
+	}
+	assertNear( context.guide.angle, Math.PI / 2 + 2 * Math.PI );
+	assertPoint( points[ points.length - 1 ], [ 400, 520 ] );
+	points.forEach( point => assertNear( Math.hypot( point[ 0 ] - 400, point[ 1 ] - 400 ), 120 ) );
+	// the pen stops after two turns
+	quarter( 9 ).forEach( point => assertPoint( point, [ 400, 520 ] ) );
+	assertNear( context.guide.angle, Math.PI / 2 + 2 * Math.PI );
+	// the pen can go back all the way to the other end
+	for ( let k = 7; k >= -12; k-- ) {
+		quarter( k );
+	}
+	assertNear( context.guide.angle, Math.PI / 2 - 2 * Math.PI );
+} );
+
+test( 'dragInstrument moves and rotates the instrument in steps of a degree or 15 degrees', () => {
+	const ruler = { type: 'ruler', x: 100, y: 100, angle: 0, size: 600 };
+	const context = plugin( ruler );
+	context.instrumentDrag = { part: 'move', x: 0, y: 0 };
+	context.dragInstrument( 10, 5 );
+	assert.deepStrictEqual( [ ruler.x, ruler.y ], [ 110, 105 ] );
+
+	// the handle is off the edge of the ruler, its direction is kept relative to the edge
+	const offset = Math.atan2( 40, 560 );
+	const handle = degrees => [ 110 + 300 * Math.cos( offset + degrees * Math.PI / 180 ), 105 + 300 * Math.sin( offset + degrees * Math.PI / 180 ) ];
+	context.instrumentDrag = { part: 'rotate', x: 0, y: 0 };
+	context.dragInstrument( ...handle( 37.3 ) );
+	assertNear( ruler.angle, 37 * Math.PI / 180 );
+	context.dragInstrument( ...handle( 37.3 ), true );
+	assertNear( ruler.angle, 30 * Math.PI / 180 );
+	assert.deepStrictEqual( [ ruler.x, ruler.y ], [ 110, 105 ] );
+} );
+
+test( 'dragInstrument sets the radius of the compass in tenths of a unit', () => {
+	const compass = { type: 'compass', x: 400, y: 400, angle: 0, size: 120 };
+	const context = plugin( compass );
+	context.instrumentDrag = { part: 'radius', x: 520, y: 400 };
+	context.dragInstrument( 400, 503 );
+	assert.deepStrictEqual( [ compass.size, compass.angle ], [ 104, Math.PI / 2 ] );
+	context.dragInstrument( 401, 400 );
+	assert.deepStrictEqual( [ compass.size, compass.angle ], [ 4, 0 ] );
+} );
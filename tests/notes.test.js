@@ -0,0 +1,101 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { stub, boot, createStorage, notesPointer } = require( './helpers/browser' );
+
+function note( stroke, x, y, color ) {
+	return { type: 'note', time: 0, stroke, x, y, width: 100, height: 100, size: 16, color, text: 'note ' + stroke };
+}
+
+test( 'clusterNotes records the moves of all notes as one stroke which is undone at once', () => {
+	const sessionStorage = createStorage();
+	const events = [ note( 1, 300, 300, 1 ), note( 2, 0, 0, 0 ), note( 3, 500, 100, 0 ) ];
+	sessionStorage.setItem( 'drawings', JSON.stringify( [
+		{ version: 4, width: 960, height: 700, data: [ { slide: { h: 0, v: 0 }, events, duration: 0 } ] },
+		{ version: 4, width: 960, height: 700, data: [] }
+	] ) );
+	const plugin = boot( { sessionStorage, chalkboard: { storage: 'drawings' } } );
+	plugin.clusterNotes();
+	const edits = JSON.parse( plugin.getData() )[ 0 ].data[ 0 ].events.filter( event => event.type == 'edit' );
+	assert.deepStrictEqual( edits.map( event => [ event.action, event.strokes, event.dx, event.dy ] ), [
+		[ 'move', [ 3 ], -390, -100 ],
+		[ 'move', [ 1 ], -60, -300 ]
+	] );
+	assert.strictEqual( edits[ 0 ].stroke, edits[ 1 ].stroke );
+
+	plugin.undo();
+	assert.deepStrictEqual( JSON.parse( plugin.getData() )[ 0 ].data[ 0 ].events, events );
+} );
+
+/**
+ * Returns the plugin with the given events on the notes canvas, a function to send pointer events to the
+ * notes canvas and the textareas and focusout listeners of the note editors.
+ */
+function notesCanvas( events ) {
+	const sessionStorage = createStorage();
+	sessionStorage.setItem( 'drawings', JSON.stringify( [
+		{ version: 4, width: 960, height: 700, data: [ { slide: { h: 0, v: 0 }, events, duration: 0 } ] },
+		{ version: 4, width: 960, height: 700, data: [] }
+	] ) );
+	const { createElement, pointer } = notesPointer();
+	const textareas = [];
+	const closers = [];
+	const plugin = boot( {
+		sessionStorage,
+		chalkboard: { storage: 'drawings' },
+		createElement( tag ) {
+			if ( tag == 'textarea' ) {
+				textareas.push( stub() );
+				return textareas[ textareas.length - 1 ];
+			}
+			const element = createElement( tag );
+			if ( element ) {
+				const add = element.addEventListener;
+				element.addEventListener = ( type, listener ) => type == 'focusout' ? closers.push( listener ) : add( type, listener );
+				element.contains = () => false;
+			}
+			return element;
+		}
+	} );
+	return { plugin, pointer, textareas, closers };
+}
+
+function slideEvents( plugin ) {
+	return JSON.parse( plugin.getData() )[ 0 ].data[ 0 ].events;
+}
+
+test( 'changes of a recorded note are recorded as an edit which is undone', () => {
+	const events = [ note( 1, 100, 100, 0 ) ];
+	const { plugin, pointer, textareas, closers } = notesCanvas( events );
+	plugin.selectTool( 'note' );
+	pointer( 'pointerdown', 150, 150 );
+	pointer( 'pointerup', 150, 150 );
+	assert.strictEqual( textareas.length, 1 );
+	assert.strictEqual( textareas[ 0 ].value, 'note 1' );
+	// the recorded note is kept while it is edited
+	assert.deepStrictEqual( slideEvents( plugin ), events );
+
+	textareas[ 0 ].value = 'changed note\n';
+	closers[ 0 ]( { relatedTarget: null } );
+	const recorded = slideEvents( plugin );
+	assert.deepStrictEqual( recorded[ 0 ], events[ 0 ] );
+	assert.deepStrictEqual( recorded.slice( 1 ).map( event => [ event.type, event.action, event.strokes, event.text, event.size ] ), [ [ 'edit', 'text', [ 1 ], 'changed note', 16 ] ] );
+
+	plugin.undo();
+	assert.deepStrictEqual( slideEvents( plugin ), events );
+} );
+
+test( 'emptied notes are deleted and unchanged notes are not edited', () => {
+	const events = [ note( 1, 100, 100, 0 ) ];
+	const { plugin, pointer, textareas, closers } = notesCanvas( events );
+	plugin.selectTool( 'note' );
+	pointer( 'pointerdown', 150, 150 );
+	pointer( 'pointerup', 150, 150 );
+	closers[ 0 ]( { relatedTarget: null } );
+	assert.deepStrictEqual( slideEvents( plugin ), events );
+
+	pointer( 'pointerdown', 150, 150 );
+	pointer( 'pointerup', 150, 150 );
+	textareas[ 1 ].value = ' ';
+	closers[ 1 ]( { relatedTarget: null } );
+	assert.deepStrictEqual( slideEvents( plugin ).slice( 1 ).map( event => [ event.action, event.strokes ] ), [ [ 'delete', [ 1 ] ] ] );
+} );
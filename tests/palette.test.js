@@ -0,0 +1,42 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { boot, createStorage } = require( './helpers/browser' );
+
+function palette( plugin ) {
+	return JSON.parse( JSON.stringify( plugin.getPalette() ) );
+}
+
+test( 'a saved palette is restored when the plugin is initialised again', () => {
+	const localStorage = createStorage();
+	const palette = {
+		boardmarkers: [ 'rgba(0,0,0,1)', 'rgba(0,0,255,1)' ],
+		chalks: [ 'rgba(255,255,255,0.5)' ],
+		boardmarkerWidths: [ 2, 4 ],
+		chalkWidths: [ 5, 9 ]
+	};
+	boot( { localStorage } ).setPalette( palette );
+	assert.ok( localStorage.getItem( 'reveal-chalkboard-palette' ) );
+
+	const warnings = [];
+	const plugin = boot( { localStorage, console: { log() {}, warn: ( ...args ) => warnings.push( args ) } } );
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( plugin.getPalette() ) ), palette );
+	assert.deepStrictEqual( warnings, [] );
+} );
+
+test( 'invalid colors and widths of a palette are ignored', () => {
+	const plugin = boot();
+	const defaults = palette( plugin );
+	plugin.setPalette( { boardmarkers: [ 'rgba(0,0,0,1)', 3 ], chalks: [], boardmarkerWidths: [ 2, 4 ], chalkWidths: [ 5, -1 ] } );
+	assert.deepStrictEqual( palette( plugin ), { ...defaults, boardmarkerWidths: [ 2, 4 ] } );
+	plugin.setPalette( 'red' );
+	assert.deepStrictEqual( palette( plugin ), { ...defaults, boardmarkerWidths: [ 2, 4 ] } );
+} );
+
+test( 'the palette is not remembered without palette storage', () => {
+	const localStorage = createStorage();
+	const chalkboard = { paletteStorage: false };
+	const plugin = boot( { localStorage, chalkboard } );
+	const defaults = palette( plugin );
+	plugin.setPalette( { boardmarkers: [ 'rgba(0,0,0,1)' ] } );
+	assert.deepStrictEqual( palette( boot( { localStorage, chalkboard } ) ), defaults );
+} );
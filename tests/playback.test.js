@@ -0,0 +1,30 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+
+test( 'strokeEnds returns the times at which the strokes of both canvases are completed', () => {
+	const events = [
+		[
+			{ type: 'polyline', time: 100, stroke: 1, points: [ [ 0, 0, 0 ], [ 10, 10, 250 ] ] },
+			{ type: 'erase', time: 400, stroke: 2, x: 0, y: 0 },
+			{ type: 'erase', time: 420, stroke: 2, x: 5, y: 0 },
+			{ type: 'open', time: 500 }
+		],
+		[
+			{ type: 'text', time: 600, x: 0, y: 0, size: 20, color: 0, text: 'a' },
+			{ type: 'clear', time: 50 }
+		]
+	];
+	const { strokeEnds } = load( [ 'undoable', 'strokeEnds' ], {
+		slideIndices: { h: 0, v: 0 },
+		getSlideData: ( indices, id ) => ( { events: events[ id ] } )
+	} );
+	assert.deepStrictEqual( copy( strokeEnds() ), [ 50, 350, 420, 600 ] );
+} );
+
+test( 'formatTime shows minutes and seconds', () => {
+	const { formatTime } = load( [ 'formatTime' ] );
+	assert.strictEqual( formatTime( 0 ), '0:00' );
+	assert.strictEqual( formatTime( 65999 ), '1:05' );
+	assert.strictEqual( formatTime( 600000 ), '10:00' );
+} );
@@ -0,0 +1,39 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load } = require( './helpers/plugin' );
+
+function plugin( mode ) {
+	const context = load( [ 'boardmarkerWidth', 'chalkWidth', 'penTimeout', 'drawWithBoardmarker', 'drawWithChalk', 'defaultWidth', 'isPalm', 'pressureWidth' ], { mode, lastPenEvent: 0, strokeWidth: [ null, null ] } );
+	context.draw = [ context.drawWithBoardmarker, context.drawWithChalk ];
+	return context;
+}
+
+test( 'pressureWidth scales the pen width with the pressure of a pen', () => {
+	const notes = plugin( 0 );
+	assert.strictEqual( notes.pressureWidth( { pointerType: 'pen', pressure: 0.5 } ), 3 );
+	assert.strictEqual( notes.pressureWidth( { pointerType: 'pen', pressure: 1 } ), 5.3 );
+	assert.strictEqual( notes.pressureWidth( { pointerType: 'pen', pressure: 0 } ), undefined );
+	assert.strictEqual( notes.pressureWidth( { pointerType: 'mouse', pressure: 0.5 } ), undefined );
+	assert.strictEqual( plugin( 1 ).pressureWidth( { pointerType: 'pen', pressure: 0.1 } ), 2.8 );
+} );
+
+test( 'isPalm rejects touches shortly after the pen was used', () => {
+	const context = plugin( 0 );
+	context.lastPenEvent = Date.now();
+	assert.strictEqual( context.isPalm( { pointerType: 'touch' } ), true );
+	assert.strictEqual( context.isPalm( { pointerType: 'mouse' } ), false );
+	context.lastPenEvent = Date.now() - 1000;
+	assert.strictEqual( context.isPalm( { pointerType: 'touch' } ), false );
+} );
+
+test( 'drawWithBoardmarker draws with the given width or the default width', () => {
+	const context = plugin( 0 );
+	context.color = [ 0 ];
+	context.boardmarkers = [ { color: 'rgba(0,0,0,1)' } ];
+	const canvas = { beginPath() {}, moveTo() {}, lineTo() {}, stroke() {} };
+	context.drawWithBoardmarker( canvas, 0, 0, 10, 10, 0, 4.5 );
+	assert.strictEqual( canvas.lineWidth, 4.5 );
+	context.drawWithBoardmarker( canvas, 0, 0, 10, 10 );
+	assert.strictEqual( canvas.lineWidth, 3 );
+	assert.strictEqual( canvas.strokeStyle, 'rgba(0,0,0,1)' );
+} );
@@ -0,0 +1,53 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { boot, createStorage, createIndexedDB } = require( './helpers/browser' );
+
+const quiet = { log() {}, warn() {} };
+
+/**
+ * Waits until the pending requests of the IndexedDB have called back.
+ */
+function settled() {
+	return new Promise( resolve => setImmediate( resolve ) );
+}
+
+function events( plugin ) {
+	return JSON.parse( plugin.getData() ).map( canvas => canvas.data.map( slide => slide.events.map( event => event.type ) ) );
+}
+
+test( 'drawings are saved in the current session and loaded when switching back', async () => {
+	const indexedDB = createIndexedDB();
+	const localStorage = createStorage();
+	const plugin = boot( { indexedDB, localStorage, chalkboard: { sessions: true }, console: quiet } );
+	await settled();
+	plugin.clear();
+	plugin.updateStorage();
+	await settled();
+	assert.deepStrictEqual( events( plugin ), [ [ [ 'clear' ] ], [] ] );
+
+	plugin.switchSession( 'lecture' );
+	await settled();
+	assert.deepStrictEqual( events( plugin ), [ [], [] ] );
+	assert.strictEqual( localStorage.getItem( 'reveal-chalkboard:/index.html' ), 'lecture' );
+
+	const reloaded = boot( { indexedDB, localStorage, chalkboard: { sessions: true }, console: quiet } );
+	await settled();
+	assert.deepStrictEqual( events( reloaded ), [ [], [] ] );
+	reloaded.switchSession( 'default' );
+	await settled();
+	assert.deepStrictEqual( events( reloaded ), [ [ [ 'clear' ] ], [] ] );
+} );
+
+test( 'sessions are disabled by default', async () => {
+	const indexedDB = createIndexedDB();
+	const warnings = [];
+	const plugin = boot( { indexedDB, console: { log() {}, warn: message => warnings.push( message ) } } );
+	await settled();
+	plugin.clear();
+	plugin.updateStorage();
+	plugin.switchSession( 'lecture' );
+	await settled();
+	assert.deepStrictEqual( events( plugin ), [ [ [ 'clear' ] ], [] ] );
+	plugin.manageSessions();
+	assert.deepStrictEqual( warnings, [ 'Chalkboard sessions are disabled!' ] );
+} );
@@ -0,0 +1,40 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+
+const { shapeLines } = load( [ 'shapeLines' ] );
+
+test( 'shapeLines outlines lines and rectangles between the corners', () => {
+	assert.deepStrictEqual( copy( shapeLines( 'line', 10, 20, 30, 40 ) ), [ [ [ 10, 20 ], [ 30, 40 ] ] ] );
+	assert.deepStrictEqual( copy( shapeLines( 'rectangle', 10, 20, 30, 40 ) ), [ [ [ 10, 20 ], [ 30, 20 ], [ 30, 40 ], [ 10, 40 ], [ 10, 20 ] ] ] );
+	assert.deepStrictEqual( copy( shapeLines( 'pen', 10, 20, 30, 40 ) ), [] );
+} );
+
+test( 'shapeLines adds a head at the end of an arrow', () => {
+	const [ shaft, head ] = shapeLines( 'arrow', 0, 0, 90, 0 );
+	assert.deepStrictEqual( copy( shaft ), [ [ 0, 0 ], [ 90, 0 ] ] );
+	assert.deepStrictEqual( copy( head[ 1 ] ), [ 90, 0 ] );
+	// the sides of the head are 20 pixels long and 30 degrees off the shaft
+	for ( const [ x, y ] of [ head[ 0 ], head[ 2 ] ] ) {
+		assert.ok( Math.abs( Math.hypot( 90 - x, y ) - 20 ) < 1e-9 );
+		assert.ok( Math.abs( Math.abs( Math.atan2( y, 90 - x ) ) - Math.PI / 6 ) < 1e-9 );
+	}
+	// heads of short arrows are a third of the shaft
+	const short = shapeLines( 'arrow', 0, 0, 30, 0 )[ 1 ];
+	assert.ok( Math.abs( Math.hypot( 30 - short[ 0 ][ 0 ], short[ 0 ][ 1 ] ) - 10 ) < 1e-9 );
+} );
+
+test( 'shapeLines closes an ellipse inside the corners', () => {
+	const [ points ] = shapeLines( 'ellipse', 40, 20, 0, 0 );
+	assert.strictEqual( points.length, 65 );
+	assert.deepStrictEqual( copy( points[ 0 ] ), [ 40, 10 ] );
+	assert.ok( Math.hypot( points[ 64 ][ 0 ] - 40, points[ 64 ][ 1 ] - 10 ) < 1e-9 );
+	for ( const [ x, y ] of points ) {
+		assert.ok( Math.abs( Math.pow( ( x - 20 ) / 20, 2 ) + Math.pow( ( y - 10 ) / 10, 2 ) - 1 ) < 1e-9 );
+	}
+} );
+
+test( 'shapeLines centers the apex of a triangle above or below its base', () => {
+	assert.deepStrictEqual( copy( shapeLines( 'triangle', 10, 20, 30, 40 ) ), [ [ [ 20, 20 ], [ 30, 40 ], [ 10, 40 ], [ 20, 20 ] ] ] );
+	assert.deepStrictEqual( copy( shapeLines( 'triangle', 10, 40, 30, 20 ) ), [ [ [ 20, 40 ], [ 30, 20 ], [ 10, 20 ], [ 20, 40 ] ] ] );
+} );
@@ -0,0 +1,43 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+
+test( 'stampName turns the file name of a stamp into a readable name', () => {
+	const { stampName } = load( [ 'stampName' ] );
+	assert.strictEqual( stampName( 'images/icons/light-bulb_on.svg' ), 'light bulb on' );
+	assert.strictEqual( stampName( 'https://example.org/icons/caf%C3%A9.png' ), 'café' );
+} );
+
+test( 'loadStampList resolves the names in the JSON file relative to it and keeps the list', async () => {
+	const requests = [];
+	const context = load( [ 'stampList', 'loadStampList' ], {
+		stamps: 'images/icons/index.json',
+		fetch: url => {
+			requests.push( url );
+			return Promise.resolve( { ok: true, json: () => [ 'a.svg', 3, '/b.svg', 'https://example.org/c.svg' ] } );
+		}
+	} );
+	const list = await new Promise( resolve => context.loadStampList( resolve ) );
+	assert.deepStrictEqual( copy( list ), [ 'images/icons/a.svg', '/b.svg', 'https://example.org/c.svg' ] );
+	await new Promise( resolve => context.loadStampList( resolve ) );
+	assert.deepStrictEqual( requests, [ 'images/icons/index.json' ] );
+} );
+
+test( 'loadStampList offers no stamps if the JSON file cannot be loaded', async () => {
+	const warnings = [];
+	const context = load( [ 'stampList', 'loadStampList' ], {
+		console: { warn: message => warnings.push( message ) },
+		stamps: 'icons.json',
+		fetch: () => Promise.resolve( { ok: false, status: 404, statusText: 'Not Found' } )
+	} );
+	const list = await new Promise( resolve => context.loadStampList( resolve ) );
+	assert.deepStrictEqual( copy( list ), [] );
+	assert.deepStrictEqual( warnings, [ 'Cannot load list of stamps from icons.json!' ] );
+} );
+
+test( 'loadStampList uses the urls given as list', () => {
+	const { loadStampList } = load( [ 'stampList', 'loadStampList' ], { stamps: [ 'a.svg' ] } );
+	let list = null;
+	loadStampList( result => list = result );
+	assert.deepStrictEqual( copy( list ), [ 'a.svg' ] );
+} );
@@ -0,0 +1,190 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+const { boot, createStorage } = require( './helpers/browser' );
+
+const Reveal = { getConfig: () => ( { width: 960, height: 700 } ) };
+
+function plugin() {
+	return load( [ 'storageVersion', 'eventFields', 'editFields', 'selectable', 'shapes', 'simplify', 'migrations', 'joinSegments', 'migrateStorage', 'slideName', 'isNumber', 'validateEvent', 'emptyStorage', 'validateStorage', 'polylinePoint', 'simplifyPoints' ], { Reveal } );
+}
+
+test( 'validateEvent accepts valid events', () => {
+	const { validateEvent } = plugin();
+	assert.strictEqual( validateEvent( { type: 'draw', time: 0, x1: 0, y1: 0, x2: 1, y2: 1, color: 0 } ), null );
+	assert.strictEqual( validateEvent( { type: 'polyline', time: 0, color: 1, points: [ [ 0, 0, 0 ], [ 1, 1, 10, 2 ] ] } ), null );
+	assert.strictEqual( validateEvent( { type: 'shape', time: 0, shape: 'ellipse', x1: 0, y1: 0, x2: 1, y2: 1, color: 0 } ), null );
+	assert.strictEqual( validateEvent( { type: 'text', time: 0, x: 0, y: 0, size: 20, color: 0, text: 'a' } ), null );
+	assert.strictEqual( validateEvent( { type: 'selectboard', time: 0, board: 1 } ), null );
+	assert.strictEqual( validateEvent( { type: 'edit', time: 0, action: 'move', strokes: [ 1 ], dx: 1, dy: 2 } ), null );
+	assert.strictEqual( validateEvent( { type: 'edit', time: 0, action: 'text', strokes: [ 1 ], text: 'b', size: 32 } ), null );
+} );
+
+test( 'validateEvent reports invalid events', () => {
+	const { validateEvent } = plugin();
+	assert.strictEqual( validateEvent( null ), 'is not an object' );
+	assert.strictEqual( validateEvent( { type: 'scribble', time: 0 } ), 'has unknown type "scribble"' );
+	assert.strictEqual( validateEvent( { type: 'erase', x: 0, y: 0 } ), '(erase) has no valid time' );
+	assert.strictEqual( validateEvent( { type: 'draw', time: 0, x1: 0, y1: 0, x2: 1, y2: '1', color: 0 } ), '(draw) has no valid "y2"' );
+	assert.strictEqual( validateEvent( { type: 'shape', time: 0, shape: 'star', x1: 0, y1: 0, x2: 1, y2: 1, color: 0 } ), 'has unknown shape "star"' );
+	assert.strictEqual( validateEvent( { type: 'text', time: 0, x: 0, y: 0, size: 20, color: 0 } ), '(text) has no text' );
+	assert.strictEqual( validateEvent( { type: 'polyline', time: 0, color: 0, points: [ [ 0, 0 ] ] } ), '(polyline) has no valid points' );
+	assert.strictEqual( validateEvent( { type: 'edit', time: 0, action: 'move', strokes: [ 1 ], dx: 1 } ), '(edit) has no valid action, strokes or values' );
+	assert.strictEqual( validateEvent( { type: 'edit', time: 0, action: 'text', strokes: [ 1 ], size: 32 } ), '(edit) has no text' );
+} );
+
+test( 'migrateStorage adds the color of setcolor events, joins segments and adds the missing chalkboard', () => {
+	const { migrateStorage, storageVersion } = plugin();
+	const errors = [];
+	const data = migrateStorage( {
+		width: 960,
+		height: 700,
+		data: [ {
+			slide: { h: 0, v: 0 },
+			events: [
+				{ type: 'draw', time: 0, x1: 0, y1: 0, x2: 5, y2: 0 },
+				{ type: 'setcolor', time: 5, index: 2 },
+				{ type: 'draw', time: 10, x1: 5, y1: 0, x2: 10, y2: 0 }
+			]
+		} ]
+	}, errors );
+	assert.deepStrictEqual( errors, [] );
+	assert.strictEqual( data.length, 2 );
+	assert.strictEqual( data[ 0 ].version, storageVersion );
+	assert.deepStrictEqual( copy( data[ 0 ].data[ 0 ].events ), [
+		{ type: 'polyline', time: 0, color: 0, points: [ [ 0, 0, 0 ], [ 5, 0, 0 ] ], stroke: 1 },
+		{ type: 'polyline', time: 10, color: 2, points: [ [ 5, 0, 0 ], [ 10, 0, 0 ] ], stroke: 2 }
+	] );
+	assert.deepStrictEqual( copy( data[ 1 ] ), { width: 960, height: 700, data: [], version: storageVersion } );
+} );
+
+test( 'migrateStorage does not join segments drawn before and after an erase', () => {
+	const { migrateStorage } = plugin();
+	const data = migrateStorage( [
+		{ version: 2, width: 960, height: 700, data: [ {
+			slide: { h: 0, v: 0 },
+			events: [
+				{ type: 'draw', time: 10, x1: 0, y1: 0, x2: 10, y2: 0, color: 0 },
+				{ type: 'erase', time: 15, x: 5, y: 0 },
+				{ type: 'draw', time: 20, x1: 10, y1: 0, x2: 20, y2: 0, color: 0 }
+			]
+		} ] },
+		{ version: 2, width: 960, height: 700, data: [] }
+	], [] );
+	assert.deepStrictEqual( copy( data[ 0 ].data[ 0 ].events ), [
+		{ type: 'polyline', time: 10, color: 0, points: [ [ 0, 0, 0 ], [ 10, 0, 0 ] ], stroke: 1 },
+		{ type: 'erase', time: 15, x: 5, y: 0 },
+		{ type: 'polyline', time: 20, color: 0, points: [ [ 10, 0, 0 ], [ 20, 0, 0 ] ], stroke: 2 }
+	] );
+} );
+
+test( 'migrateStorage numbers strokes without identifier within their slide', () => {
+	const { migrateStorage } = plugin();
+	const text = { type: 'text', time: 0, x: 0, y: 0, size: 20, color: 0, text: 'a' };
+	const data = migrateStorage( [
+		{ version: 3, width: 960, height: 700, data: [ {
+			slide: { h: 0, v: 0 },
+			events: [ text, { type: 'erase', time: 1, x: 0, y: 0 }, Object.assign( {}, text, { time: 2, stroke: 1234 } ) ],
+			redo: [ { events: [ Object.assign( {}, text, { time: 3 } ) ] } ]
+		} ] },
+		{ version: 3, width: 960, height: 700, data: [ { slide: { h: 0, v: 0 }, events: [ Object.assign( {}, text, { board: 1 } ) ] } ] }
+	], [] );
+	assert.deepStrictEqual( data[ 0 ].data[ 0 ].events.map( event => event.stroke ), [ 1, undefined, 1234 ] );
+	assert.strictEqual( data[ 0 ].data[ 0 ].redo[ 0 ].events[ 0 ].stroke, 2 );
+	assert.strictEqual( data[ 1 ].data[ 0 ].events[ 0 ].stroke, 1 );
+} );
+
+test( 'migrateStorage reports drawings without canvases and newer versions', () => {
+	const { migrateStorage, storageVersion } = plugin();
+	const errors = [];
+	assert.strictEqual( migrateStorage( [], errors ), null );
+	assert.strictEqual( errors.length, 1 );
+	migrateStorage( [ { version: storageVersion + 1, data: [] }, { data: [] } ], errors );
+	assert.strictEqual( errors.length, 2 );
+	assert.match( errors[ 1 ], /newer version/ );
+} );
+
+test( 'validateStorage removes and reports invalid slides and events', () => {
+	const { validateStorage } = plugin();
+	const errors = [];
+	const data = validateStorage( [
+		{ width: 960, height: 700, data: [
+			{ slide: { h: 1, v: 0 }, events: [ { type: 'erase', time: 9, x: 1, y: 1 }, { type: 'erase', time: 3, x: 1 }, { type: 'clear', time: 2 } ], duration: 5 },
+			{ slide: { h: 'a', v: 0 }, events: [] }
+		] },
+		{ width: -1, height: 700, data: [] }
+	], errors );
+	assert.deepStrictEqual( errors, [
+		'Notes canvas, slide 2.1: event 2 (erase) has no valid "y" and is ignored.',
+		'Notes canvas: entry 2 has no valid slide indices and is ignored.',
+		'Chalkboard: invalid size, the size of the presentation is used.'
+	] );
+	assert.deepStrictEqual( copy( data[ 0 ].data ), [
+		{ slide: { h: 1, v: 0 }, events: [ { type: 'clear', time: 2 }, { type: 'erase', time: 9, x: 1, y: 1 } ], duration: 10 }
+	] );
+	assert.strictEqual( data[ 1 ].width, 960 );
+	assert.strictEqual( validateStorage( [ data[ 0 ] ], errors ), null );
+	assert.match( errors[ 3 ], /found 1 canvases/ );
+} );
+
+test( 'drawings of an older version are migrated when the plugin is initialised', () => {
+	const sessionStorage = createStorage();
+	sessionStorage.setItem( 'drawings', JSON.stringify( [ { width: 960, height: 700, data: [ {
+		slide: { h: 0, v: 0 },
+		events: [ { type: 'setcolor', time: 0, index: 1 }, { type: 'draw', time: 0, x1: 0, y1: 0, x2: 5, y2: 0 } ],
+		duration: 1
+	} ] } ] ) );
+	const warnings = [];
+	const plugin = boot( { sessionStorage, chalkboard: { storage: 'drawings' }, console: { log() {}, warn: ( ...args ) => warnings.push( args ) } } );
+	const data = JSON.parse( plugin.getData() );
+	assert.deepStrictEqual( warnings, [] );
+	assert.deepStrictEqual( data.map( canvas => canvas.version ), [ 4, 4 ] );
+	assert.deepStrictEqual( data[ 0 ].data[ 0 ].events, [ { type: 'polyline', time: 0, color: 1, points: [ [ 0, 0, 0 ], [ 5, 0, 0 ] ], stroke: 1 } ] );
+} );
+
+test( 'joinSegments keeps strokes, boards and colors apart', () => {
+	const { joinSegments } = plugin();
+	const events = joinSegments( [
+		{ type: 'draw', time: 0, stroke: 1, x1: 0, y1: 0, x2: 5, y2: 5, color: 0 },
+		{ type: 'draw', time: 5, stroke: 1, x1: 5, y1: 5, x2: 10, y2: 0, color: 0, width: 3 },
+		{ type: 'draw', time: 10, stroke: 2, x1: 10, y1: 0, x2: 20, y2: 0, color: 0 },
+		{ type: 'draw', time: 15, stroke: 2, board: 1, x1: 20, y1: 0, x2: 30, y2: 0, color: 0 },
+		{ type: 'draw', time: 20, stroke: 2, board: 1, x1: 30, y1: 0, x2: 40, y2: 0, color: 1 }
+	] );
+	assert.deepStrictEqual( copy( events ), [
+		{ type: 'polyline', time: 0, color: 0, stroke: 1, points: [ [ 0, 0, 0 ], [ 5, 5, 0 ], [ 10, 0, 5, 3 ] ] },
+		{ type: 'polyline', time: 10, color: 0, stroke: 2, points: [ [ 10, 0, 0 ], [ 20, 0, 0 ] ] },
+		{ type: 'polyline', time: 15, color: 0, stroke: 2, board: 1, points: [ [ 20, 0, 0 ], [ 30, 0, 0 ] ] },
+		{ type: 'polyline', time: 20, color: 1, stroke: 2, board: 1, points: [ [ 30, 0, 0 ], [ 40, 0, 0 ] ] }
+	] );
+} );
+
+test( 'keepDrawings merges strokes drawn while the drawings were loaded', () => {
+	const context = load( [ 'isNumber', 'transformEvent', 'mergeStorage', 'importedEvents', 'maxStroke', 'keepDrawings' ] );
+	const canvas = events => ( { version: 3, width: 960, height: 700, data: [ { slide: { h: 0, v: 0 }, events, duration: 0 } ] } );
+	const early = { type: 'shape', time: 5, stroke: 2, shape: 'line', x1: 0, y1: 0, x2: 10, y2: 10, color: 0 };
+	const saved = { type: 'erase', time: 1, x: 5, y: 5 };
+	const earlier = [ canvas( [ early ] ), canvas( [] ) ];
+	context.storage = [ canvas( [ saved ] ), { version: 3, width: 960, height: 700, data: [] } ];
+	context.keepDrawings( earlier );
+	// the strokes are numbered after the strokes of the loaded drawings
+	assert.deepStrictEqual( copy( context.storage[ 0 ].data[ 0 ].events ), [ saved, Object.assign( {}, early, { stroke: 1 } ) ] );
+	assert.strictEqual( context.storage[ 1 ].data.length, 1 );
+
+	const loaded = context.storage;
+	context.keepDrawings( [ canvas( [] ), canvas( [] ) ] );
+	assert.strictEqual( context.storage, loaded );
+	assert.strictEqual( context.storage[ 1 ].data.length, 1 );
+} );
+
+test( 'strokes of version 3 are numbered when the plugin is initialised', () => {
+	const sessionStorage = createStorage();
+	sessionStorage.setItem( 'drawings', JSON.stringify( [
+		{ version: 3, width: 960, height: 700, data: [ { slide: { h: 0, v: 0 }, events: [ { type: 'text', time: 0, x: 0, y: 0, size: 20, color: 0, text: 'a' } ], duration: 0 } ] },
+		{ version: 3, width: 960, height: 700, data: [] }
+	] ) );
+	const plugin = boot( { sessionStorage, chalkboard: { storage: 'drawings' } } );
+	const data = JSON.parse( plugin.getData() );
+	assert.strictEqual( data[ 0 ].version, 4 );
+	assert.strictEqual( data[ 0 ].data[ 0 ].events[ 0 ].stroke, 1 );
+} );
@@ -0,0 +1,34 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+
+/**
+ * Returns a canvas context which records the text drawn and measures ten pixels per character.
+ */
+function context() {
+	return {
+		texts: [],
+		fillText( text, x, y ) {
+			this.texts.push( [ text, x, y, this.font, this.fillStyle ] );
+		},
+		measureText: text => ( { width: text.length * 10 } )
+	};
+}
+
+test( 'drawText draws each line below the previous one in the opaque pen color', () => {
+	const pens = [ [ { color: 'rgba(30,144,255,0.5)' } ] ];
+	const { drawText } = load( [ 'textFont', 'getPen', 'drawText' ], { pens } );
+	const ctx = context();
+	drawText( 0, ctx, { text: 'one\ntwo', size: 20, color: 0, x: 10, y: 30 }, 2, 5, 7 );
+	assert.deepStrictEqual( copy( ctx.texts ), [
+		[ 'one', 25, 67, '40px sans-serif', 'rgba(30,144,255,1)' ],
+		[ 'two', 25, 115, '40px sans-serif', 'rgba(30,144,255,1)' ]
+	] );
+} );
+
+test( 'textBounds measures the longest line and the height of all lines', () => {
+	const preview = context();
+	const { textBounds } = load( [ 'textFont', 'textBounds' ], { drawingCanvas: [ { preview } ], mode: 0 } );
+	assert.deepStrictEqual( copy( textBounds( { text: 'a\nlonger\nab', size: 10 } ) ), { width: 60, height: 36 } );
+	assert.strictEqual( preview.font, '10px sans-serif' );
+} );
@@ -0,0 +1,46 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { boot, createStorage } = require( './helpers/browser' );
+
+function draw( stroke, board ) {
+	return { type: 'draw', stroke, time: 0, board, color: 0, x1: 0, y1: 0, x2: 10, y2: 10 };
+}
+
+/**
+ * Boots the plugin with drawings on the notes canvas and on the first board of the first slide.
+ */
+function drawings() {
+	const sessionStorage = createStorage();
+	const slide = { h: 0, v: 0 };
+	sessionStorage.setItem( 'drawings', JSON.stringify( [
+		{ width: 960, height: 700, data: [ { slide, events: [ draw( 1 ), draw( 1 ), draw( 2 ) ], duration: 1 } ] },
+		{ width: 960, height: 700, data: [ { slide, events: [ draw( 3, 0 ) ], duration: 1 } ] }
+	] ) );
+	return boot( { sessionStorage, chalkboard: { storage: 'drawings' }, console: { log() {}, warn() {} } } );
+}
+
+function strokes( plugin, id ) {
+	const data = JSON.parse( plugin.getData() )[ id ].data[ 0 ];
+	return data.events.map( event => event.stroke );
+}
+
+test( 'undo removes the last stroke of the canvas and redo restores it', () => {
+	const plugin = drawings();
+	plugin.undo();
+	assert.deepStrictEqual( strokes( plugin, 0 ), [ 1, 1 ] );
+	plugin.undo();
+	assert.deepStrictEqual( strokes( plugin, 0 ), [] );
+	plugin.redo();
+	assert.deepStrictEqual( strokes( plugin, 0 ), [ 1, 1 ] );
+	assert.deepStrictEqual( strokes( plugin, 1 ), [ 3 ] );
+} );
+
+test( 'clearing the canvas discards the strokes kept for redo', () => {
+	const plugin = drawings();
+	plugin.undo();
+	plugin.clear();
+	plugin.redo();
+	assert.deepStrictEqual( strokes( plugin, 0 ), [ 1, 1, undefined ] );
+	plugin.undo();
+	assert.deepStrictEqual( strokes( plugin, 0 ), [ 1, 1 ] );
+} );
@@ -0,0 +1,35 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load, copy } = require( './helpers/plugin' );
+const { boot, createStorage } = require( './helpers/browser' );
+
+test( 'drawingBounds encloses the drawings after the last clear', () => {
+	const { drawingBounds } = load( [ 'drawingBounds' ], { textBounds: event => ( { width: event.text.length * 10, height: 24 } ) } );
+	assert.strictEqual( drawingBounds( [] ), null );
+	assert.deepStrictEqual( copy( drawingBounds( [
+		{ type: 'shape', x1: 500, y1: 500, x2: 600, y2: 600 },
+		{ type: 'clear' },
+		{ type: 'polyline', points: [ [ 10, 40, 0 ], [ 30, 20, 5 ] ] },
+		{ type: 'text', x: 20, y: 50, text: 'abc' },
+		{ type: 'erase', x: -100, y: -100 }
+	] ) ), { left: 10, top: 20, right: 50, bottom: 74 } );
+} );
+
+test( 'fitAll zooms the chalkboard to the drawings and records the viewport', () => {
+	const sessionStorage = createStorage();
+	const line = { type: 'shape', time: 0, stroke: 1, board: 0, shape: 'line', x1: 100, y1: 100, x2: 300, y2: 200, color: 0 };
+	sessionStorage.setItem( 'drawings', JSON.stringify( [
+		{ version: 4, width: 960, height: 700, data: [] },
+		{ version: 4, width: 960, height: 700, data: [ { slide: { h: 0, v: 0 }, events: [ line ], duration: 1 } ] }
+	] ) );
+	const plugin = boot( { sessionStorage, chalkboard: { storage: 'drawings' } } );
+	plugin.fitAll();
+	assert.strictEqual( JSON.parse( plugin.getData() )[ 1 ].data[ 0 ].events.length, 1 );
+	plugin.toggleChalkboard();
+	plugin.fitAll();
+	const viewport = JSON.parse( plugin.getData() )[ 1 ].data[ 0 ].events.find( event => event.type == 'viewport' );
+	assert.deepStrictEqual( [ viewport.board, viewport.x, viewport.y, viewport.zoom ], [ 0, 80, 62.5, 4 ] );
+	plugin.resetView();
+	const reset = JSON.parse( plugin.getData() )[ 1 ].data[ 0 ].events.filter( event => event.type == 'viewport' ).pop();
+	assert.deepStrictEqual( [ reset.x, reset.y, reset.zoom ], [ 0, 0, 1 ] );
+} );
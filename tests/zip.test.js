@@ -0,0 +1,41 @@
+const test = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { load } = require( './helpers/plugin' );
+
+function plugin() {
+	return load( [ 'crcTable', 'crc32', 'createZip' ], { Blob, TextEncoder, DataView, ArrayBuffer, Uint8Array, Date } );
+}
+
+test( 'crc32 computes the checksum used by zip archives', () => {
+	const { crc32 } = plugin();
+	assert.strictEqual( crc32( new TextEncoder().encode( '123456789' ) ), 0xCBF43926 );
+	assert.strictEqual( crc32( new Uint8Array( 0 ) ), 0 );
+} );
+
+test( 'createZip stores the files with local headers and a central directory', async () => {
+	const { createZip, crc32 } = plugin();
+	const png = new Uint8Array( [ 0x89, 0x50, 0x4E, 0x47 ] );
+	const blob = createZip( [ { name: 'slide-1.svg', data: '<svg/>' }, { name: 'slide-2.png', data: png } ] );
+	assert.strictEqual( blob.type, 'application/zip' );
+	const bytes = new Uint8Array( await blob.arrayBuffer() );
+	const view = new DataView( bytes.buffer );
+	const text = ( start, end ) => new TextDecoder().decode( bytes.slice( start, end ) );
+
+	// local file headers
+	assert.strictEqual( view.getUint32( 0, true ), 0x04034b50 );
+	assert.strictEqual( view.getUint32( 18, true ), 6 );
+	assert.strictEqual( text( 30, 41 ), 'slide-1.svg' );
+	assert.strictEqual( text( 41, 47 ), '<svg/>' );
+	assert.strictEqual( view.getUint32( 47, true ), 0x04034b50 );
+
+	// end of central directory
+	const end = bytes.length - 22;
+	assert.strictEqual( view.getUint32( end, true ), 0x06054b50 );
+	assert.strictEqual( view.getUint16( end + 10, true ), 2 );
+	const directory = view.getUint32( end + 16, true );
+	assert.strictEqual( directory, 47 + 30 + 11 + 4 );
+	assert.strictEqual( view.getUint32( directory, true ), 0x02014b50 );
+	assert.strictEqual( view.getUint32( 14, true ), crc32( new TextEncoder().encode( '<svg/>' ) ) );
+	assert.strictEqual( view.getUint32( directory + 16, true ), view.getUint32( 14, true ) );
+	assert.strictEqual( view.getUint32( end + 12, true ), end - directory );
+} );